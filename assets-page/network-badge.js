@@ -0,0 +1,73 @@
+// /assets-page/network-badge.js
+// Active node network (mainnet / testnet / regtest) next to the menu button
+// on every page. Clicking it opens the node profiles in ZNode Status.
+
+(function () {
+  const COLORS = {
+    mainnet: '#F4B728',
+    testnet: '#4fc3ff',
+    regtest: '#c77dff',
+  };
+
+  function injectStyle() {
+    const style = document.createElement('style');
+    style.textContent = `
+      .network-badge {
+        position: fixed;
+        top: 1rem;
+        left: 4.25rem;
+        height: 44px;
+        display: flex;
+        align-items: center;
+        gap: 0.4rem;
+        padding: 0 0.8rem;
+        border-radius: 999px;
+        border: 2px solid var(--net-color);
+        background: rgba(0, 0, 0, 0.6);
+        box-shadow: 0 0 12px rgba(0, 0, 0, 0.7);
+        color: var(--net-color);
+        font-size: 0.55rem;
+        letter-spacing: 0.08em;
+        text-decoration: none;
+        text-shadow: 1px 1px 2px #000;
+        z-index: 1100;
+      }
+      .network-badge .network-profile {
+        color: #fff;
+        opacity: 0.75;
+      }`;
+    document.head.appendChild(style);
+  }
+
+  async function loadNetworkBadge() {
+    try {
+      const res = await fetch('/api/node/network', { cache: 'no-store' });
+      if (!res.ok) return;
+      const { profile, network } = await res.json();
+
+      injectStyle();
+      const badge = document.createElement('a');
+      badge.className = 'network-badge';
+      badge.href = '/assets-page/znode-status.html#nodeProfiles';
+      badge.title = 'Node profile: ' + profile;
+      badge.style.setProperty('--net-color', COLORS[network] || COLORS.mainnet);
+
+      const net = document.createElement('span');
+      net.textContent = String(network || 'mainnet').toUpperCase();
+      const name = document.createElement('span');
+      name.className = 'network-profile';
+      name.textContent = profile;
+      badge.append(net, name);
+
+      document.body.appendChild(badge);
+    } catch (err) {
+      console.error('Failed to load network badge:', err);
+    }
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', loadNetworkBadge);
+  } else {
+    loadNetworkBadge();
+  }
+})();
@@ -0,0 +1,209 @@
+// /assets-page/session.js
+// Login + CSRF for pages that call the wallet / dev / tx APIs.
+//
+// Load it in <head> so it wraps window.fetch before the page scripts run:
+// same-origin POST/PUT/PATCH/DELETE requests get the session's X-CSRF-Token
+// header, and a 401 "login_required" opens a password prompt and retries
+// the request once after logging in.
+
+(function () {
+  const nativeFetch = window.fetch.bind(window);
+  const UNSAFE = /^(POST|PUT|PATCH|DELETE)$/i;
+
+  let session = null; // { mode, authenticated, role, csrfToken }
+  let loginPromise = null;
+
+  function isApiUrl(url) {
+    try {
+      const u = new URL(url, window.location.href);
+      return u.origin === window.location.origin &&
+        u.pathname.startsWith('/api/') &&
+        !u.pathname.startsWith('/api/auth/');
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async function refreshSession() {
+    const res = await nativeFetch('/api/auth/session', { cache: 'no-store' });
+    session = await res.json();
+    return session;
+  }
+
+  function withCsrf(init) {
+    const headers = new Headers(init.headers || {});
+    if (session && session.csrfToken) headers.set('X-CSRF-Token', session.csrfToken);
+    return { ...init, headers };
+  }
+
+  // ----- login prompt -----
+  function injectStyle() {
+    if (document.getElementById('sessionLoginStyle')) return;
+    const style = document.createElement('style');
+    style.id = 'sessionLoginStyle';
+    style.textContent = `
+      .session-login-overlay {
+        position: fixed;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.75);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        z-index: 3000;
+      }
+      .session-login {
+        width: 320px;
+        max-width: 90vw;
+        padding: 1rem;
+        border-radius: 14px;
+        border: 2px solid #F4B728;
+        background: rgba(10, 10, 10, 0.95);
+        color: #fff;
+        font-family: 'Press Start 2P', monospace;
+        font-size: 0.6rem;
+        display: flex;
+        flex-direction: column;
+        gap: 0.6rem;
+      }
+      .session-login-title { color: #F4B728; }
+      .session-login input {
+        padding: 0.45rem 0.6rem;
+        border-radius: 999px;
+        border: 2px solid rgba(255, 255, 255, 0.5);
+        background: #000;
+        color: #fff;
+        font-family: inherit;
+        font-size: 0.55rem;
+      }
+      .session-login-actions { display: flex; justify-content: flex-end; gap: 0.5rem; }
+      .session-login button {
+        padding: 0.4rem 0.8rem;
+        border-radius: 999px;
+        border: 2px solid #F4B728;
+        background: rgba(40, 40, 40, 0.9);
+        color: #fff;
+        font-family: inherit;
+        font-size: 0.55rem;
+        cursor: pointer;
+      }
+      .session-login-error { color: #ff6b6b; min-height: 0.7rem; }`;
+    document.head.appendChild(style);
+  }
+
+  // Resolves once logged in; rejects if the user cancels.
+  function promptLogin(reason) {
+    if (loginPromise) return loginPromise;
+    injectStyle();
+
+    loginPromise = new Promise((resolve, reject) => {
+      const overlay = document.createElement('div');
+      overlay.className = 'session-login-overlay';
+      overlay.innerHTML = `
+        <form class="session-login">
+          <div class="session-login-title">LOG IN</div>
+          <div class="session-login-reason"></div>
+          <input type="password" autocomplete="current-password" placeholder="Password" />
+          <div class="session-login-error"></div>
+          <div class="session-login-actions">
+            <button type="button" data-cancel>CANCEL</button>
+            <button type="submit">LOG IN</button>
+          </div>
+        </form>`;
+      overlay.querySelector('.session-login-reason').textContent = reason || '';
+      const form = overlay.querySelector('form');
+      const input = overlay.querySelector('input');
+      const errorEl = overlay.querySelector('.session-login-error');
+
+      const close = () => {
+        overlay.remove();
+        loginPromise = null;
+      };
+
+      overlay.querySelector('[data-cancel]').addEventListener('click', () => {
+        close();
+        reject(new Error('Login cancelled'));
+      });
+
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        errorEl.textContent = '';
+        try {
+          const res = await nativeFetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password: input.value }),
+          });
+          const data = await res.json().catch(() => ({}));
+          if (!res.ok) throw new Error(data.detail || data.error || 'HTTP ' + res.status);
+          await refreshSession();
+          close();
+          resolve(session);
+        } catch (err) {
+          errorEl.textContent = err.message;
+          input.select();
+        }
+      });
+
+      document.body.appendChild(overlay);
+      input.focus();
+    });
+    return loginPromise;
+  }
+
+  async function errorOf(res) {
+    try {
+      return (await res.clone().json()).error || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  window.fetch = async function (input, init = {}) {
+    const url = typeof input === 'string' ? input : input.url;
+    if (!isApiUrl(url)) return nativeFetch(input, init);
+
+    const method = init.method || (input instanceof Request ? input.method : 'GET');
+    const unsafe = UNSAFE.test(method);
+    if (unsafe && !session) await refreshSession().catch(() => null);
+
+    const send = () => nativeFetch(input, unsafe ? withCsrf(init) : init);
+    const res = await send();
+    if (res.status !== 401 && res.status !== 403) return res;
+
+    const error = await errorOf(res);
+    try {
+      if (error === 'login_required') {
+        // open mode hands a loopback browser its session here
+        const s = await refreshSession();
+        if (!s.authenticated) {
+          if (s.mode !== 'password') return res;
+          await promptLogin('This action needs a login.');
+        }
+        return send();
+      }
+      if (error === 'forbidden') {
+        // logged in read-only: offer the operator password
+        const s = session || (await refreshSession());
+        if (s.mode !== 'password') return res;
+        await promptLogin('This action needs the operator level.');
+        return send();
+      }
+      if (error === 'csrf_failed') {
+        await refreshSession();
+        return send();
+      }
+    } catch (e) {
+      // login cancelled: hand the page the original answer
+    }
+    return res;
+  };
+
+  window.zordSession = {
+    get: refreshSession,
+    login: () => promptLogin(''),
+    logout: async () => {
+      await nativeFetch('/api/auth/logout', { method: 'POST' });
+      session = null;
+    },
+  };
+})();
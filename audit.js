@@ -0,0 +1,213 @@
+// audit.js
+//
+// Append-only audit log of sensitive viewer actions: wallet sends, key
+// imports, transfers, inscribes, RPC config / node profile changes, dev-CLI
+// calls, indexer starts / stops, ledger syncs, content repairs and logins.
+//
+// One JSON line per request in content/audit/audit.jsonl:
+//
+//   { seq, time, method, route, params, status, ok, txid?, jobId?,
+//     inscriptionId?, opid?, error?, client, role, network, prev, hash }
+//
+// Secrets in the request body (passwords, private keys, tokens) are replaced
+// by "[redacted]" before anything is written; big blobs (file data, raw tx
+// hex) and shielded memos are reduced to their length. Responses are never
+// stored, only the txid / job id / operation id / error they carry, so e.g. a
+// dumpprivkey result can't end up in the log. Each line's `hash` covers the previous line's hash, so a
+// line edited or removed later breaks the chain (see verify()).
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+// same path matching as the auth rules (case, trailing slash)
+const { normalizePath } = require("./auth");
+
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+const SECRET_KEY = /pass|privkey|priv_key|secret|token|seed|mnemonic/i;
+const BLOB_KEY = /^(data|hex|rawhex|memo)$/i;
+const MAX_STRING = 512;
+
+// Routes whose state-changing requests are logged. `skip` = read-only POSTs.
+const DEFAULT_ROUTES = [
+  /^\/api\/wallet\//,
+  /^\/api\/dev\//,
+  /^\/api\/tx\//,
+  /^\/api\/inscribe(\/|$)/,
+  /^\/api\/inscription\/[^/]+\/transfer$/,
+  /^\/api\/node\/profiles/,
+  /^\/api\/index\/(start|stop)$/,
+  /^\/api\/zrc20\/sync$/,
+  /^\/api\/zords\/verify$/,
+  /^\/api\/auth\/(login|logout)$/,
+];
+const DEFAULT_SKIP = [
+  /^\/api\/inscribe\/estimate$/,
+  /^\/api\/tx\/check$/,
+  /^\/api\/wallet\/sendmany\/preview$/,
+  /^\/api\/wallet\/send\/preview$/,
+];
+
+function redact(value, key = "") {
+  if (key && SECRET_KEY.test(key)) return "[redacted]";
+  if (key && BLOB_KEY.test(key) && typeof value === "string") {
+    return `[${value.length} chars]`;
+  }
+  if (Array.isArray(value)) return value.map(v => redact(v));
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = redact(v, k);
+    return out;
+  }
+  if (typeof value === "string" && value.length > MAX_STRING) {
+    return value.slice(0, MAX_STRING) + `… [${value.length} chars]`;
+  }
+  return value;
+}
+
+function lineHash(prev, line) {
+  return crypto.createHash("sha256").update(prev + "\n" + line).digest("hex");
+}
+
+function createAuditLog(options = {}) {
+  const dir = options.dir || path.join(__dirname, "content", "audit");
+  const file = path.join(dir, "audit.jsonl");
+  const routes = options.routes || DEFAULT_ROUTES;
+  const skip = options.skip || DEFAULT_SKIP;
+  const context = options.context || (() => ({}));
+  const log = options.log || (() => {});
+
+  let tail = null; // { seq, hash } of the last line
+
+  function readLines() {
+    try {
+      return fs.readFileSync(file, "utf8").split("\n").filter(Boolean);
+    } catch (_) {
+      return [];
+    }
+  }
+
+  function loadTail() {
+    if (tail) return tail;
+    const lines = readLines();
+    tail = { seq: 0, hash: "" };
+    if (lines.length) {
+      try {
+        const last = JSON.parse(lines[lines.length - 1]);
+        tail = { seq: last.seq || lines.length, hash: last.hash || "" };
+      } catch (_) {
+        tail = { seq: lines.length, hash: "" };
+      }
+    }
+    return tail;
+  }
+
+  /** Append one entry (fields as in the header); returns it with seq/hash. */
+  function append(fields) {
+    const t = loadTail();
+    const entry = { seq: t.seq + 1, time: new Date().toISOString(), ...fields, prev: t.hash };
+    const body = JSON.stringify(entry);
+    entry.hash = lineHash(t.hash, body);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(entry) + "\n", "utf8");
+    tail = { seq: entry.seq, hash: entry.hash };
+    return entry;
+  }
+
+  function audited(req) {
+    if (SAFE_METHODS.has(req.method)) return false;
+    const p = normalizePath(req.path);
+    return routes.some(r => r.test(p)) && !skip.some(r => r.test(p));
+  }
+
+  /**
+   * Express middleware. Mount before auth so refused attempts are logged
+   * too; the entry is written once the response has been sent.
+   */
+  function middleware(req, res, next) {
+    if (!audited(req)) return next();
+
+    let body = null;
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      body = payload;
+      return json(payload);
+    };
+
+    res.on("finish", () => {
+      const ok = res.statusCode < 400;
+      const result = body && typeof body === "object" ? body : {};
+      const error = ok ? undefined
+        : [result.error, result.detail].filter(Boolean).join(": ") || `HTTP ${res.statusCode}`;
+      try {
+        append({
+          method: req.method,
+          route: req.path,
+          params: redact({ ...(req.params || {}), ...(req.body || {}) }),
+          status: res.statusCode,
+          ok,
+          ...(result.txid ? { txid: result.txid } : {}),
+          ...(result.jobId ? { jobId: result.jobId } : {}),
+          ...(result.inscriptionId ? { inscriptionId: result.inscriptionId } : {}),
+          ...(result.opid ? { opid: result.opid } : {}),
+          ...(error ? { error } : {}),
+          client: req.socket.remoteAddress,
+          role: (req.auth && req.auth.role) || null,
+          ...context(req),
+        });
+      } catch (err) {
+        log(`[audit] could not write entry: ${err.message}`);
+      }
+    });
+    next();
+  }
+
+  /**
+   * Entries, newest first.
+   *  - route (substring), client, ok (true/false), txid, since/until (ISO),
+   *    q (substring anywhere in the line), offset, limit
+   */
+  function query(filter = {}) {
+    const since = filter.since ? Date.parse(filter.since) : null;
+    const until = filter.until ? Date.parse(filter.until) : null;
+    const q = filter.q ? String(filter.q).toLowerCase() : "";
+
+    const out = [];
+    for (const line of readLines().reverse()) {
+      if (q && !line.toLowerCase().includes(q)) continue;
+      let e;
+      try { e = JSON.parse(line); } catch (_) { continue; }
+      if (filter.route && !String(e.route).includes(filter.route)) continue;
+      if (filter.client && e.client !== filter.client) continue;
+      if (filter.ok != null && e.ok !== filter.ok) continue;
+      if (filter.txid && e.txid !== filter.txid) continue;
+      const time = Date.parse(e.time);
+      if (since && time < since) continue;
+      if (until && time > until) continue;
+      out.push(e);
+    }
+
+    const offset = Math.max(0, filter.offset || 0);
+    const limit = Math.min(1000, Math.max(1, filter.limit || 100));
+    return { total: out.length, offset, limit, entries: out.slice(offset, offset + limit) };
+  }
+
+  /** Re-walk the hash chain: { ok, entries, brokenAt? (seq) }. */
+  function verify() {
+    let prev = "";
+    const lines = readLines();
+    for (const line of lines) {
+      let e;
+      try { e = JSON.parse(line); } catch (_) { return { ok: false, entries: lines.length, brokenAt: null }; }
+      const { hash, ...rest } = e;
+      if (e.prev !== prev || lineHash(prev, JSON.stringify(rest)) !== hash) {
+        return { ok: false, entries: lines.length, brokenAt: e.seq };
+      }
+      prev = hash;
+    }
+    return { ok: true, entries: lines.length };
+  }
+
+  return { middleware, append, query, verify };
+}
+
+module.exports = { createAuditLog, redact };
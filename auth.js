@@ -0,0 +1,310 @@
+// auth.js
+//
+// Login, sessions, CSRF tokens and permission levels for the viewer's
+// wallet / dev / tx routes and the catalog / ledger / content maintenance
+// calls.
+//
+// Two levels:
+//   viewer    read-only: balances, UTXOs, history, tx checks
+//   operator  everything, including sends, key import, dev console, the
+//             audit log, node profile changes and starting / stopping the
+//             indexers or repairing content
+//
+// Credentials come from .env:
+//   VIEWER_AUTH_PASSWORD            log in as operator
+//   VIEWER_AUTH_READONLY_PASSWORD   log in as viewer
+//   VIEWER_AUTH_TOKEN               `Authorization: Bearer …` as operator
+//   VIEWER_AUTH_READONLY_TOKEN      `Authorization: Bearer …` as viewer
+//   VIEWER_SESSION_HOURS            session lifetime (default 12)
+//
+// With none of them set the viewer runs in "open" mode: a browser on the
+// same machine (loopback) gets an operator session without a password,
+// remote clients get nothing. Either way, state-changing requests made with a
+// session cookie must carry the session's X-CSRF-Token header, and a
+// cross-site Origin is refused. Bearer tokens are not ambient credentials and
+// need no CSRF token.
+//
+// Rules are matched against the normalized path (normalizePath): Express
+// routes ignore case and a trailing slash, so the rule table must too.
+// Protected routes and /api/auth/* also refuse a Host header that is not
+// localhost, an IP address or a name from VIEWER_ALLOWED_HOSTS, so a
+// DNS-rebinding page can't borrow the loopback operator session.
+
+const crypto = require("crypto");
+
+const COOKIE_NAME = "zord_session";
+const LEVELS = { viewer: 1, operator: 2 };
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+const MAX_FAILURES = 5;
+const LOCKOUT_MS = 60 * 1000;
+
+// First match wins. `read` = only for GET/HEAD, `public` = no login needed.
+const DEFAULT_RULES = [
+  { path: /^\/api\/dev\//, level: "operator" },
+  { path: /^\/api\/audit(\/|$)/, level: "operator" },
+  { path: /^\/api\/wallet\//, read: true, level: "viewer" },
+  { path: /^\/api\/wallet\//, level: "operator" },
+  // chain explorer: GET /api/tx/<txid> is public chain data
+  { path: /^\/api\/tx\/[0-9a-f]{64}$/, read: true, public: true },
+  { path: /^\/api\/tx\//, level: "viewer" },
+  { path: /^\/api\/node\/history$/, level: "viewer" },
+  { path: /^\/api\/node\/profiles/, read: true, level: "viewer" },
+  { path: /^\/api\/node\/profiles/, level: "operator" },
+  { path: /^\/api\/inscription\/[^/]+\/transfer$/, read: true, level: "viewer" },
+  { path: /^\/api\/inscription\/[^/]+\/transfer$/, level: "operator" },
+  { path: /^\/api\/inscribe\/estimate$/, level: "viewer" },
+  { path: /^\/api\/inscribe(\/|$)/, read: true, level: "viewer" },
+  { path: /^\/api\/inscribe(\/|$)/, level: "operator" },
+  // catalog rebuilds, ledger syncs and content repair rewrite local state
+  { path: /^\/api\/index\/(start|stop)$/, level: "operator" },
+  { path: /^\/api\/zrc20\/sync$/, level: "operator" },
+  { path: /^\/api\/zords\/verify$/, read: true, public: true },
+  { path: /^\/api\/zords\/verify$/, level: "operator" },
+];
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(String(s)).digest();
+}
+
+// constant-time compare of two secrets of any length
+function secretEquals(a, b) {
+  if (!a || !b) return false;
+  return crypto.timingSafeEqual(sha256(a), sha256(b));
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+}
+
+/** Path as Express routes see it: case-insensitive, trailing slash ignored. */
+function normalizePath(p) {
+  const lower = String(p || "/").toLowerCase();
+  return lower.length > 1 ? lower.replace(/\/+$/, "") || "/" : lower;
+}
+
+// "host:port", "[::1]:port" -> bare host name
+function hostName(hostHeader) {
+  const h = String(hostHeader || "").trim().toLowerCase();
+  if (h.startsWith("[")) return h.slice(1, h.indexOf("]"));
+  return h.replace(/:\d+$/, "");
+}
+
+// IP literals can't be rebound to another address, names can
+function isIpLiteral(host) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(":");
+}
+
+function isLoopback(req) {
+  const ip = req.socket && req.socket.remoteAddress;
+  return ip === "127.0.0.1" || ip === "::1" || ip === "::ffff:127.0.0.1";
+}
+
+function createAuth(options = {}) {
+  const env = options.env || process.env;
+  const rules = options.rules || DEFAULT_RULES;
+  const log = options.log || (() => {});
+  const sessionMs = (parseFloat(env.VIEWER_SESSION_HOURS) || 12) * 3600 * 1000;
+
+  const passwords = [
+    ["operator", env.VIEWER_AUTH_PASSWORD],
+    ["viewer", env.VIEWER_AUTH_READONLY_PASSWORD],
+  ].filter(([, secret]) => secret);
+  const tokens = [
+    ["operator", env.VIEWER_AUTH_TOKEN],
+    ["viewer", env.VIEWER_AUTH_READONLY_TOKEN],
+  ].filter(([, secret]) => secret);
+  const mode = passwords.length || tokens.length ? "password" : "open";
+  const allowedHosts = new Set(["localhost",
+    ...String(env.VIEWER_ALLOWED_HOSTS || "").split(",").map(h => h.trim().toLowerCase()).filter(Boolean)]);
+
+  const sessions = new Map(); // id -> { role, csrfToken, expiresAt }
+  const failures = new Map(); // ip -> { count, until }
+
+  function newSession(role) {
+    const id = crypto.randomBytes(32).toString("hex");
+    const session = {
+      id,
+      role,
+      csrfToken: crypto.randomBytes(32).toString("hex"),
+      expiresAt: Date.now() + sessionMs,
+    };
+    sessions.set(id, session);
+    return session;
+  }
+
+  function sessionFor(req) {
+    const id = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    const session = id && sessions.get(id);
+    if (!session) return null;
+    if (session.expiresAt < Date.now()) {
+      sessions.delete(id);
+      return null;
+    }
+    return session;
+  }
+
+  function setCookie(res, session) {
+    const maxAge = session ? Math.floor(sessionMs / 1000) : 0;
+    res.setHeader("Set-Cookie",
+      `${COOKIE_NAME}=${session ? session.id : ""}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}`);
+  }
+
+  // { role, via: "token" | "session", session? } or null
+  function identify(req) {
+    const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+    if (m) {
+      const hit = tokens.find(([, secret]) => secretEquals(m[1].trim(), secret));
+      return hit ? { role: hit[0], via: "token" } : null;
+    }
+    const session = sessionFor(req);
+    return session ? { role: session.role, via: "session", session } : null;
+  }
+
+  function ruleFor(req) {
+    const p = normalizePath(req.path);
+    const read = SAFE_METHODS.has(req.method);
+    return rules.find(r => r.path.test(p) && (!r.read || read)) || null;
+  }
+
+  function badHost(req) {
+    const host = hostName(req.headers.host);
+    return !host || !(allowedHosts.has(host) || isIpLiteral(host) || host.endsWith(".localhost"));
+  }
+
+  function refuseHost(res) {
+    return res.status(403).json({
+      error: "bad_host",
+      detail: "Unknown Host header; add the name to VIEWER_ALLOWED_HOSTS in .env.",
+    });
+  }
+
+  function crossOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) return false;
+    try {
+      return new URL(origin).host !== req.headers.host;
+    } catch (_) {
+      return true;
+    }
+  }
+
+  /** Express middleware: enforces the rule table; other routes pass. */
+  function middleware(req, res, next) {
+    const rule = ruleFor(req);
+    if (!rule || rule.public) return next();
+    if (badHost(req)) return refuseHost(res);
+
+    const who = identify(req);
+    if (!who) {
+      return res.status(401).json({
+        error: "login_required",
+        detail: mode === "open" && !isLoopback(req)
+          ? "Remote access needs VIEWER_AUTH_PASSWORD or VIEWER_AUTH_TOKEN in .env."
+          : "Log in to use this route.",
+        mode,
+      });
+    }
+    if (LEVELS[who.role] < LEVELS[rule.level]) {
+      return res.status(403).json({
+        error: "forbidden",
+        detail: `This route needs the ${rule.level} level; you are logged in as ${who.role}.`,
+      });
+    }
+    if (who.via === "session" && !SAFE_METHODS.has(req.method)) {
+      if (crossOrigin(req)) {
+        return res.status(403).json({ error: "bad_origin", detail: "Cross-site request refused." });
+      }
+      if (!secretEquals(req.get("X-CSRF-Token"), who.session.csrfToken)) {
+        return res.status(403).json({ error: "csrf_failed", detail: "Missing or stale X-CSRF-Token." });
+      }
+    }
+    req.auth = { role: who.role, via: who.via };
+    next();
+  }
+
+  function checkLockout(ip) {
+    const f = failures.get(ip);
+    return f && f.until > Date.now() ? Math.ceil((f.until - Date.now()) / 1000) : 0;
+  }
+
+  function recordFailure(ip) {
+    const f = failures.get(ip) || { count: 0, until: 0 };
+    f.count++;
+    if (f.count >= MAX_FAILURES) {
+      f.count = 0;
+      f.until = Date.now() + LOCKOUT_MS;
+      log(`[auth] too many failed logins from ${ip}, locked for ${LOCKOUT_MS / 1000}s`);
+    }
+    failures.set(ip, f);
+  }
+
+  /** Mount /api/auth/session, /api/auth/login and /api/auth/logout. */
+  function routes(app) {
+    // Current session (+ CSRF token). In open mode a loopback browser gets an
+    // operator session here without logging in.
+    app.use("/api/auth", (req, res, next) => (badHost(req) ? refuseHost(res) : next()));
+
+    app.get("/api/auth/session", (req, res) => {
+      let session = sessionFor(req);
+      if (!session && mode === "open" && isLoopback(req)) {
+        session = newSession("operator");
+        setCookie(res, session);
+      }
+      res.set("Cache-Control", "no-store");
+      res.json({
+        mode,
+        authenticated: !!session,
+        role: session ? session.role : null,
+        csrfToken: session ? session.csrfToken : null,
+        expiresAt: session ? new Date(session.expiresAt).toISOString() : null,
+      });
+    });
+
+    // Body: { password }
+    app.post("/api/auth/login", (req, res) => {
+      const ip = req.socket.remoteAddress;
+      const wait = checkLockout(ip);
+      if (wait) {
+        return res.status(429).json({ error: "locked_out", detail: `Too many attempts; retry in ${wait}s.` });
+      }
+      if (crossOrigin(req)) {
+        return res.status(403).json({ error: "bad_origin", detail: "Cross-site request refused." });
+      }
+      const password = String((req.body && req.body.password) || "");
+      const hit = passwords.find(([, secret]) => secretEquals(password, secret));
+      if (!hit) {
+        recordFailure(ip);
+        return res.status(401).json({ error: "bad_password", detail: "Wrong password." });
+      }
+      failures.delete(ip);
+      const old = sessionFor(req);
+      if (old) sessions.delete(old.id);
+      const session = newSession(hit[0]);
+      setCookie(res, session);
+      log(`[auth] ${hit[0]} login from ${ip}`);
+      res.json({ ok: true, role: session.role, csrfToken: session.csrfToken });
+    });
+
+    app.post("/api/auth/logout", (req, res) => {
+      const session = sessionFor(req);
+      if (session) sessions.delete(session.id);
+      setCookie(res, null);
+      res.json({ ok: true });
+    });
+  }
+
+  /** Level of the caller on a route without a rule ("viewer", "operator" or null). */
+  function roleOf(req) {
+    const who = identify(req);
+    return who ? who.role : null;
+  }
+
+  return { middleware, routes, roleOf, mode };
+}
+
+module.exports = { createAuth, normalizePath, LEVELS };
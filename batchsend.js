@@ -0,0 +1,219 @@
+// batchsend.js
+//
+// Batch payments: many address/amount rows paid by one `sendmany`
+// transaction instead of one `sendtoaddress` per row.
+//
+// Rows come as a list or as CSV text (`address,amount` per line; `;` or tab
+// also work, a header line and `#` comments are skipped). Every address is
+// checked with `validateaddress` in one batch, duplicates are refused
+// (sendmany rejects them), and the preview estimates the ZIP-317 fee from
+// the UTXOs the wallet may spend under the same coin control as
+// /api/wallet/send (picked UTXOs only, Zords and unchecked UTXOs locked).
+//
+// The preview returns a `batchId` hashing the rows, the coin-control choice,
+// minconf and the comment; `send` only broadcasts when it is handed that id
+// back, so what is paid is exactly what was previewed. Sends run one at a time through the
+// utxolocks.js queue, so another send can't unlock the Zords mid-sendmany.
+
+const crypto = require("crypto");
+const { planSend, outpointKey, protectedInfo } = require("./coincontrol");
+const { zip317Fee, outputBytes, DUST_LIMIT, P2PKH_INPUT_BYTES } = require("./inscribe");
+
+const SATS = 1e8;
+const MAX_ROWS = 500;
+
+function toZats(amount) {
+  return Math.round(Number(amount) * SATS);
+}
+
+function toZec(zats) {
+  return Number((zats / SATS).toFixed(8));
+}
+
+function batchError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/** CSV text → [{ line, address, amount }] (amount as typed, checked later). */
+function parseBatchCsv(text) {
+  const rows = [];
+  String(text || "").split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) return;
+    const [address = "", amount = ""] = line.split(/[,;\t]/).map(c => c.trim().replace(/^"|"$/g, ""));
+    // a header like "address,amount"
+    if (!rows.length && !/^\d*\.?\d+$/.test(amount) && /address/i.test(address)) return;
+    rows.push({ line: i + 1, address, amount });
+  });
+  return rows;
+}
+
+function createBatchSender(rpc, options = {}) {
+  const coinControl = options.coinControl;
+  const locks = options.locks;
+  const log = options.log || (() => {});
+  if (!coinControl) throw new Error("createBatchSender needs a coinControl instance");
+  if (!locks) throw new Error("createBatchSender needs a lock manager");
+
+  function normaliseRows(input) {
+    const rows = typeof input.csv === "string" ? parseBatchCsv(input.csv)
+      : Array.isArray(input.rows) ? input.rows.map((r, i) => ({ line: i + 1, ...r }))
+      : null;
+    if (!rows || !rows.length) throw batchError("bad_request", "rows or csv with at least one row is required.");
+    if (rows.length > MAX_ROWS) throw batchError("bad_request", `At most ${MAX_ROWS} rows per batch.`);
+
+    const seen = new Map();
+    return rows.map(r => {
+      const address = String(r.address || "").trim();
+      const zats = toZats(r.amount);
+      const row = { line: r.line, address, amount: Number.isFinite(zats) ? toZec(zats) : null };
+      if (!address) row.error = "address missing";
+      else if (!Number.isFinite(zats) || zats <= 0 || !/^\d*\.?\d+$/.test(String(r.amount).trim())) {
+        row.error = `bad amount: ${r.amount}`;
+      } else if (zats < DUST_LIMIT) row.error = `below dust (${DUST_LIMIT} zats)`;
+      else if (seen.has(address)) row.error = `duplicate address (also line ${seen.get(address)})`;
+      if (address && !seen.has(address)) seen.set(address, r.line);
+      return row;
+    });
+  }
+
+  async function validate(rows) {
+    const checks = await rpc.batch(rows.map(r => ["validateaddress", [r.address]]));
+    rows.forEach((r, i) => {
+      const info = checks[i] && checks[i].result;
+      if (!info || !info.isvalid) {
+        if (!r.error) r.error = "not a valid transparent address";
+        return;
+      }
+      r.scriptBytes = info.scriptPubKey ? info.scriptPubKey.length / 2 : 25;
+      if (info.ismine) r.mine = true;
+    });
+  }
+
+  function batchIdOf(rows, opts, minconf) {
+    const h = crypto.createHash("sha256");
+    h.update(JSON.stringify(rows.map(r => [r.address, r.amount])));
+    h.update(JSON.stringify((opts.utxos || []).map(outpointKey).sort()));
+    h.update(opts.allowInscriptions === true ? "1" : "0");
+    h.update(JSON.stringify([minconf, commentOf(opts)]));
+    return h.digest("hex").slice(0, 32);
+  }
+
+  function commentOf(opts) {
+    return opts.comment ? String(opts.comment) : "";
+  }
+
+  // Largest-first selection, as an estimate of what the wallet will pick.
+  function estimate(spendable, rows, minconf) {
+    const outs = rows.reduce((n, r) => n + outputBytes(r.scriptBytes || 25), 0);
+    const total = rows.reduce((n, r) => n + toZats(r.amount), 0);
+    const coins = spendable
+      .filter(u => (u.confirmations || 0) >= minconf && u.spendable !== false)
+      .map(u => toZats(u.amount))
+      .sort((a, b) => b - a);
+
+    let inputs = 0;
+    let sum = 0;
+    let fee = zip317Fee(0, outs + outputBytes(25));
+    while (sum < total + fee && inputs < coins.length) {
+      sum += coins[inputs++];
+      fee = zip317Fee(inputs * P2PKH_INPUT_BYTES, outs + outputBytes(25));
+    }
+    const available = coins.reduce((n, z) => n + z, 0);
+    return {
+      total,
+      fee,
+      inputs,
+      change: Math.max(0, sum - total - fee),
+      available,
+      shortfall: Math.max(0, total + fee - sum),
+    };
+  }
+
+  /**
+   * Validate rows and estimate the transaction.
+   *  - input: { rows: [{ address, amount }] } or { csv }
+   *  - opts: { utxos?, allowInscriptions?, minconf?, comment? }
+   */
+  async function preview(input = {}, opts = {}) {
+    const rows = normaliseRows(input);
+    const minconf = Number.isInteger(opts.minconf) && opts.minconf >= 0 ? opts.minconf : 1;
+    const [, all] = await Promise.all([validate(rows), coinControl.walletUtxos()]);
+    const plan = planSend(all, opts);
+    const valid = rows.filter(r => !r.error);
+    const est = estimate(plan.spendable, valid, minconf);
+
+    const errors = [];
+    const invalid = rows.length - valid.length;
+    if (invalid) errors.push(`${invalid} row(s) need fixing`);
+    if (plan.blocked.length) {
+      errors.push("selected UTXOs carry inscriptions or could not be checked; set allowInscriptions to spend them");
+    }
+    if (est.shortfall) errors.push(`insufficient funds: ${toZec(est.shortfall)} ZEC short`);
+
+    return {
+      batchId: batchIdOf(rows, opts, minconf),
+      ok: errors.length === 0,
+      errors,
+      count: rows.length,
+      invalid,
+      total: toZec(est.total),
+      fee: toZec(est.fee),
+      inputs: est.inputs,
+      change: toZec(est.change),
+      available: toZec(est.available),
+      minconf,
+      blockedUtxos: plan.blocked.map(protectedInfo),
+      uncheckedUtxos: plan.unchecked.map(protectedInfo),
+      rows: rows.map(({ scriptBytes, ...r }) => r),
+      _lock: plan.lock,
+    };
+  }
+
+  /**
+   * Broadcast the batch as one sendmany. opts.batchId must be the id of
+   * the preview the user saw. Returns { txid, count, total, fee, batchId }.
+   */
+  function send(input = {}, opts = {}) {
+    return locks.run("sendmany", lock => sendLocked(input, opts, lock));
+  }
+
+  async function sendLocked(input, opts, lock) {
+    const p = await preview(input, opts);
+    if (!opts.batchId || opts.batchId !== p.batchId) {
+      throw batchError("stale_preview", "The batch changed since it was previewed; preview it again.");
+    }
+    if (p.blockedUtxos.length) {
+      throw batchError("inscription_utxo",
+        "Selected UTXOs carry inscriptions or could not be checked; set allowInscriptions to spend them.");
+    }
+    if (!p.ok) throw batchError("bad_batch", p.errors.join("; "));
+
+    const amounts = {};
+    for (const r of p.rows) amounts[r.address] = r.amount;
+
+    await lock(p._lock);
+    const txid = await rpc("sendmany", ["", amounts, p.minconf, commentOf(opts)]);
+
+    // the fee the wallet actually paid (negative in gettransaction)
+    let fee = p.fee;
+    try {
+      const tx = await rpc("gettransaction", [txid]);
+      if (tx && tx.fee != null) fee = Math.abs(tx.fee);
+    } catch (_) {}
+
+    log(`[batchsend] ${txid}: ${p.count} outputs, ${p.total} ZEC, fee ${fee}`);
+    return { txid, batchId: p.batchId, count: p.count, total: p.total, fee };
+  }
+
+  async function publicPreview(input, opts) {
+    const { _lock, ...rest } = await preview(input, opts);
+    return rest;
+  }
+
+  return { preview: publicPreview, send };
+}
+
+module.exports = { createBatchSender, parseBatchCsv };
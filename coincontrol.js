@@ -0,0 +1,242 @@
+// coincontrol.js
+//
+// Inscription-aware coin control for the node wallet.
+//
+// Every wallet UTXO is checked with decode.js `inscriptionAtOutpoint()`:
+// an output that ends a reveal chain, or that was passed on from one
+// (output <n> fed by input <n>, a few links deep), carries a Zord. Those are
+// tagged in /api/wallet/utxos and kept out of ordinary sends, where
+// `sendtoaddress` would otherwise spend them as plain ZEC.
+//
+// A txid commits to its inputs, so an outpoint's answer never changes; results
+// are cached in content/coincontrol/outpoints.json and dropped once the
+// outpoint leaves the wallet. Lookups that fail (e.g. a parent tx the node
+// can't return without txindex=1) are reported as "unknown" and not cached;
+// so is an output whose history goes back more than `maxHops` plain links
+// (cached per maxHops). "unknown" UTXOs are protected like Zords: sends
+// refuse them and lock them unless allowInscriptions is set.
+//
+// Uncached UTXOs are walked side by side; the transactions every walk needs
+// at the same step go to the node as one rpc.batch.
+
+const fs = require("fs");
+const path = require("path");
+const { inscriptionAtOutpoint, getTxDecoded } = require("./decode");
+
+const CACHE_VERSION = 1;
+const DEFAULT_MAX_HOPS = 8;
+
+function outpointKey(u) {
+  return `${u.txid}:${u.vout}`;
+}
+
+/** True for a tagged UTXO that carries a Zord or could not be checked. */
+function isProtected(u) {
+  return !!u.inscription || u.inscriptionStatus === "unknown";
+}
+
+/** How a protected UTXO is reported back to the caller. */
+function protectedInfo(u) {
+  return {
+    txid: u.txid,
+    vout: u.vout,
+    inscriptionStatus: u.inscriptionStatus,
+    inscriptionId: u.inscription ? u.inscription.inscriptionId : null,
+    ...(u.inscriptionError ? { error: u.inscriptionError } : {}),
+  };
+}
+
+/**
+ * Unchecked UTXOs a send of `amount` ZEC would need: when what `plan` leaves
+ * spendable doesn't cover it but the unchecked UTXOs would, those (the send
+ * would otherwise fail as insufficient funds); otherwise [].
+ */
+function uncheckedNeeded(plan, amount) {
+  const sum = list => list.reduce((s, u) => s + Math.round(u.amount * 1e8), 0);
+  const need = Math.round(amount * 1e8);
+  const spendable = sum(plan.spendable.filter(u => u.spendable !== false));
+  if (spendable >= need || spendable + sum(plan.unchecked) < need) return [];
+  return plan.unchecked;
+}
+
+/**
+ * Coin control for one wallet send. `all` is walletUtxos(); `opts.utxos` the
+ * outpoints picked by the user (none = the wallet chooses). Returns
+ *   blocked    picked UTXOs that carry a Zord or could not be checked
+ *              (refuse the send unless opts.allowInscriptions)
+ *   lock       outpoints to lock while the send runs: everything not picked,
+ *              every Zord and every unchecked UTXO
+ *   spendable  what the wallet may still spend
+ *   unchecked  "unknown" UTXOs kept out of the send (to report)
+ */
+function planSend(all, opts = {}) {
+  const picked = Array.isArray(opts.utxos) && opts.utxos.length > 0;
+  const protectZords = opts.allowInscriptions !== true;
+  const wanted = new Set(picked ? opts.utxos.map(outpointKey) : []);
+
+  const blocked = [];
+  const lock = [];
+  const spendable = [];
+  const unchecked = [];
+  for (const u of all) {
+    const isPicked = wanted.has(outpointKey(u));
+    const guarded = protectZords && isProtected(u);
+    if (isPicked && guarded) blocked.push(u);
+    if ((picked && !isPicked) || guarded) {
+      lock.push({ txid: u.txid, vout: u.vout });
+      if (guarded && !u.inscription) unchecked.push(u);
+    } else {
+      spendable.push(u);
+    }
+  }
+  return { blocked, lock, spendable, unchecked };
+}
+
+function createCoinControl(rpc, options = {}) {
+  const dir = options.dir || path.join(__dirname, "content", "coincontrol");
+  const cachePath = path.join(dir, "outpoints.json");
+  const maxHops = options.maxHops || DEFAULT_MAX_HOPS;
+  const log = options.log || (() => {});
+
+  let cache = null;
+  const inflight = new Map(); // outpoint -> promise
+
+  function load() {
+    if (cache) return cache;
+    try {
+      const raw = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+      if (raw && raw.version === CACHE_VERSION && raw.outpoints) {
+        cache = raw;
+        return cache;
+      }
+    } catch (_) {}
+    cache = { version: CACHE_VERSION, outpoints: {} };
+    return cache;
+  }
+
+  function save() {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = cachePath + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(cache), "utf8");
+    fs.renameSync(tmp, cachePath);
+  }
+
+  // getTxDecoded for many walks at once: lookups made in the same tick go
+  // out as one batch, and a tx two walks share is fetched once
+  function batchedTxLoader() {
+    const txs = new Map(); // txid -> promise
+    let queue = [];
+
+    async function flush() {
+      const calls = queue;
+      queue = [];
+      let results;
+      try {
+        results = await rpc.batch(calls.map(c => ["getrawtransaction", [c.txid, 1]]));
+      } catch (_) {
+        results = [];
+      }
+      calls.forEach((c, i) => {
+        const r = results[i];
+        // errors (and nodes refusing batches) take getTxDecoded's fallbacks
+        if (r && !r.error && r.result) c.resolve(r.result);
+        else getTxDecoded(c.txid).then(c.resolve, c.reject);
+      });
+    }
+
+    return (txid) => {
+      if (!txs.has(txid)) {
+        txs.set(txid, new Promise((resolve, reject) => {
+          if (!queue.length) setImmediate(flush);
+          queue.push({ txid, resolve, reject });
+        }));
+      }
+      return txs.get(txid);
+    };
+  }
+
+  async function check(u, getTx) {
+    const key = outpointKey(u);
+    const known = load().outpoints[key];
+    if (known && (known.status !== "unknown" || known.maxHops === maxHops)) return known;
+    if (inflight.has(key)) return inflight.get(key);
+
+    const p = (async () => {
+      try {
+        const found = await inscriptionAtOutpoint(u.txid, u.vout, maxHops, { strict: true, getTx });
+        const entry = found
+          ? { status: "inscribed", ...found, checkedAt: new Date().toISOString() }
+          : { status: "clean", checkedAt: new Date().toISOString() };
+        load().outpoints[key] = entry;
+        if (found) log(`[coincontrol] ${key} carries ${found.inscriptionId}`);
+        return entry;
+      } catch (err) {
+        const entry = { status: "unknown", error: err.message || String(err) };
+        if (err.code === "hop_limit") {
+          // same answer next time unless maxHops changes
+          Object.assign(entry, { maxHops, checkedAt: new Date().toISOString() });
+          load().outpoints[key] = entry;
+        }
+        return entry;
+      } finally {
+        inflight.delete(key);
+      }
+    })();
+    inflight.set(key, p);
+    return p;
+  }
+
+  /**
+   * Tag UTXOs ({ txid, vout, … }) with what they carry.
+   * Adds `inscriptionStatus` ("inscribed" | "clean" | "unknown") and
+   * `inscription` ({ inscriptionId, genesisTxid, revealTxid, hops } or null).
+   * With opts.prune the cache is trimmed to exactly these outpoints
+   * (pass the full listunspent result).
+   */
+  async function tag(utxos, opts = {}) {
+    const list = utxos || [];
+    const getTx = rpc.batch ? batchedTxLoader() : undefined;
+    const entries = await Promise.all(list.map(u => check(u, getTx)));
+    const out = [];
+    for (let i = 0; i < list.length; i++) {
+      const u = list[i];
+      const entry = entries[i];
+      out.push({
+        ...u,
+        inscriptionStatus: entry.status,
+        inscription: entry.status === "inscribed"
+          ? {
+              inscriptionId: entry.inscriptionId,
+              genesisTxid: entry.genesisTxid,
+              revealTxid: entry.revealTxid,
+              hops: entry.hops,
+            }
+          : null,
+        ...(entry.error ? { inscriptionError: entry.error } : {}),
+      });
+    }
+
+    const c = load();
+    if (opts.prune) {
+      const live = new Set(out.map(outpointKey));
+      for (const key of Object.keys(c.outpoints)) {
+        if (!live.has(key)) delete c.outpoints[key];
+      }
+    }
+    save();
+    return out;
+  }
+
+  /** Wallet UTXOs (listunspent) with tags; the cache follows the wallet. */
+  async function walletUtxos(minconf = 0) {
+    const unspent = await rpc("listunspent", [minconf, 9999999]);
+    if (!Array.isArray(unspent)) {
+      throw new Error("Unexpected listunspent result: " + JSON.stringify(unspent));
+    }
+    return tag(unspent, { prune: minconf === 0 });
+  }
+
+  return { tag, walletUtxos, outpointKey, isProtected };
+}
+
+module.exports = { createCoinControl, planSend, uncheckedNeeded, outpointKey, isProtected, protectedInfo };
@@ -1,40 +1,28 @@
 #!/usr/bin/env node
-const axios = require("axios");
 const dotenv = require("dotenv");
 const zcashcore = require("bitcore-lib-zcash");
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 const mime = require("mime-types");
+const { createSpendIndex } = require("./spendindex");
+const { rpc, rpcConfigured, RPC_CONFIG_ERROR } = require("./rpc");
+const { createProfileStore, contentDirFor } = require("./profiles");
 
 dotenv.config();
 const { Script, Transaction } = zcashcore;
 
-// ---------------- RPC CONFIG (local node) ----------------
-const NODE_RPC_URL  = process.env.NODE_RPC_URL;
-const NODE_RPC_USER = process.env.NODE_RPC_USER;
-const NODE_RPC_PASS = process.env.NODE_RPC_PASS;
-
-if (!NODE_RPC_URL || !NODE_RPC_USER || !NODE_RPC_PASS) {
-  console.error("ERROR: Please set NODE_RPC_URL, NODE_RPC_USER and NODE_RPC_PASS in .env for your local node.");
-  process.exit(1);
-}
-
-const rpcClient = axios.create({
-  baseURL: NODE_RPC_URL,
-  auth: {
-    username: NODE_RPC_USER,
-    password: NODE_RPC_PASS,
-  },
-  headers: {
-    "Content-Type": "application/json",
-  },
-  timeout: 30000,
-});
-
 // ---------------- CONTENT / MASTER HELPERS ----------------
-const CONTENT_DIR = path.join(process.cwd(), "content");
-const MASTER_DIR = path.join(CONTENT_DIR, "master");
-const MASTER_PATH = path.join(MASTER_DIR, "master.json");
+// One content directory per network (profiles.js); setContentDir() switches
+// when the viewer activates another node profile. Run on its own, decode.js
+// writes under ./content of the working directory.
+const CONTENT_ROOT = path.join(process.cwd(), "content");
+let CONTENT_DIR;
+let MASTER_DIR;
+let MASTER_PATH;
+// Pieces + chain position of inscriptions whose chain ended early
+let PARTIAL_DIR;
+let spendIndex;
 
 function ensureContentDir() {
   if (!fs.existsSync(CONTENT_DIR)) {
@@ -77,17 +65,56 @@ function upsertMasterEntry(meta) {
   saveMaster(master);
 }
 
+function sha256(buf) {
+  return crypto.createHash("sha256").update(buf).digest("hex");
+}
+
+// ---------------- PARTIAL DECODES ----------------
+// content/partial/<inscriptionId>.json keeps what a decode collected before
+// the spender chain ran out, so a retry only has to look for what's missing:
+//   { inscriptionId, totalPieces, mimeType, pieces: { <n>: <hex> },
+//     missingPieces: [...], resume: { txid, vout, height }, updatedAt }
+
+function partialPath(inscriptionId) {
+  return path.join(PARTIAL_DIR, `${inscriptionId}.json`);
+}
+
+function loadPartial(inscriptionId) {
+  const p = partialPath(inscriptionId);
+  if (!fs.existsSync(p)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(p, "utf8"));
+  } catch (e) {
+    console.warn(`Invalid partial state for ${inscriptionId}, starting over:`, e.message);
+    return null;
+  }
+}
+
+function savePartial(state) {
+  if (!fs.existsSync(PARTIAL_DIR)) fs.mkdirSync(PARTIAL_DIR, { recursive: true });
+  const p = partialPath(state.inscriptionId);
+  const tmp = p + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify({ ...state, updatedAt: new Date().toISOString() }), "utf8");
+  fs.renameSync(tmp, p);
+}
+
+function clearPartial(inscriptionId) {
+  const p = partialPath(inscriptionId);
+  if (fs.existsSync(p)) fs.unlinkSync(p);
+}
+
 // Find a saved inscription file in /content by inscription id or txid
 // e.g. "01a4...99232i0" → content/01a4...99232i0.svg
+//      "01a4...99232"   → content/01a4...99232i0.svg
 function findContentFile(idOrTxid) {
   if (!idOrTxid) return null;
 
   const base = idOrTxid.toLowerCase();
-  const cleaned = base.replace(/i\d+$/, "");
 
-  const candidates = [...new Set(
-    [base, cleaned, cleaned ? `${cleaned}i0` : null].filter(Boolean)
-  )];
+  // i1, i2, … must match exactly; a bare txid and <txid>i0 both mean the
+  // first envelope, stored as <txid>i0.<ext> (or <txid>.<ext> in older data).
+  const cleaned = base.replace(/i0$/, "");
+  const candidates = /i\d+$/.test(cleaned) ? [cleaned] : [`${cleaned}i0`, cleaned];
 
   try {
     ensureContentDir();
@@ -108,32 +135,23 @@ function findContentFile(idOrTxid) {
   return null;
 }
 
-// ---------------- RPC WRAPPER ----------------
-
-async function rpc(method, params = [], id = "zordinals") {
-  const body = { jsonrpc: "2.0", id, method, params };
-
-  try {
-    const res = await rpcClient.post("", body);
-
-    if (res.data.error) {
-      const err = new Error(res.data.error.message || JSON.stringify(res.data.error));
-      err._method = method;
-      err._params = params;
-      err._raw = res.data.error;
-      throw err;
-    }
-    return res.data.result;
-  } catch (err) {
-    if (err.code === "ECONNREFUSED") {
-      console.error("ERROR: Cannot connect to local node at", NODE_RPC_URL);
-      console.error("Make sure your zcashd node is running and RPC is enabled.");
-    }
-    throw err;
-  }
+// ---------------- RPC ----------------
+// rpc.js reads the node settings from process.env on every call: when
+// decode.js runs inside viewer.js, RPC settings saved from the dashboard
+// apply without a restart.
+
+function setContentDir(dir) {
+  CONTENT_DIR = dir;
+  MASTER_DIR = path.join(CONTENT_DIR, "master");
+  MASTER_PATH = path.join(MASTER_DIR, "master.json");
+  PARTIAL_DIR = path.join(CONTENT_DIR, "partial");
+  spendIndex = createSpendIndex(rpc, {
+    dir: path.join(CONTENT_DIR, "spendindex"),
+    log: msg => console.log(msg),
+  });
 }
 
-const sleep = ms => new Promise(r => setTimeout(r, ms));
+setContentDir(contentDirFor(process.env.NODE_NETWORK, CONTENT_ROOT));
 
 // ---------------- TX DECODE ----------------
 
@@ -164,6 +182,9 @@ async function getTxDecoded(txid) {
 
 // ---------------- ORD PARSING ----------------
 
+// largest piece number chunkToNumber can read (two-byte push)
+const MAX_PIECE_INDEX = 255 * 255 + 255;
+
 function chunkToNumber(chunk) {
   if (chunk.opcodenum === 0) return 0;
   if (chunk.opcodenum === 1 && chunk.buf) return chunk.buf[0];
@@ -182,6 +203,7 @@ function parseOrdScript(hex) {
   const c = script.chunks;
   if (!c.length || !c[0].buf) return null;
   if (c[0].buf.toString("utf8") !== "ord") return null;
+  if (!c[1] || !c[2] || !c[2].buf) return null;
 
   const totalPieces = chunkToNumber(c[1]);
   if (totalPieces === undefined) return null;
@@ -213,6 +235,7 @@ function parseOrdPieces(hex, expectedPieces, expectedMime) {
   let mimeType = expectedMime;
 
   if (c[0].buf && c[0].buf.toString("utf8") === "ord") {
+    if (!c[1] || !c[2]) return null;
     const t = chunkToNumber(c[1]);
     if (t === undefined || !c[2].buf) return null;
     totalPieces = t;
@@ -232,90 +255,239 @@ function parseOrdPieces(hex, expectedPieces, expectedMime) {
   return Object.keys(pieces).length ? { totalPieces, mimeType, pieces } : null;
 }
 
+// Every input of a transaction that opens an ord envelope (has the header).
+// Envelope <n> of a genesis tx is inscription <txid>i<n>.
+function ordEnvelopes(tx) {
+  const found = [];
+  const vins = (tx && tx.vin) || [];
+  for (let i = 0; i < vins.length; i++) {
+    const ord = parseOrdScript(vins[i].scriptSig?.hex);
+    if (ord) found.push({ index: found.length, vin: i, ord });
+  }
+  return found;
+}
+
+function parseInscriptionId(idOrTxid) {
+  const clean = idOrTxid.trim().toLowerCase();
+  const m = clean.match(/^(.*?)i(\d+)$/);
+  if (!m) return { txid: clean, index: 0, hasSuffix: false };
+  return { txid: m[1], index: parseInt(m[2], 10), hasSuffix: true };
+}
+
 // ---------------- CHAIN WALK ----------------
 
-async function getTxHeight(tx) {
+// Where a mined tx sits: { height, time, txIndex }; null while unconfirmed
+async function getTxBlockPosition(tx) {
   if (!tx.blockhash) return null;
   const blk = await rpc("getblock", [tx.blockhash]);
-  return blk.height;
+  return { height: blk.height, time: blk.time, txIndex: (blk.tx || []).indexOf(tx.txid) };
 }
 
-async function findSpender(txid, vout, startHeight, depth) {
-  for (let h = startHeight; h <= startHeight + depth; h++) {
-    let hash;
-    try { hash = await rpc("getblockhash", [h]); }
-    catch { return null; }
+// master.json fields for the genesis position (inscription numbers follow
+// chain order: height, then position in the block)
+function genesisFields(genesisBlock) {
+  return {
+    genesisHeight: genesisBlock ? genesisBlock.height : null,
+    genesisTime: genesisBlock ? genesisBlock.time : null,
+    genesisTxIndex: genesisBlock ? genesisBlock.txIndex : null,
+  };
+}
 
-    const blk = await rpc("getblock", [hash, 2]);
-    for (const tx of blk.tx) {
-      for (let i = 0; i < tx.vin.length; i++) {
-        const vin = tx.vin[i];
-        if (vin.txid === txid && vin.vout === vout) {
-          return { txid: tx.txid, vinIndex: i, height: h };
-        }
-      }
-    }
-    await sleep(1000);
-  }
-  return null;
+// Spender lookups go through the persistent spend index (spendindex.js):
+// getspentinfo when the node has spentindex=1, otherwise the local index
+// which only scans blocks it has not seen before.
+async function findSpender(txid, vout, startHeight, depth, onBlock) {
+  return spendIndex.findSpender(txid, vout, startHeight, depth, onBlock);
 }
 
-// Walk backwards until first ord inscription
-async function findGenesis(descendantTxid) {
+// Known spender only, no block scan (explorer pages)
+async function lookupSpender(txid, vout, startHeight = null) {
+  return spendIndex.lookupSpender(txid, vout, startHeight);
+}
+
+function spendIndexStatus() {
+  return spendIndex.status();
+}
+
+// An envelope at an input spending output <vout> of `parent` is a later link
+// of a reveal chain (not a genesis) when the parent's input <vout> opens an
+// envelope too. indexer.js uses the same rule.
+function continuesReveal(parent, vout) {
+  const vins = (parent && parent.vin) || [];
+  const vinIdx = vins[vout] ? vout : 0;
+  return !!parseOrdScript(vins[vinIdx]?.scriptSig?.hex);
+}
+
+// Walk backwards until first ord inscription.
+//
+// Pieces carried by input <i> of a reveal tx continue through output <i>,
+// so from an envelope at input <i> the previous link is the tx that created
+// the outpoint that input spends, and its envelope sits at input <vout>.
+// `envelopeIndex` picks which envelope to start from when the given tx has
+// several (e.g. <txid>i1); an index the tx doesn't have is not_found.
+async function findGenesis(descendantTxid, envelopeIndex = 0) {
   let current = descendantTxid;
+  let tx = await getTxDecoded(current);
+  const startEnvs = ordEnvelopes(tx);
+  if (envelopeIndex > 0 && !startEnvs[envelopeIndex]) {
+    const err = new Error(`${descendantTxid} has no envelope i${envelopeIndex} (${startEnvs.length} found).`);
+    err.code = "not_found";
+    throw err;
+  }
+  let vinIdx = startEnvs.length ? startEnvs[envelopeIndex].vin : 0;
 
   while (true) {
-    const tx = await getTxDecoded(current);
-    const vin0 = tx.vin[0];
-    if (!vin0 || !vin0.scriptSig) {
-      return { genesisTxid: current, tx };
+    const vin = tx.vin[vinIdx];
+    if (!vin || !vin.scriptSig) {
+      return { genesisTxid: current, tx, vin: vinIdx, index: 0 };
     }
 
-    const ord = parseOrdScript(vin0.scriptSig.hex);
+    const ord = parseOrdScript(vin.scriptSig.hex);
+    const parent = await getTxDecoded(vin.txid);
+    const parentVinIdx = parent.vin[vin.vout] ? vin.vout : 0;
+
     if (ord) {
-      const parent = await getTxDecoded(vin0.txid);
-      if (parseOrdScript(parent.vin[0]?.scriptSig?.hex)) {
+      if (continuesReveal(parent, vin.vout)) {
         // There is an earlier ord inscription, keep walking back
-        current = vin0.txid;
+        current = vin.txid;
+        tx = parent;
+        vinIdx = parentVinIdx;
       } else {
         // This is the first ord in the chain
-        return { genesisTxid: current, tx, ord };
+        const env = ordEnvelopes(tx).find(e => e.vin === vinIdx);
+        return { genesisTxid: current, tx, ord, vin: vinIdx, index: env ? env.index : 0 };
       }
     } else {
       // No ord here, walk further back
-      current = vin0.txid;
+      current = vin.txid;
+      tx = parent;
+      vinIdx = parentVinIdx;
+    }
+  }
+}
+
+// Envelope without the "ord" header (a later link of a reveal chain).
+function hasOrdPieces(hex) {
+  return !!parseOrdPieces(hex, MAX_PIECE_INDEX + 1);
+}
+
+// Which inscription, if any, sits on outpoint <txid>:<vout>.
+//
+// Same rule as findGenesis, started from an output: output <n> is fed by
+// input <n>, so step back through input <vout> until an input carries ord
+// pieces, then follow the envelope run back to its header. Up to `maxHops`
+// plain links (no envelope) are crossed first, so an inscription that was
+// sent on a few times is still found. An output without a matching input
+// (e.g. change at vout 1 of a one-input tx) carries nothing.
+// Returns null or { inscriptionId, genesisTxid, revealTxid, hops }. With
+// opts.strict, running out of hops throws (code "hop_limit") instead of
+// answering null: the output may still carry a Zord from further back.
+// opts.getTx replaces getTxDecoded (coincontrol.js batches the lookups).
+async function inscriptionAtOutpoint(txid, vout, maxHops = 8, opts = {}) {
+  const getTx = opts.getTx || getTxDecoded;
+  let tx = await getTx(txid);
+  let vinIdx = vout;
+  let hops = 0;
+  let revealTxid = null; // last reveal link seen while walking back
+
+  while (true) {
+    const vin = tx.vin[vinIdx];
+    if (!vin || !vin.scriptSig) return null;
+
+    const hex = vin.scriptSig.hex;
+    if (parseOrdScript(hex)) {
+      const parent = await getTx(vin.txid);
+      if (!parseOrdScript(parent.vin[vin.vout]?.scriptSig?.hex)) {
+        const env = ordEnvelopes(tx).find(e => e.vin === vinIdx);
+        return {
+          inscriptionId: `${tx.txid}i${env ? env.index : 0}`,
+          genesisTxid: tx.txid,
+          revealTxid: revealTxid || tx.txid,
+          hops,
+        };
+      }
+      // header repeated on an earlier link, keep walking like findGenesis
+      revealTxid = revealTxid || tx.txid;
+      tx = parent;
+      vinIdx = vin.vout;
+      continue;
+    }
+
+    if (hasOrdPieces(hex)) {
+      revealTxid = revealTxid || tx.txid;
+    } else {
+      // pieces that never reached a header were not an envelope after all
+      if (revealTxid) return null;
+      if (hops >= maxHops) {
+        if (!opts.strict) return null;
+        const err = new Error(`No envelope within ${maxHops} links of ${txid}:${vout}; its history was not checked further.`);
+        err.code = "hop_limit";
+        throw err;
+      }
+      hops++;
     }
+    tx = await getTx(vin.txid);
+    vinIdx = vin.vout;
   }
 }
 
 // ---------------- RECONSTRUCTION ----------------
 
-function allPieces(agg, total) {
+function missingPieces(agg, total) {
+  const missing = [];
   for (let i = 0; i < total; i++) {
-    if (!agg[i]) return false;
+    if (!agg[i]) missing.push(i);
+  }
+  return missing;
+}
+
+function allPieces(agg, total) {
+  return missingPieces(agg, total).length === 0;
+}
+
+// Progress events go to opts.onProgress(event) when given (decode queue /
+// SSE in viewer.js); the CLI just logs.
+function emitProgress(opts, event) {
+  if (opts && typeof opts.onProgress === "function") {
+    try { opts.onProgress(event); } catch (_) {}
   }
-  return true;
 }
 
 /**
- * Core reconstruct function:
- *  - finds genesis for the given txid
- *  - walks forward collecting ord pieces
- *  - writes content/<genesisTxid>i0.<ext>
- *  - upserts entry into master.json
- *  - returns { resultBuf, mimeType, inscriptionId }
+ * Walk a reveal chain and collect its payload (no files written):
+ *  - finds genesis for the given txid (envelope `envelopeIndex` if it has several)
+ *  - walks forward collecting ord pieces; unless `opts.fresh`, an earlier
+ *    partial decode is resumed from where that chain ended with its pieces
+ *  - `opts.pendingSpender(txid, vout)` (mempool, mempoolzords.js) may
+ *    continue the chain with an unconfirmed spender: { txid, vinIndex } or null
+ *  - returns { genesis, genesisBlock, inscriptionId, totalPieces, mimeType,
+ *              resultBuf, pieces, missingPieces, resume, pendingTxids }
+ *    (genesisBlock: { height, time, txIndex } of the genesis tx, null while
+ *    unconfirmed; pendingTxids: links of the chain not mined yet, genesis
+ *    included)
+ *
+ * Progress events: genesis, pieces, blocks (see emitProgress).
  */
-async function reconstructAndReturnBuffer(baseTxid) {
-  const { genesisTxid, tx: genTx, ord } = await findGenesis(baseTxid);
-  const header = ord || parseOrdScript(genTx.vin[0].scriptSig.hex);
+async function collectInscription(baseTxid, envelopeIndex = 0, opts = {}) {
+  const genesis = await findGenesis(baseTxid, envelopeIndex);
+  const { genesisTxid, tx: genTx, ord } = genesis;
+  const header = ord || parseOrdScript(genTx.vin[genesis.vin]?.scriptSig?.hex);
 
   if (!header) {
     throw new Error("No ord header found on the genesis transaction.");
   }
 
   const { totalPieces, mimeType } = header;
-  console.log(`Genesis: ${genesisTxid}, pieces=${totalPieces}, mime=${mimeType}`);
+  console.log(`Genesis: ${genesisTxid} (input ${genesis.vin} → i${genesis.index}), pieces=${totalPieces}, mime=${mimeType}`);
+  emitProgress(opts, {
+    type: "genesis",
+    genesisTxid,
+    inscriptionId: `${genesisTxid}i${genesis.index}`,
+    totalPieces,
+    mimeType,
+  });
 
+  const inscriptionId = `${genesisTxid}i${genesis.index}`;
   const aggregated = {};
 
   // Collect genesis pieces
@@ -323,13 +495,49 @@ async function reconstructAndReturnBuffer(baseTxid) {
     aggregated[k] = header.pieces[k];
   }
 
-  // Follow spender chain
-  let height = await getTxHeight(genTx);
+  // Follow spender chain, from the genesis or from where the last attempt stopped
+  const genesisBlock = await getTxBlockPosition(genTx);
+  let height = genesisBlock ? genesisBlock.height : null;
   let curTx = genesisTxid;
-  let vout = 0;
+  let vout = genesis.vin;
+
+  const previous = opts.fresh ? null : loadPartial(inscriptionId);
+  if (previous && previous.totalPieces === totalPieces && previous.resume) {
+    for (const k in previous.pieces || {}) {
+      if (!aggregated[k]) aggregated[k] = Buffer.from(previous.pieces[k], "hex");
+    }
+    ({ txid: curTx, vout, height } = previous.resume);
+    // saved while that link was unconfirmed: without a height the spend
+    // index has nowhere to scan from, so look it up again now
+    if (height == null) {
+      const block = curTx === genesisTxid ? genesisBlock : await getTxBlockPosition(await getTxDecoded(curTx));
+      height = block ? block.height : null;
+    }
+    console.log(`Resuming ${inscriptionId} at ${curTx}:${vout}, missing pieces: ${previous.missingPieces.join(", ")}`);
+  }
+
+  const reportPieces = () => emitProgress(opts, {
+    type: "pieces",
+    collected: Object.keys(aggregated).length,
+    total: totalPieces,
+  });
+  reportPieces();
+
+  const pendingTxids = genTx.blockhash ? [] : [genesisTxid];
+  let blocksScanned = 0;
+  const onBlock = (h) => {
+    blocksScanned++;
+    if (blocksScanned % 25 === 0) {
+      emitProgress(opts, { type: "blocks", scanned: blocksScanned, height: h });
+    }
+  };
 
   while (!allPieces(aggregated, totalPieces)) {
-    const spender = await findSpender(curTx, vout, height, 2000);
+    // an outpoint spent in the mempool has no confirmed spender, and a
+    // pending link is never followed by a confirmed one
+    let spender = opts.pendingSpender ? opts.pendingSpender(curTx, vout) : null;
+    if (spender) pendingTxids.push(spender.txid);
+    else if (!pendingTxids.length) spender = await findSpender(curTx, vout, height, 2000, onBlock);
     if (!spender) break;
 
     const child = await getTxDecoded(spender.txid);
@@ -340,60 +548,123 @@ async function reconstructAndReturnBuffer(baseTxid) {
       for (const k in p.pieces) {
         if (!aggregated[k]) aggregated[k] = p.pieces[k];
       }
+      reportPieces();
     }
 
     curTx = spender.txid;
-    height = spender.height;
+    vout = spender.vinIndex;
+    height = spender.height ?? null;
   }
 
   // Build output using DESCENDING ORDER (as per your original logic)
   const order = Array.from({ length: totalPieces }, (_, i) => i).reverse();
-  const resultBuf = Buffer.concat(order.map(i => aggregated[i] || Buffer.alloc(0)));
+  // (missing pieces are left out; master.json marks the file partial)
+  const resultBuf = Buffer.concat(order.filter(i => aggregated[i]).map(i => aggregated[i]));
+
+  return {
+    genesis,
+    genesisBlock,
+    inscriptionId,
+    totalPieces,
+    mimeType,
+    resultBuf,
+    pieces: aggregated,
+    missingPieces: missingPieces(aggregated, totalPieces),
+    resume: { txid: curTx, vout, height },
+    pendingTxids,
+  };
+}
+
+/**
+ * Core reconstruct function:
+ *  - collects the payload (collectInscription)
+ *  - writes content/<genesisTxid>i<n>.<ext>
+ *  - upserts entry into master.json with the payload's sha256;
+ *    `partial: true` + `missingPieces` when the chain ended before every
+ *    piece was found
+ *  - returns { resultBuf, mimeType, inscriptionId, partial, missingPieces }
+ *
+ * Progress events: genesis, pieces, blocks, partial (see emitProgress).
+ */
+async function reconstructAndReturnBuffer(baseTxid, envelopeIndex = 0, opts = {}) {
+  const collected = await collectInscription(baseTxid, envelopeIndex, opts);
+  const { genesis, inscriptionId, totalPieces, mimeType, resultBuf } = collected;
+  const genesisTxid = genesis.genesisTxid;
+  const missing = collected.missingPieces;
+
+  if (missing.length) {
+    // Chain ended (or isn't mined yet): keep what we have for the next try
+    const pieces = {};
+    for (const k in collected.pieces) pieces[k] = collected.pieces[k].toString("hex");
+    savePartial({
+      inscriptionId,
+      totalPieces,
+      mimeType,
+      pieces,
+      missingPieces: missing,
+      resume: collected.resume,
+    });
+    console.warn(`⚠ ${inscriptionId} is partial: missing pieces ${missing.join(", ")} of ${totalPieces}`);
+    emitProgress(opts, { type: "partial", missingPieces: missing, total: totalPieces });
+  } else {
+    clearPartial(inscriptionId);
+  }
 
   ensureContentDir();
   const ext = mime.extension(mimeType) || "bin";
 
-  const inscriptionId = `${genesisTxid}i0`;
   const filename = `${inscriptionId}.${ext}`;
   const out = path.join(CONTENT_DIR, filename);
 
   fs.writeFileSync(out, resultBuf);
   const stats = fs.statSync(out);
 
-  console.log(`✔ Saved image → content/${filename}`);
+  console.log(`${missing.length ? "⚠ Saved partial" : "✔ Saved"} image → content/${filename}`);
   console.log(`Size: ${stats.size} bytes`);
 
   // Update master.json
   upsertMasterEntry({
     inscriptionId,
     txid: genesisTxid,
+    index: genesis.index,
+    vin: genesis.vin,
     filename,
     mimeType,
     ext,
     size: stats.size,
+    sha256: sha256(resultBuf),
+    totalPieces,
+    ...genesisFields(collected.genesisBlock),
+    partial: missing.length > 0,
+    missingPieces: missing,
+    // where the last reveal leaves the inscription (start of locateInscription)
+    revealOutput: missing.length ? null : collected.resume,
   });
 
-  return { resultBuf, mimeType, inscriptionId };
+  return { resultBuf, mimeType, inscriptionId, partial: missing.length > 0, missingPieces: missing };
 }
 
 /**
  * Ensure an inscription is present in /content and in master.json.
- * Accepts either txid or txid+i0.
- * Returns { resultBuf|null, mimeType|null, inscriptionId, fromCache:boolean }.
+ * Accepts either txid (→ i0) or txid+i<n>.
+ * Entries marked `partial` are decoded again (resuming from the saved
+ * pieces) instead of being served from cache.
+ * Returns { resultBuf|null, mimeType|null, inscriptionId, fromCache:boolean,
+ *           partial:boolean, missingPieces:number[] }.
  */
-async function ensureInscriptionDecoded(idOrTxid) {
+async function ensureInscriptionDecoded(idOrTxid, opts = {}) {
   ensureContentDir();
   const master = loadMaster();
 
-  const clean = idOrTxid.trim();
-  const hasSuffix = /i\d+$/.test(clean);
-  const inscriptionId = hasSuffix ? clean : `${clean.replace(/i\d+$/, "")}i0`;
-  const baseTxid = inscriptionId.replace(/i\d+$/, "");
+  const { txid: baseTxid, index } = parseInscriptionId(idOrTxid);
+  const inscriptionId = `${baseTxid}i${index}`;
 
   const masterEntry = master[inscriptionId];
 
   // If master knows this inscription and file exists → use it, no decode
-  if (masterEntry) {
+  if (masterEntry && masterEntry.partial) {
+    console.log(`Master entry for ${inscriptionId} is partial (missing ${(masterEntry.missingPieces || []).join(", ")}), resuming...`);
+  } else if (masterEntry) {
     const candidate =
       masterEntry.filename
         ? path.join(CONTENT_DIR, masterEntry.filename)
@@ -403,7 +674,7 @@ async function ensureInscriptionDecoded(idOrTxid) {
       console.log(`Master: using existing inscription ${inscriptionId}`);
       const ext = path.extname(candidate).slice(1).toLowerCase();
       const mimeType = masterEntry.mimeType || mime.lookup(ext) || "application/octet-stream";
-      return { resultBuf: null, mimeType, inscriptionId, fromCache: true };
+      return { resultBuf: null, mimeType, inscriptionId, fromCache: true, partial: false, missingPieces: [] };
     }
 
     console.log(`Master entry found for ${inscriptionId} but file missing, reconstructing...`);
@@ -417,38 +688,41 @@ async function ensureInscriptionDecoded(idOrTxid) {
       upsertMasterEntry({
         inscriptionId,
         txid: baseTxid,
+        index,
         filename: path.basename(existingFile),
         mimeType,
         ext,
         size: stats.size,
+        sha256: sha256(fs.readFileSync(existingFile)),
       });
       console.log(`Master: registered existing file for ${inscriptionId}`);
-      return { resultBuf: null, mimeType, inscriptionId, fromCache: true };
+      return { resultBuf: null, mimeType, inscriptionId, fromCache: true, partial: false, missingPieces: [] };
     }
   }
 
   // Need to actually reconstruct
-  const { resultBuf, mimeType, inscriptionId: realId } =
-    await reconstructAndReturnBuffer(baseTxid);
+  const { resultBuf, mimeType, inscriptionId: realId, partial, missingPieces: missing } =
+    await reconstructAndReturnBuffer(baseTxid, index, opts);
 
   return {
     resultBuf,
     mimeType,
     inscriptionId: realId,
     fromCache: false,
+    partial,
+    missingPieces: missing,
   };
 }
 
 // Recursively ensure that all /content/<inscriptionId> dependencies
 // referenced inside an HTML/SVG inscription are decoded into /content.
-async function handleHtmlSvgDependencies(inscriptionId, mimeType, buffer, visited = new Set()) {
+async function handleHtmlSvgDependencies(inscriptionId, mimeType, buffer, visited = new Set(), opts = {}) {
   if (!mimeType || (mimeType !== "text/html" && mimeType !== "image/svg+xml")) {
     return;
   }
 
-  const baseTxid = inscriptionId.replace(/i\d+$/, "");
-  if (visited.has(baseTxid)) return;
-  visited.add(baseTxid);
+  if (visited.has(inscriptionId)) return;
+  visited.add(inscriptionId);
 
   let text;
   try {
@@ -486,7 +760,11 @@ async function handleHtmlSvgDependencies(inscriptionId, mimeType, buffer, visite
 
   // Decode any missing dependency (or register existing), recurse into HTML/SVG children
   for (const depId of deps) {
-    const child = await ensureInscriptionDecoded(depId);
+    emitProgress(opts, { type: "dependency", parent: inscriptionId, inscriptionId: depId });
+    // dependencies report their own genesis/pieces under their id
+    const child = await ensureInscriptionDecoded(depId, {
+      onProgress: (ev) => emitProgress(opts, { ...ev, dependencyOf: inscriptionId }),
+    });
 
     if (child.mimeType === "text/html" || child.mimeType === "image/svg+xml") {
       await handleHtmlSvgDependencies(
@@ -494,34 +772,356 @@ async function handleHtmlSvgDependencies(inscriptionId, mimeType, buffer, visite
         child.mimeType,
         child.resultBuf,
         visited,
+        opts,
       );
     }
   }
 }
 
-// High-level wrapper used by the CLI
-async function reconstruct(inputTxidOrInscription) {
+// High-level wrapper used by the CLI and the viewer's decode queue.
+// Returns { inscriptionId, mimeType, fromCache, partial, missingPieces }.
+async function reconstruct(inputTxidOrInscription, opts = {}) {
   const base = inputTxidOrInscription.trim();
 
   // Make sure this inscription itself exists and is in master
-  const { resultBuf, mimeType, inscriptionId } = await ensureInscriptionDecoded(base);
+  const { resultBuf, mimeType, inscriptionId, fromCache, partial, missingPieces: missing } =
+    await ensureInscriptionDecoded(base, opts);
 
   // If HTML/SVG, recursively ensure children exist
   if (mimeType === "text/html" || mimeType === "image/svg+xml") {
-    await handleHtmlSvgDependencies(inscriptionId, mimeType, resultBuf);
+    await handleHtmlSvgDependencies(inscriptionId, mimeType, resultBuf, new Set(), opts);
   }
+
+  return { inscriptionId, mimeType, fromCache, partial, missingPieces: missing };
 }
 
-// ---------------- CLI ----------------
+// ---------------- LOCATION ----------------
+
+const MAX_TRANSFERS = 10000;
+// Blocks one location request may add to the spend index; the rest of the
+// scan is picked up by the next request (status "scanning")
+const LOCATE_MAX_BLOCKS = 2000;
+
+function outputAddress(out) {
+  const spk = (out && out.scriptPubKey) || {};
+  return (spk.addresses && spk.addresses[0]) || spk.address || null;
+}
+
+function timelineEntry(type, tx, vout, height) {
+  const out = tx.vout[vout];
+  return {
+    type,
+    txid: tx.txid,
+    vout,
+    address: outputAddress(out),
+    value: out.value,
+    height: height ?? null,
+    time: tx.blocktime || tx.time || null,
+  };
+}
+
+/**
+ * Where an inscription lives now.
+ *
+ * Starts at the output the last reveal passes the inscription to (kept in
+ * master.json as `revealOutput`, otherwise found by walking the reveal chain)
+ * and follows it through later spends with the same rule as the reveal
+ * chain: input <n> of the spender hands it to output <n>.
+ *
+ * Status:
+ *   unspent      – `outpoint` holds it (confirmations from gettxout)
+ *   pending      – its outpoint is being spent by a mempool tx
+ *   burned       – spent into a tx with no output <n> (went to fees)
+ *   unknown      – spent, but the spender wasn't found up to the tip
+ *   scanning     – spent, and the spend index has not reached the spender
+ *                  within this request's block budget; ask again
+ *   revealing    – the reveal chain hasn't finished; `outpoint` is where it stopped
+ *
+ * opts.maxBlocks caps the blocks scanned per call (default LOCATE_MAX_BLOCKS).
+ *
+ * Returns { inscriptionId, status, outpoint, address, value, confirmations,
+ *           timeline: [{ type: reveal|transfer|burn, txid, vout, address, value, height, time }] }.
+ */
+async function locateInscription(idOrTxid, opts = {}) {
+  const { txid: baseTxid, index } = parseInscriptionId(idOrTxid);
+  const inscriptionId = `${baseTxid}i${index}`;
+
+  const entry = loadMaster()[inscriptionId];
+  let start = entry && !entry.partial ? entry.revealOutput : null;
+  let complete = true;
+  if (!start) {
+    const collected = await collectInscription(baseTxid, index, opts);
+    start = collected.resume;
+    complete = collected.missingPieces.length === 0;
+    if (complete && entry && !entry.partial) {
+      upsertMasterEntry({ inscriptionId, revealOutput: start });
+    }
+  }
+
+  let tx = await getTxDecoded(start.txid);
+  let cur = { txid: start.txid, vout: start.vout, height: start.height };
+  const timeline = [timelineEntry(complete ? "reveal" : "revealing", tx, cur.vout, cur.height)];
+  let status = complete ? "unspent" : "revealing";
+  let confirmations = null;
+  const maxBlocks = opts.maxBlocks ?? LOCATE_MAX_BLOCKS;
+  let scanned = 0;
+
+  for (let hops = 0; hops < MAX_TRANSFERS; hops++) {
+    const utxo = await rpc("gettxout", [cur.txid, cur.vout, true]);
+    if (utxo) {
+      confirmations = utxo.confirmations;
+      break;
+    }
+
+    const spender = await findSpender(cur.txid, cur.vout, cur.height,
+      Math.max(0, maxBlocks - scanned), () => { scanned++; });
+    if (!spender) {
+      // not in a block yet: is a mempool tx spending it?
+      const confirmed = await rpc("gettxout", [cur.txid, cur.vout, false]);
+      if (confirmed) {
+        status = "pending";
+        confirmations = confirmed.confirmations;
+      } else {
+        status = scanned >= maxBlocks ? "scanning" : "unknown";
+      }
+      break;
+    }
+
+    const child = await getTxDecoded(spender.txid);
+    if (!child.vout[spender.vinIndex]) {
+      timeline.push({
+        type: "burn",
+        txid: spender.txid,
+        vout: null,
+        address: null,
+        value: 0,
+        height: spender.height,
+        time: child.blocktime || child.time || null,
+      });
+      status = "burned";
+      break;
+    }
+
+    tx = child;
+    cur = { txid: spender.txid, vout: spender.vinIndex, height: spender.height };
+    timeline.push(timelineEntry("transfer", tx, cur.vout, cur.height));
+    status = "unspent";
+  }
+
+  const last = timeline[timeline.length - 1];
+  return {
+    inscriptionId,
+    status,
+    outpoint: status === "burned" ? null : `${cur.txid}:${cur.vout}`,
+    address: status === "burned" ? null : last.address,
+    value: status === "burned" ? 0 : last.value,
+    confirmations,
+    transfers: timeline.filter(t => t.type === "transfer").length,
+    timeline,
+  };
+}
+
+// ---------------- VERIFY ----------------
 
-const [, , txidArg] = process.argv;
-if (!txidArg) {
-  console.error("Usage: node decode.js <txid or txid+i0>");
-  process.exit(1);
+/**
+ * Re-hash files in /content against the sha256 recorded in master.json.
+ *  - ids:           inscription ids / txids to check (default: all of master)
+ *  - opts.redecode: also rebuild each payload from the node (fresh walk,
+ *                   nothing written) and compare it with the file
+ *  - opts.repair:   with redecode, rewrite files that differ from the chain
+ *                   and record hashes for entries that had none
+ *  - opts.onResult: callback(result) after each inscription
+ *
+ * Per-inscription status: ok | mismatch | unhashed | missing_file |
+ * not_in_master | chain_mismatch | repaired | error.
+ * Returns { checked, counts: { <status>: n }, results: [...] }.
+ */
+async function verifyInscriptions(ids = null, opts = {}) {
+  const master = loadMaster();
+  const list = ids && ids.length
+    ? ids.map(id => {
+        const { txid, index } = parseInscriptionId(id);
+        return `${txid}i${index}`;
+      })
+    : Object.keys(master);
+
+  const results = [];
+  const counts = {};
+
+  for (const inscriptionId of list) {
+    const result = await verifyOne(inscriptionId, master[inscriptionId], opts);
+    results.push(result);
+    counts[result.status] = (counts[result.status] || 0) + 1;
+    if (typeof opts.onResult === "function") opts.onResult(result);
+  }
+
+  return { checked: results.length, counts, results };
 }
 
-reconstruct(txidArg).catch(err => {
-  console.error("ERROR:", err.message);
-  if (err._method) console.error("RPC", err._method, err._params, err._raw);
-  process.exit(1);
-});
+async function verifyOne(inscriptionId, entry, opts) {
+  const result = {
+    inscriptionId,
+    filename: entry ? entry.filename || null : null,
+    status: null,
+    expectedSha256: entry ? entry.sha256 || null : null,
+    sha256: null,
+    expectedSize: entry ? entry.size ?? null : null,
+    size: null,
+    partial: !!(entry && entry.partial),
+  };
+
+  try {
+    const filePath = entry && entry.filename
+      ? path.join(CONTENT_DIR, entry.filename)
+      : findContentFile(inscriptionId);
+
+    if (!entry) {
+      result.status = "not_in_master";
+    } else if (!filePath || !fs.existsSync(filePath)) {
+      result.status = "missing_file";
+    } else {
+      const buf = fs.readFileSync(filePath);
+      result.filename = path.basename(filePath);
+      result.sha256 = sha256(buf);
+      result.size = buf.length;
+      if (!entry.sha256) result.status = "unhashed";
+      else result.status = entry.sha256 === result.sha256 ? "ok" : "mismatch";
+    }
+
+    if (!opts.redecode) return result;
+
+    const { txid, index } = parseInscriptionId(inscriptionId);
+    const chain = await collectInscription(txid, index, { fresh: true });
+    result.chain = {
+      sha256: sha256(chain.resultBuf),
+      size: chain.resultBuf.length,
+      missingPieces: chain.missingPieces,
+    };
+
+    // An incomplete chain can't say anything about the file
+    if (chain.missingPieces.length) return result;
+
+    if (chain.inscriptionId !== inscriptionId) {
+      result.chain.inscriptionId = chain.inscriptionId;
+    }
+
+    if (result.sha256 && result.chain.sha256 === result.sha256) {
+      // File matches the chain; a missing/wrong recorded hash is the problem
+      if (result.status !== "ok" && opts.repair) {
+        upsertMasterEntry({ inscriptionId, sha256: result.sha256, size: result.size });
+        result.status = "repaired";
+      }
+      return result;
+    }
+
+    if (result.sha256) result.status = "chain_mismatch";
+    if (opts.repair && entry) {
+      const ext = mime.extension(chain.mimeType) || "bin";
+      const filename = (entry && entry.filename) || `${chain.inscriptionId}.${ext}`;
+      ensureContentDir();
+      fs.writeFileSync(path.join(CONTENT_DIR, filename), chain.resultBuf);
+      clearPartial(chain.inscriptionId);
+      upsertMasterEntry({
+        inscriptionId: chain.inscriptionId,
+        txid: chain.genesis.genesisTxid,
+        index: chain.genesis.index,
+        vin: chain.genesis.vin,
+        filename,
+        mimeType: chain.mimeType,
+        ext: path.extname(filename).slice(1),
+        size: chain.resultBuf.length,
+        sha256: result.chain.sha256,
+        totalPieces: chain.totalPieces,
+        ...genesisFields(chain.genesisBlock),
+        partial: false,
+        missingPieces: [],
+      });
+      result.filename = filename;
+      result.status = "repaired";
+    }
+  } catch (err) {
+    result.status = "error";
+    result.error = err.message || String(err);
+  }
+
+  return result;
+}
+
+// ---------------- EXPORTS ----------------
+
+module.exports = {
+  rpc,
+  getTxDecoded,
+  chunkToNumber,
+  parseOrdScript,
+  parseOrdPieces,
+  hasOrdPieces,
+  ordEnvelopes,
+  parseInscriptionId,
+  findGenesis,
+  continuesReveal,
+  findSpender,
+  lookupSpender,
+  spendIndexStatus,
+  inscriptionAtOutpoint,
+  locateInscription,
+  collectInscription,
+  reconstruct,
+  ensureInscriptionDecoded,
+  verifyInscriptions,
+  loadMaster,
+  loadPartial,
+  setContentDir,
+  get CONTENT_DIR() { return CONTENT_DIR; },
+  get MASTER_PATH() { return MASTER_PATH; },
+};
+
+// ---------------- CLI ----------------
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const verifyMode = args.includes("--verify");
+  const flags = new Set(args.filter(a => a.startsWith("--")));
+  const ids = args.filter(a => !a.startsWith("--"));
+
+  if (!verifyMode && !ids[0]) {
+    console.error("Usage: node decode.js <txid or txid+i<n>>");
+    console.error("       node decode.js --verify [--redecode] [--repair] [id ...]");
+    process.exit(1);
+  }
+
+  // same node as the viewer's active profile, content of its network
+  setContentDir(contentDirFor(createProfileStore().apply().network, CONTENT_ROOT));
+
+  const redecode = flags.has("--redecode") || flags.has("--repair");
+  const needsNode = !verifyMode || redecode;
+  if (needsNode && !rpcConfigured()) {
+    console.error("ERROR: " + RPC_CONFIG_ERROR);
+    process.exit(1);
+  }
+
+  const run = verifyMode
+    ? verifyInscriptions(ids, {
+        redecode,
+        repair: flags.has("--repair"),
+        onResult: (r) => {
+          const chain = r.chain
+            ? ` chain=${r.chain.missingPieces.length ? "incomplete" : r.chain.sha256.slice(0, 16)}`
+            : "";
+          const detail = r.error ? ` ${r.error}` : "";
+          console.log(`${r.status.padEnd(14)} ${r.inscriptionId}${r.partial ? " (partial)" : ""}${chain}${detail}`);
+        },
+      }).then(({ checked, counts }) => {
+        console.log(`\nChecked ${checked}: ` +
+          Object.entries(counts).map(([k, n]) => `${k}=${n}`).join(" "));
+        const bad = ["mismatch", "missing_file", "chain_mismatch", "error"];
+        if (bad.some(k => counts[k])) process.exit(2);
+      })
+    : reconstruct(ids[0]);
+
+  run.catch(err => {
+    console.error("ERROR:", err.message);
+    if (err._method) console.error("RPC", err._method, err._params, err._raw);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,223 @@
+// decodequeue.js
+//
+// In-process job queue around decode.js `reconstruct()`.
+//
+//  - one job per inscription id: asking again while it is queued/running
+//    returns the same job instead of starting a second decoder. With
+//    `resolveKey` a job resolves its id to the genesis id once it gets a
+//    slot (the walk is RPC work too), and a descendant txid whose genesis is
+//    already being decoded follows that job instead of decoding again
+//  - at most `concurrency` jobs run (resolve + decode) at the same time
+//  - every progress event from the decoder is kept on the job and pushed to
+//    subscribers (viewer.js streams them over SSE); a throwing subscriber
+//    is logged and does not affect the job
+
+const { EventEmitter } = require("events");
+
+const MAX_EVENTS_PER_JOB = 200;
+const KEEP_FINISHED_MS = 10 * 60 * 1000;
+const MAX_ALIASES = 1000;
+
+function createDecodeQueue(decodeFn, options = {}) {
+  const concurrency = Math.max(1, options.concurrency || 2);
+  const keyFor = options.keyFor || (id => String(id).trim().toLowerCase());
+  // async id -> genesis id; a failure falls back to keyFor(id)
+  const resolveKey = options.resolveKey || null;
+
+  const jobs = new Map(); // key (raw or resolved) -> job
+  const aliases = new Map(); // keyFor(id) -> resolved key, once known
+  const waiting = [];
+  let active = 0;
+  let seq = 0;
+
+  function pushEvent(job, type, data) {
+    job.eventSeq++;
+    const event = { seq: job.eventSeq, type, at: new Date().toISOString(), ...data };
+    job.events.push(event);
+    if (job.events.length > MAX_EVENTS_PER_JOB) job.events.shift();
+    for (const listener of job.emitter.listeners("event")) notify(listener, event);
+  }
+
+  function notify(listener, event) {
+    try {
+      listener(event);
+    } catch (err) {
+      console.error(`[decode] ${event.type} listener failed:`, err.message || err);
+    }
+  }
+
+  // Best key known without RPC: the resolved one if an earlier job found it
+  function keyOf(input) {
+    const raw = keyFor(input);
+    return aliases.get(raw) || raw;
+  }
+
+  function live(job) {
+    return !!job && (job.status === "queued" || job.status === "running");
+  }
+
+  // Genesis key of a job's id (cached: the chain behind an id doesn't change)
+  async function resolve(job) {
+    const raw = keyFor(job.input);
+    if (!resolveKey || aliases.has(raw)) return aliases.get(raw) || raw;
+    let key;
+    try {
+      key = keyFor(await resolveKey(job.input));
+    } catch (_) {
+      return raw; // not resolvable (yet); the decoder reports why
+    }
+    if (aliases.size >= MAX_ALIASES) aliases.clear();
+    aliases.set(raw, key);
+    return key;
+  }
+
+  function finish(job, err, result) {
+    job.finishedAt = new Date().toISOString();
+    if (err) {
+      job.status = "error";
+      job.error = err.message || String(err);
+      pushEvent(job, "error", { error: job.error });
+      job.reject(err);
+    } else {
+      job.status = "done";
+      job.result = result;
+      pushEvent(job, "done", { result });
+      job.resolve(result);
+    }
+  }
+
+  // `job` turned out to be the same inscription as `other`: mirror it
+  function follow(job, other) {
+    job.id = other.id;
+    const forward = (ev) => {
+      if (ev.type === "progress") pushEvent(job, "progress", ev);
+    };
+    other.emitter.on("event", forward);
+    other.promise.then(
+      (result) => finish(job, null, result),
+      (err) => finish(job, err)
+    ).finally(() => other.emitter.off("event", forward));
+  }
+
+  function prune() {
+    const now = Date.now();
+    for (const [key, job] of jobs) {
+      if (job.finishedAt && now - Date.parse(job.finishedAt) > KEEP_FINISHED_MS) {
+        jobs.delete(key);
+      }
+    }
+  }
+
+  function pump() {
+    while (active < concurrency && waiting.length) {
+      const job = waiting.shift();
+      run(job);
+    }
+  }
+
+  async function run(job) {
+    active++;
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    pushEvent(job, "started", { id: job.id });
+
+    try {
+      const key = await resolve(job);
+      const other = jobs.get(key);
+      if (other !== job && live(other)) {
+        follow(job, other);
+        return;
+      }
+      if (key !== job.id) {
+        job.id = key;
+        jobs.set(key, job);
+      }
+      const result = await decodeFn(job.input, {
+        onProgress: (ev) => pushEvent(job, "progress", ev),
+      });
+      finish(job, null, result);
+    } catch (err) {
+      finish(job, err);
+    } finally {
+      active--;
+      pump();
+    }
+  }
+
+  /**
+   * Queue a decode for `input` (txid or txid+i<n>).
+   * Returns the job; an in-flight job for the same id is reused.
+   */
+  function enqueue(input) {
+    const key = keyOf(input);
+    prune();
+    const existing = jobs.get(key);
+    if (live(existing)) return existing;
+
+    const job = {
+      id: key,
+      jobId: ++seq,
+      input,
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      events: [],
+      eventSeq: 0,
+      emitter: new EventEmitter(),
+    };
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    // callers that only subscribe to events must not trigger unhandled rejections
+    job.promise.catch(() => {});
+
+    jobs.set(key, job);
+    waiting.push(job);
+    pushEvent(job, "queued", { id: key, position: waiting.length });
+    pump();
+    return job;
+  }
+
+  // Replays the job's history, then forwards new events. Returns unsubscribe.
+  function subscribe(job, listener) {
+    for (const ev of job.events) notify(listener, ev);
+    job.emitter.on("event", listener);
+    return () => job.emitter.off("event", listener);
+  }
+
+  function get(input) {
+    return jobs.get(keyOf(input)) || jobs.get(keyFor(input)) || null;
+  }
+
+  function summary(job) {
+    return {
+      id: job.id,
+      jobId: job.jobId,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error,
+      result: job.result,
+      lastEvent: job.events[job.events.length - 1] || null,
+    };
+  }
+
+  function list() {
+    prune();
+    return {
+      concurrency,
+      active,
+      queued: waiting.length,
+      jobs: [...jobs.values()].map(summary),
+    };
+  }
+
+  return { enqueue, subscribe, get, list, summary };
+}
+
+module.exports = { createDecodeQueue };
@@ -0,0 +1,362 @@
+// explorer.js
+//
+// Block / transaction / address views straight from the node, so looking
+// something up never needs a third-party explorer.
+//
+//   block(hashOrHeight)   header fields + a page of its transactions ("tip"
+//                         for the latest block)
+//   tx(txid)              inputs with their prevouts (value, address) and
+//                         any `ord` envelope they carry, outputs with
+//                         their spender, fee incl. shielded value balances
+//   address(addr)         balance + history; needs the node's address index
+//                         (zcashd -insightexplorer / -lightwalletd)
+//
+// Spenders come from getspentinfo or the local spend index (spendindex.js)
+// without scanning blocks for them; `spent` itself comes from gettxout, so
+// an output can be known spent while its spender is not indexed yet.
+
+const {
+  getTxDecoded,
+  parseOrdScript,
+  parseOrdPieces,
+  inscriptionAtOutpoint,
+  lookupSpender,
+  spendIndexStatus,
+} = require("./decode");
+
+const SATS = 1e8;
+const MAX_LIMIT = 500;
+// envelopes resolved to an inscription id per request (each walks back)
+const MAX_RESOLVED_ENVELOPES = 50;
+
+function explorerError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function toZec(zats) {
+  return Math.round(zats) / SATS;
+}
+
+function zatsOf(v) {
+  return Math.round(Number(v || 0) * SATS);
+}
+
+function paging(query = {}, defaultLimit) {
+  return {
+    offset: Math.max(0, parseInt(query.offset, 10) || 0),
+    limit: Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || defaultLimit)),
+  };
+}
+
+// node "not found" answers (-5 no such tx/block, -8 height out of range)
+function notFound(err, what) {
+  if (err && (err.rpcCode === -5 || err.rpcCode === -8)) {
+    return explorerError("not_found", `${what} not found on this node.`);
+  }
+  return err;
+}
+
+function firstAddress(spk) {
+  if (!spk) return null;
+  if (Array.isArray(spk.addresses) && spk.addresses.length) return spk.addresses[0];
+  return spk.address || null;
+}
+
+// What an input's scriptSig carries: the header of an envelope, bare
+// pieces of a later link, or nothing.
+function envelopeOf(hex) {
+  const header = parseOrdScript(hex);
+  if (header) {
+    return {
+      header: true,
+      mimeType: header.mimeType,
+      totalPieces: header.totalPieces,
+      pieces: Object.keys(header.pieces).map(Number),
+    };
+  }
+  const bare = parseOrdPieces(hex, Infinity);
+  if (!bare) return null;
+  return { header: false, mimeType: null, totalPieces: null, pieces: Object.keys(bare.pieces).map(Number) };
+}
+
+// Envelopes in the inputs of tx <txid>, resolved to the inscription they
+// belong to while `budget.left` lasts. Bare pieces that lead to no header
+// were not an envelope (e.g. the OP_0 of a multisig scriptSig) and are
+// dropped; a header is kept even when its id could not be resolved.
+async function envelopesOf(txid, vin, budget) {
+  const found = [];
+  for (let n = 0; n < vin.length; n++) {
+    const ord = envelopeOf(vin[n].scriptSig && vin[n].scriptSig.hex);
+    if (!ord) continue;
+    ord.inscriptionId = null;
+    const tried = budget.left > 0;
+    if (tried) {
+      budget.left--;
+      const at = await inscriptionAtOutpoint(txid, n, 0).catch(() => null);
+      if (at) ord.inscriptionId = at.inscriptionId;
+    }
+    if (ord.header || ord.inscriptionId || !tried) found.push({ n, ord });
+  }
+  return found;
+}
+
+// Shielded pools: value entering (+) or leaving (-) the transparent side
+function shieldedSummary(tx) {
+  const joinsplits = tx.vjoinsplit || [];
+  const sapling = zatsOf(tx.valueBalance);
+  const orchard = zatsOf(tx.orchard && tx.orchard.valueBalance);
+  const sprout = joinsplits.reduce((n, js) => n + zatsOf(js.vpub_new) - zatsOf(js.vpub_old), 0);
+  const counts = {
+    sproutJoinSplits: joinsplits.length,
+    saplingSpends: (tx.vShieldedSpend || []).length,
+    saplingOutputs: (tx.vShieldedOutput || []).length,
+    orchardActions: ((tx.orchard && tx.orchard.actions) || []).length,
+  };
+  const any = Object.values(counts).some(Boolean);
+  return { any, counts, valueBalanceZats: sapling + orchard + sprout };
+}
+
+function createExplorer(rpc, options = {}) {
+  const log = options.log || (() => {});
+
+  let addressIndex = null; // null = not probed yet
+
+  // ---------------- BLOCK ----------------
+
+  async function blockHash(hashOrHeight) {
+    const key = String(hashOrHeight || "").trim().toLowerCase();
+    if (key === "tip") return rpc("getbestblockhash");
+    if (/^\d+$/.test(key)) {
+      try {
+        return await rpc("getblockhash", [parseInt(key, 10)]);
+      } catch (err) {
+        throw notFound(err, `Block ${key}`);
+      }
+    }
+    if (/^[0-9a-f]{64}$/.test(key)) return key;
+    throw explorerError("bad_query", "Give a block height, a 64-hex block hash or \"tip\".");
+  }
+
+  /** Block header fields and transactions [offset, offset + limit). */
+  async function block(hashOrHeight, query = {}) {
+    const hash = await blockHash(hashOrHeight);
+    const { offset, limit } = paging(query, 100);
+    let blk;
+    try {
+      blk = await rpc("getblock", [hash, 2]);
+    } catch (err) {
+      throw notFound(err, `Block ${hash}`);
+    }
+
+    const budget = { left: MAX_RESOLVED_ENVELOPES };
+    const txs = [];
+    for (const tx of (blk.tx || []).slice(offset, offset + limit)) {
+      const vin = tx.vin || [];
+      const envelopes = await envelopesOf(tx.txid, vin, budget);
+      txs.push({
+        txid: tx.txid,
+        size: tx.size,
+        coinbase: !!(vin[0] && vin[0].coinbase),
+        inputs: vin.length,
+        outputs: (tx.vout || []).length,
+        valueOut: toZec((tx.vout || []).reduce((n, o) => n + zatsOf(o.value), 0)),
+        shielded: shieldedSummary(tx).any,
+        ord: envelopes.length > 0,
+        genesis: envelopes.some((e) => e.ord.header),
+        inscriptions: [...new Set(envelopes.map((e) => e.ord.inscriptionId).filter(Boolean))],
+      });
+    }
+
+    const { tx, ...header } = blk;
+    return {
+      ...header,
+      txCount: (blk.tx || []).length,
+      offset,
+      limit,
+      txs,
+    };
+  }
+
+  // ---------------- TRANSACTION ----------------
+
+  async function prevouts(vin) {
+    const ids = [...new Set(vin.filter((v) => v.txid).map((v) => v.txid))];
+    const results = await rpc.batch(ids.map((id) => ["getrawtransaction", [id, 1]]));
+    const map = new Map();
+    ids.forEach((id, i) => {
+      if (results[i] && results[i].result) map.set(id, results[i].result);
+    });
+    return map;
+  }
+
+  /** One transaction, inputs and outputs decoded and cross-linked. */
+  async function tx(txid) {
+    const id = String(txid || "").trim().toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(id)) throw explorerError("bad_query", "Not a txid.");
+    let t;
+    try {
+      t = await getTxDecoded(id);
+    } catch (err) {
+      throw notFound(err, `Transaction ${id}`);
+    }
+
+    const vin = t.vin || [];
+    const vout = t.vout || [];
+    const coinbase = !!(vin[0] && vin[0].coinbase);
+    const prev = coinbase ? new Map() : await prevouts(vin);
+
+    const envelopes = new Map(
+      (await envelopesOf(id, vin, { left: MAX_RESOLVED_ENVELOPES })).map((e) => [e.n, e.ord])
+    );
+    const inputs = [];
+    for (let n = 0; n < vin.length; n++) {
+      const v = vin[n];
+      if (v.coinbase) {
+        inputs.push({ n, coinbase: v.coinbase });
+        continue;
+      }
+      const parent = prev.get(v.txid);
+      const out = parent && parent.vout ? parent.vout[v.vout] : null;
+      const hex = v.scriptSig && v.scriptSig.hex;
+      inputs.push({
+        n,
+        txid: v.txid,
+        vout: v.vout,
+        value: out ? out.value : null,
+        address: out ? firstAddress(out.scriptPubKey) : null,
+        scriptType: out && out.scriptPubKey ? out.scriptPubKey.type || null : null,
+        scriptSig: { asm: (v.scriptSig && v.scriptSig.asm) || null, hex: hex || null },
+        sequence: v.sequence,
+        ord: envelopes.get(n) || null,
+      });
+    }
+
+    // spent at all (gettxout, with and without the mempool), then by whom
+    const txout = await rpc.batch(vout.flatMap((o) => [
+      ["gettxout", [id, o.n, true]],
+      ["gettxout", [id, o.n, false]],
+    ]));
+    const outputs = [];
+    for (let i = 0; i < vout.length; i++) {
+      const o = vout[i];
+      const withPool = txout[2 * i];
+      const chainOnly = txout[2 * i + 1];
+      const known = !withPool.error && !chainOnly.error;
+      const spent = known ? !withPool.result : null;
+      const spentInMempool = known && !withPool.result && !!chainOnly.result;
+      const spender = spent && !spentInMempool
+        ? await lookupSpender(id, o.n, t.height ?? null).catch(() => null)
+        : null;
+      outputs.push({
+        n: o.n,
+        value: o.value,
+        address: firstAddress(o.scriptPubKey),
+        addresses: (o.scriptPubKey && o.scriptPubKey.addresses) || [],
+        scriptType: (o.scriptPubKey && o.scriptPubKey.type) || null,
+        scriptPubKey: {
+          asm: (o.scriptPubKey && o.scriptPubKey.asm) || null,
+          hex: (o.scriptPubKey && o.scriptPubKey.hex) || null,
+        },
+        spent,
+        spentInMempool,
+        spender,
+      });
+    }
+
+    const shielded = shieldedSummary(t);
+    const inZats = inputs.reduce((n, i) => n + zatsOf(i.value), 0);
+    const outZats = vout.reduce((n, o) => n + zatsOf(o.value), 0);
+    const pricedInputs = inputs.every((i) => i.coinbase || i.value !== null);
+    const fee = !coinbase && pricedInputs
+      ? toZec(inZats + shielded.valueBalanceZats - outZats)
+      : null;
+
+    return {
+      txid: id,
+      version: t.version,
+      size: t.size,
+      locktime: t.locktime,
+      expiryheight: t.expiryheight,
+      blockhash: t.blockhash || null,
+      height: t.height ?? null,
+      confirmations: t.confirmations || 0,
+      time: t.time || t.blocktime || null,
+      coinbase,
+      valueIn: coinbase ? null : toZec(inZats),
+      valueOut: toZec(outZats),
+      fee,
+      shielded: { ...shielded.counts, valueBalance: toZec(shielded.valueBalanceZats) },
+      inscriptions: [...new Set(inputs.map((i) => i.ord && i.ord.inscriptionId).filter(Boolean))],
+      inputs,
+      outputs,
+    };
+  }
+
+  // ---------------- ADDRESS ----------------
+
+  function indexDisabled(err) {
+    return err && (err.rpcCode === -32601 ||
+      /disabled|not enabled|insightexplorer|addressindex/i.test(String(err.message || "")));
+  }
+
+  async function addressRpc(method, params) {
+    try {
+      const result = await rpc(method, params);
+      addressIndex = true;
+      return result;
+    } catch (err) {
+      if (indexDisabled(err)) {
+        if (addressIndex !== false) log("[explorer] node has no address index; address pages disabled");
+        addressIndex = false;
+        throw explorerError("addressindex_disabled",
+          "Address pages need the node's address index (start zcashd with -insightexplorer).");
+      }
+      throw err;
+    }
+  }
+
+  /** Balance and history of a transparent address, newest first. */
+  async function address(addr, query = {}) {
+    const a = String(addr || "").trim();
+    if (!/^[a-zA-Z0-9]{20,120}$/.test(a)) throw explorerError("bad_query", "Not an address.");
+    const { offset, limit } = paging(query, 50);
+    const arg = [{ addresses: [a] }];
+
+    const balance = await addressRpc("getaddressbalance", arg);
+    const deltas = (await addressRpc("getaddressdeltas", arg)) || [];
+    const pool = (await addressRpc("getaddressmempool", arg).catch(() => [])) || [];
+
+    const byTx = new Map();
+    for (const d of deltas) {
+      if (!byTx.has(d.txid)) byTx.set(d.txid, { txid: d.txid, height: d.height, zats: 0 });
+      byTx.get(d.txid).zats += d.satoshis;
+    }
+    const history = [...byTx.values()]
+      .sort((x, y) => y.height - x.height || x.txid.localeCompare(y.txid))
+      .map(({ zats, ...h }) => ({ ...h, delta: toZec(zats) }));
+
+    const pending = new Map();
+    for (const d of pool) pending.set(d.txid, (pending.get(d.txid) || 0) + d.satoshis);
+
+    return {
+      address: a,
+      balance: toZec(balance.balance),
+      received: toZec(balance.received),
+      txCount: history.length,
+      offset,
+      limit,
+      txs: history.slice(offset, offset + limit),
+      mempool: [...pending].map(([txid, zats]) => ({ txid, delta: toZec(zats) })),
+    };
+  }
+
+  function status() {
+    return { addressIndex, spendIndex: spendIndexStatus() };
+  }
+
+  return { block, tx, address, status };
+}
+
+module.exports = { createExplorer };
@@ -0,0 +1,316 @@
+// indexer.js
+//
+// Block-range inscription indexer.
+//
+// Scans blocks from a configurable start height and records every genesis
+// `ord` envelope it finds in input scriptSigs (any input, not just vin[0])
+// into content/index/catalog.json:
+//   <txid>i<n> -> { number, txid, vin, index, height, blockhash, blocktime,
+//                   txIndex, mimeType, totalPieces, ... }
+//
+// An envelope is a *genesis* unless it continues a reveal chain: the input
+// of the parent tx that fed the spent output opens an envelope too (the
+// continuesReveal rule findGenesis in decode.js walks back with). The scan is resumable: the catalog
+// stores the last indexed height and hash, and picks up from there.
+//
+// Inscription numbers follow chain order: genesis height, then position of
+// the tx in its block, then envelope index; #0 is the first inscription at
+// or above the catalog's start height. Scanning appends in that order, so a
+// new genesis gets the next number and a reorg only renumbers what it
+// re-indexes. Numbers are only canonical when the catalog starts at or
+// below the first inscription on the chain.
+
+const fs = require("fs");
+const path = require("path");
+const { ordEnvelopes, continuesReveal } = require("./decode");
+
+const CATALOG_VERSION = 2;
+const SAVE_EVERY_BLOCKS = 100;
+const REORG_DEPTH = 10;
+const ORD_PUSH_PREFIX = "036f7264"; // OP_PUSH3 "ord"
+
+function createInscriptionIndexer(rpc, options = {}) {
+  const dir = options.dir || path.join(__dirname, "content", "index");
+  const catalogPath = path.join(dir, "catalog.json");
+  const log = options.log || (() => {});
+  const pollMs = options.pollMs || 30000;
+  // called after every pass that reached the tip (e.g. to update the ZRC-20 ledger)
+  const onScan = options.onScan || null;
+
+  let state = null;
+  let dirty = false;
+  let running = false;
+  let stopRequested = false;
+  let pollTimer = null;
+  let lastError = null;
+  let tipHeight = null;
+  let pendingStart = null; // lower start height, applied between passes
+
+  // ---------------- PERSISTENCE ----------------
+
+  function emptyState() {
+    return {
+      version: CATALOG_VERSION,
+      startHeight: null,
+      lastHeight: null,
+      lastHash: null,
+      updatedAt: null,
+      inscriptions: {},
+    };
+  }
+
+  function load() {
+    if (state) return state;
+    state = emptyState();
+    if (fs.existsSync(catalogPath)) {
+      try {
+        const raw = fs.readFileSync(catalogPath, "utf8");
+        if (raw.trim()) {
+          const parsed = JSON.parse(raw);
+          if (parsed.version === CATALOG_VERSION) {
+            state = { ...emptyState(), ...parsed };
+          } else if (parsed.version === 1) {
+            // v1 had no numbers: same entries, numbered in chain order
+            state = { ...emptyState(), ...parsed, version: CATALOG_VERSION };
+            renumber();
+            dirty = true;
+          } else {
+            console.warn("catalog.json has an unknown format, starting over.");
+          }
+        }
+      } catch (e) {
+        console.warn("Invalid catalog.json, starting over:", e.message);
+      }
+    }
+    delete state.ordTxids; // older catalogs cached parent lookups here
+    return state;
+  }
+
+  function envelopeIndex(entry) {
+    return entry.index ?? parseInt(entry.inscriptionId.match(/i(\d+)$/)[1], 10);
+  }
+
+  function chainOrder(a, b) {
+    return a.height - b.height || a.txIndex - b.txIndex || envelopeIndex(a) - envelopeIndex(b);
+  }
+
+  function renumber() {
+    Object.values(state.inscriptions).sort(chainOrder).forEach((entry, number) => {
+      entry.number = number;
+    });
+  }
+
+  function save() {
+    if (!state || !dirty) return;
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    state.updatedAt = new Date().toISOString();
+    const tmp = catalogPath + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2), "utf8");
+    fs.renameSync(tmp, catalogPath);
+    dirty = false;
+  }
+
+  // ---------------- GENESIS DETECTION ----------------
+
+  // Cheap prefix check first: most scriptSigs are plain P2PKH spends
+  function hasOrdInput(tx) {
+    return (tx.vin || []).some(v => v.scriptSig && v.scriptSig.hex &&
+      v.scriptSig.hex.startsWith(ORD_PUSH_PREFIX));
+  }
+
+  // Does the envelope on this input continue an earlier reveal? The parent
+  // may sit below the indexed range, so ask the node (needs txindex=1); an
+  // RPC error fails the block, which is retried on the next pass.
+  async function isRevealLink(vin) {
+    if (!vin || !vin.txid) return false;
+    const parent = await rpc("getrawtransaction", [vin.txid, 1]);
+    return continuesReveal(parent, vin.vout);
+  }
+
+  async function indexBlock(height) {
+    const hash = await rpc("getblockhash", [height]);
+    const blk = await rpc("getblock", [hash, 2]);
+
+    const txs = blk.tx || [];
+    for (let t = 0; t < txs.length; t++) {
+      const tx = txs[t];
+      if (!hasOrdInput(tx)) continue;
+      const envelopes = ordEnvelopes(tx);
+      if (!envelopes.length) continue;
+
+      for (const env of envelopes) {
+        if (await isRevealLink(tx.vin[env.vin])) continue;
+
+        // same numbering as decode.js: envelope n of the genesis tx → i<n>
+        const inscriptionId = `${tx.txid}i${env.index}`;
+        // everything before it is numbered already (see header); a block
+        // retried after a failed pass keeps its numbers
+        const known = state.inscriptions[inscriptionId];
+        const number = known ? known.number : Object.keys(state.inscriptions).length;
+        state.inscriptions[inscriptionId] = {
+          number,
+          inscriptionId,
+          txid: tx.txid,
+          vin: env.vin,
+          index: env.index,
+          height,
+          blockhash: hash,
+          blocktime: blk.time,
+          txIndex: t,
+          mimeType: env.ord.mimeType,
+          totalPieces: env.ord.totalPieces,
+          genesisPieces: Object.keys(env.ord.pieces).length,
+          indexedAt: new Date().toISOString(),
+        };
+        log(`[index] #${number} ${inscriptionId} @${height} ${env.ord.mimeType} (${env.ord.totalPieces} pieces)`);
+      }
+    }
+
+    return hash;
+  }
+
+  function forgetFrom(height) {
+    for (const [id, entry] of Object.entries(state.inscriptions)) {
+      if (entry.height >= height) delete state.inscriptions[id];
+    }
+    state.lastHeight = height - 1;
+    state.lastHash = null;
+    dirty = true;
+  }
+
+  async function checkTip() {
+    if (state.lastHeight === null || !state.lastHash) return;
+    let hash = null;
+    try { hash = await rpc("getblockhash", [state.lastHeight]); } catch (_) {}
+    if (hash === state.lastHash) return;
+
+    const rewindTo = Math.max(state.startHeight, state.lastHeight - REORG_DEPTH + 1);
+    log(`[index] tip changed at ${state.lastHeight}, re-indexing from ${rewindTo}`);
+    forgetFrom(rewindTo);
+  }
+
+  // ---------------- SCAN LOOP ----------------
+
+  async function scanToTip() {
+    await checkTip();
+    tipHeight = await rpc("getblockcount");
+
+    let sinceSave = 0;
+    while (!stopRequested && pendingStart === null && state.lastHeight < tipHeight) {
+      const h = state.lastHeight + 1;
+      state.lastHash = await indexBlock(h);
+      state.lastHeight = h;
+      dirty = true;
+      if (++sinceSave >= SAVE_EVERY_BLOCKS) {
+        save();
+        sinceSave = 0;
+        log(`[index] height ${h} / ${tipHeight}`);
+      }
+    }
+    save();
+  }
+
+  async function loop() {
+    pollTimer = null;
+    if (stopRequested) {
+      running = false;
+      return;
+    }
+    applyPendingStart();
+    try {
+      await scanToTip();
+      lastError = null;
+      if (onScan && !stopRequested && pendingStart === null) await onScan();
+    } catch (err) {
+      lastError = err.message || String(err);
+      console.error("[index] scan error:", lastError);
+      save();
+    }
+    if (stopRequested) {
+      running = false;
+      return;
+    }
+    pollTimer = setTimeout(loop, pendingStart !== null ? 0 : pollMs);
+  }
+
+  // ---------------- PUBLIC ----------------
+
+  /**
+   * Start (or resume) indexing. `startHeight` only matters for an empty
+   * catalog, or when it is lower than the height the catalog started at
+   * (the catalog is then rebuilt from there).
+   */
+  function start(startHeight) {
+    load();
+    const requested = Number.isInteger(startHeight) && startHeight >= 0 ? startHeight : null;
+
+    if (state.startHeight === null || (requested !== null && requested < state.startHeight)) {
+      // a running pass stops at the next block and the loop resets then
+      pendingStart = requested !== null ? requested : 0;
+    }
+
+    stopRequested = false;
+    if (running) return status();
+    applyPendingStart();
+    running = true;
+    loop();
+    return status();
+  }
+
+  // Rebuild the catalog from pendingStart (never while a pass is scanning)
+  function applyPendingStart() {
+    if (pendingStart === null) return;
+    state.startHeight = pendingStart;
+    state.lastHeight = pendingStart - 1;
+    state.lastHash = null;
+    state.inscriptions = {};
+    pendingStart = null;
+    dirty = true;
+  }
+
+  function stop() {
+    stopRequested = true;
+    if (pollTimer) {
+      clearTimeout(pollTimer);
+      pollTimer = null;
+      running = false;
+    }
+    return status();
+  }
+
+  function status() {
+    load();
+    return {
+      running,
+      startHeight: state.startHeight,
+      lastHeight: state.lastHeight,
+      tipHeight,
+      behind: tipHeight !== null && state.lastHeight !== null
+        ? Math.max(0, tipHeight - state.lastHeight)
+        : null,
+      inscriptions: Object.keys(state.inscriptions).length,
+      updatedAt: state.updatedAt,
+      lastError,
+    };
+  }
+
+  // Inscriptions in chain order (= by number)
+  function list() {
+    load();
+    return Object.values(state.inscriptions).sort((a, b) => a.number - b.number);
+  }
+
+  function get(inscriptionId) {
+    load();
+    return state.inscriptions[inscriptionId] || null;
+  }
+
+  function byNumber(number) {
+    load();
+    return Object.values(state.inscriptions).find((e) => e.number === number) || null;
+  }
+
+  return { start, stop, status, list, get, byNumber };
+}
+
+module.exports = { createInscriptionIndexer };
@@ -0,0 +1,711 @@
+#!/usr/bin/env node
+// inscribe.js
+//
+// Inscription builder: the write side of decode.js.
+//
+// A file is split into pieces and written as the same chunked `ord` P2SH
+// envelope parseOrdScript() reads:
+//
+//   first reveal input:  "ord" <totalPieces> <mime> <n> <data> <n-1> <data> … <sig> <lock>
+//   later reveal inputs:                           <k> <data> … <sig> <lock>
+//
+// Pieces are numbered from totalPieces-1 down to 0 (decode.js concatenates
+// them in descending order). Each reveal input spends a P2SH output whose
+// redeem script ("lock") is
+//
+//   <pubkey> OP_CHECKSIGVERIFY OP_DROP × (pushes in this input's envelope) OP_TRUE
+//
+// Transactions:
+//   commit    wallet UTXOs → output 0: P2SH(lock 0) (+ change); signed by
+//             the node (signrawtransaction)
+//   reveal i  spends output 0 of the previous tx → output 0: P2SH(lock i+1),
+//             or the destination address for the last one. Pieces carried by
+//             input 0 continue through output 0, as decode.js follows them.
+//
+// The lock key is a throwaway key generated per job. The node can't sign
+// these non-standard redeem scripts, so reveals are signed here with a ZIP-243
+// sighash for the consensus branch the node reports for the next block
+// (bitcore-lib-zcash only knows the Sapling branch id). Every transaction is
+// signed before anything is broadcast; the job (raw hex, broadcast state and
+// the lock key as WIF) is kept in content/inscribe/<inscriptionId>.json so an
+// interrupted broadcast can be resumed, and reveals the node rejects can be
+// signed again (rebuild) instead of stranding the commit output. Fees follow
+// ZIP-317.
+//
+// CLI:
+//   node inscribe.js <file> [--to <address>] [--mime <type>] [--postage <zats>] [--dry-run]
+
+const fs = require("fs");
+const path = require("path");
+const Blake2b = require("blake2b");
+const zcashcore = require("bitcore-lib-zcash");
+const mime = require("mime-types");
+
+const { Script, Transaction, PrivateKey, Opcode } = zcashcore;
+const { ECDSA, Signature } = zcashcore.crypto;
+const { BufferReader, BufferWriter } = zcashcore.encoding;
+
+const JOB_VERSION = 2;             // 2: lockKey saved with the job
+const PIECE_BYTES = 240;           // data push per piece
+const MAX_ENVELOPE_BYTES = 1500;   // envelope pushes per input (scriptSig stays < 1650)
+const MAX_PIECES = 255 * 255 + 254; // largest number chunkToNumber can read back
+const DEFAULT_POSTAGE = 10000;     // zats left on the inscription output
+const DUST_LIMIT = 1000;           // smaller change is left to the fee
+const MARGINAL_FEE = 5000;         // ZIP-317
+const GRACE_ACTIONS = 2;
+const P2PKH_INPUT_BYTES = 148;     // wallet inputs, for estimates
+const MAX_SIG_BYTES = 73;          // DER signature + hashtype, worst case
+const SATS = 1e8;
+
+// ---------------- ENVELOPE ----------------
+
+// Number push that chunkToNumber() decodes back to `n`
+// (2-byte pushes are read as buf[1] * 255 + buf[0]).
+function numberChunk(n) {
+  if (n === 0) return Opcode.OP_0;
+  if (n <= 16) return 80 + n;
+  if (n < 128) return Buffer.from([n]);
+  return Buffer.from([n % 255, Math.floor(n / 255)]);
+}
+
+// chunks are Buffers (pushes) or opcode numbers; Script#add takes both
+function scriptSize(chunks) {
+  return chunks.reduce((s, c) => s.add(c), new Script()).toBuffer().length;
+}
+
+/**
+ * Split `data` into per-input envelopes.
+ * Returns [{ chunks: [Buffer|opcode], pieces: [n, …] }, …], first one with
+ * the "ord" header.
+ */
+function buildEnvelopes(data, mimeType) {
+  if (!data || !data.length) throw new Error("Nothing to inscribe (empty file).");
+  if (!mimeType) throw new Error("Missing content type.");
+
+  const total = Math.ceil(data.length / PIECE_BYTES);
+  if (total > MAX_PIECES) {
+    throw new Error(`File too large: ${total} pieces (max ${MAX_PIECES}).`);
+  }
+
+  const pairs = [];
+  for (let i = 0; i < total; i++) {
+    const n = total - 1 - i;
+    pairs.push({ n, chunks: [numberChunk(n), data.subarray(i * PIECE_BYTES, (i + 1) * PIECE_BYTES)] });
+  }
+
+  const envelopes = [];
+  let current = {
+    chunks: [Buffer.from("ord"), numberChunk(total), Buffer.from(mimeType, "utf8")],
+    pieces: [],
+  };
+  for (const pair of pairs) {
+    const next = current.chunks.concat(pair.chunks);
+    if (current.pieces.length && scriptSize(next) > MAX_ENVELOPE_BYTES) {
+      envelopes.push(current);
+      current = { chunks: pair.chunks.slice(), pieces: [pair.n] };
+    } else {
+      current.chunks = next;
+      current.pieces.push(pair.n);
+    }
+  }
+  envelopes.push(current);
+  return envelopes;
+}
+
+function lockScript(pubkey, envelope) {
+  const lock = new Script();
+  lock.add(pubkey.toBuffer());
+  lock.add(Opcode.OP_CHECKSIGVERIFY);
+  for (let i = 0; i < envelope.chunks.length; i++) lock.add(Opcode.OP_DROP);
+  lock.add(Opcode.OP_TRUE);
+  return lock;
+}
+
+// ---------------- FEES (ZIP-317) ----------------
+
+function varIntSize(n) {
+  return n < 0xfd ? 1 : n <= 0xffff ? 3 : 5;
+}
+
+function zip317Fee(inputBytes, outputBytes) {
+  const actions = Math.max(Math.ceil(inputBytes / 150), Math.ceil(outputBytes / 34));
+  return MARGINAL_FEE * Math.max(GRACE_ACTIONS, actions);
+}
+
+function inputBytes(scriptSigLen) {
+  return 36 + varIntSize(scriptSigLen) + scriptSigLen + 4;
+}
+
+function outputBytes(scriptLen) {
+  return 8 + varIntSize(scriptLen) + scriptLen;
+}
+
+// Upper bound of a reveal's scriptSig: envelope + signature + lock
+function revealScriptSigSize(envelope, lock) {
+  const lockLen = lock.toBuffer().length;
+  return scriptSize(envelope.chunks) +
+    1 + MAX_SIG_BYTES +
+    (lockLen < 76 ? 1 : 2) + lockLen;
+}
+
+function commitFee(inputCount, withChange) {
+  const outs = outputBytes(23) + (withChange ? outputBytes(25) : 0);
+  return zip317Fee(inputCount * P2PKH_INPUT_BYTES, outs);
+}
+
+// ---------------- SIGHASH (ZIP-243, v4) ----------------
+
+function blake(person, data) {
+  const h = Blake2b(32, null, null, Buffer.from(person));
+  h.update(data);
+  return Buffer.from(h.digest());
+}
+
+function u32(n) {
+  const b = Buffer.alloc(4);
+  b.writeUInt32LE(n >>> 0);
+  return b;
+}
+
+function u64(n) {
+  const b = Buffer.alloc(8);
+  b.writeBigUInt64LE(BigInt(n));
+  return b;
+}
+
+// SIGHASH_ALL digest of transparent input `index` for consensus `branchId`
+function zip243Sighash(tx, index, scriptCode, satoshis, branchId) {
+  const prevouts = Buffer.concat(tx.inputs.map(i =>
+    Buffer.concat([Buffer.from(i.prevTxId).reverse(), u32(i.outputIndex)])));
+  const sequences = Buffer.concat(tx.inputs.map(i => u32(i.sequenceNumber)));
+  const outs = new BufferWriter();
+  tx.outputs.forEach(o => o.toBufferWriter(outs));
+
+  const zero = Buffer.alloc(32);
+  const input = tx.inputs[index];
+  const preimage = Buffer.concat([
+    u32(tx.version + 0x80000000),
+    u32(tx.nVersionGroupId),
+    blake("ZcashPrevoutHash", prevouts),
+    blake("ZcashSequencHash", sequences),
+    blake("ZcashOutputsHash", outs.toBuffer()),
+    zero, zero, zero,                 // joinsplits, shielded spends, shielded outputs
+    u32(tx.nLockTime),
+    u32(tx.nExpiryHeight),
+    u64(0),                           // valueBalance
+    u32(Signature.SIGHASH_ALL),
+    Buffer.from(input.prevTxId).reverse(),
+    u32(input.outputIndex),
+    scriptCode,
+    u64(satoshis),
+    u32(input.sequenceNumber),
+  ]);
+
+  const person = Buffer.concat([Buffer.from("ZcashSigHash"), u32(branchId)]);
+  const h = Blake2b(32, null, null, person);
+  h.update(preimage);
+  return Buffer.from(h.digest());
+}
+
+function signReveal(tx, key, envelope, lock, satoshis, branchId) {
+  const lockBuf = lock.toBuffer();
+  const scriptCode = new BufferWriter().writeVarintNum(lockBuf.length).write(lockBuf).toBuffer();
+  const hash = zip243Sighash(tx, 0, scriptCode, satoshis, branchId);
+  const sig = ECDSA.sign(hash, key).set({ nhashtype: Signature.SIGHASH_ALL });
+
+  const unlock = new Script();
+  envelope.chunks.forEach(c => unlock.add(c));
+  unlock.add(sig.toTxFormat());
+  unlock.add(lockBuf);
+  tx.inputs[0].setScript(unlock);
+}
+
+// Reveal spending output 0 of `prevTxid` (worth r.inputValue), paying
+// `satoshis` to `script`
+function buildReveal(prevTxid, r, script, satoshis, key, branchId) {
+  const tx = newTx();
+  tx.uncheckedAddInput(new Transaction.Input({
+    prevTxId: prevTxid,
+    outputIndex: 0,
+    script: new Script(),
+  }));
+  tx.addOutput(new Transaction.Output({ script, satoshis }));
+  signReveal(tx, key, r.envelope, r.lock, r.inputValue, branchId);
+  return tx;
+}
+
+// Transparent inputs and outputs of a raw v4 transaction (bitcore-lib-zcash
+// can't read v4 back)
+function readTransparent(hex) {
+  const reader = new BufferReader(Buffer.from(hex, "hex"));
+  reader.read(8); // header + version group id
+  const inputs = [];
+  for (let n = reader.readVarintNum(); n > 0; n--) {
+    inputs.push({
+      prevTxId: reader.readReverse(32).toString("hex"),
+      outputIndex: reader.readUInt32LE(),
+      script: Script.fromBuffer(reader.readVarLengthBuffer()),
+      sequenceNumber: reader.readUInt32LE(),
+    });
+  }
+  const outputs = [];
+  for (let n = reader.readVarintNum(); n > 0; n--) {
+    outputs.push({
+      satoshis: reader.readUInt64LEBN().toNumber(),
+      script: Script.fromBuffer(reader.readVarLengthBuffer()),
+    });
+  }
+  return { inputs, outputs };
+}
+
+// Envelope and lock back from a signed reveal's scriptSig
+// (<envelope pushes…> <sig> <lock>)
+function parseReveal(hex) {
+  const tx = readTransparent(hex);
+  const chunks = tx.inputs[0].script.chunks.map(c => (c.buf ? c.buf : c.opcodenum));
+  return {
+    tx,
+    envelope: { chunks: chunks.slice(0, -2) },
+    lock: Script.fromBuffer(chunks[chunks.length - 1]),
+  };
+}
+
+function newTx() {
+  const tx = new Transaction();
+  tx.version = 4;
+  tx.nExpiryHeight = 0; // no expiry: a long reveal chain may take several blocks
+  return tx;
+}
+
+function toZec(zats) {
+  return Number((zats / SATS).toFixed(8));
+}
+
+// Job as handed out of this module: the lock key stays on disk
+function publicJob(job) {
+  if (!job) return job;
+  const { lockKey, ...rest } = job;
+  return rest;
+}
+
+// ---------------- INSCRIBER ----------------
+
+function createInscriber(rpc, options = {}) {
+  const dir = options.dir || path.join(__dirname, "content", "inscribe");
+  const log = options.log || (() => {});
+  // coincontrol.js instance; without one every UTXO counts as plain ZEC
+  const coinControl = options.coinControl || null;
+
+  function jobPath(jobId) {
+    return path.join(dir, `${jobId}.json`);
+  }
+
+  function saveJob(job) {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    job.updatedAt = new Date().toISOString();
+    const tmp = jobPath(job.jobId) + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(job, null, 2), "utf8");
+    fs.renameSync(tmp, jobPath(job.jobId));
+  }
+
+  function loadJob(jobId) {
+    if (!/^[0-9a-f]{64}i\d+$/i.test(jobId || "")) return null;
+    const p = jobPath(jobId);
+    if (!fs.existsSync(p)) return null;
+    return JSON.parse(fs.readFileSync(p, "utf8"));
+  }
+
+  async function scriptForAddress(address) {
+    const info = await rpc("validateaddress", [address]);
+    if (!info || !info.isvalid || !info.scriptPubKey) {
+      throw new Error(`Not a valid transparent address: ${address}`);
+    }
+    return Script.fromHex(info.scriptPubKey);
+  }
+
+  async function consensusBranchId() {
+    const info = await rpc("getblockchaininfo");
+    const hex = info && info.consensus && (info.consensus.nextblock || info.consensus.chaintip);
+    if (!hex) throw new Error("Node did not report a consensus branch id (getblockchaininfo).");
+    return parseInt(hex, 16);
+  }
+
+  // Envelopes, locks and the fee of every reveal, last one paying `destScript`
+  function layoutReveals(envelopes, pubkey, postage, destScriptLen) {
+    const reveals = envelopes.map((envelope) => ({ envelope, lock: lockScript(pubkey, envelope) }));
+    for (let i = 0; i < reveals.length; i++) {
+      const outLen = i === reveals.length - 1 ? destScriptLen : 23;
+      reveals[i].fee = zip317Fee(
+        inputBytes(revealScriptSigSize(reveals[i].envelope, reveals[i].lock)),
+        outputBytes(outLen)
+      );
+    }
+    // value entering reveal i = postage + fees of reveal i and everything after it
+    let carry = postage;
+    for (let i = reveals.length - 1; i >= 0; i--) {
+      carry += reveals[i].fee;
+      reveals[i].inputValue = carry;
+    }
+    return reveals;
+  }
+
+  /**
+   * Fee estimate without touching the wallet.
+   * Returns { size, pieces, reveals, postage, revealFees, commitFee, total, … }
+   */
+  function plan(data, mimeType, opts = {}) {
+    const postage = opts.postage || DEFAULT_POSTAGE;
+    const envelopes = buildEnvelopes(data, mimeType);
+    const reveals = layoutReveals(envelopes, new PrivateKey().toPublicKey(), postage, 25);
+    const revealFees = reveals.reduce((s, r) => s + r.fee, 0);
+    const commit = commitFee(1, true);
+    return {
+      mimeType,
+      size: data.length,
+      pieces: Math.ceil(data.length / PIECE_BYTES),
+      transactions: reveals.length + 1,
+      postage,
+      commitAmount: reveals[0].inputValue,
+      revealFees,
+      commitFee: commit,
+      fees: revealFees + commit,
+      total: reveals[0].inputValue + commit,
+      totalZec: toZec(reveals[0].inputValue + commit),
+      note: "commit fee assumes one wallet input",
+    };
+  }
+
+  // Wallet UTXOs covering `amount` + the commit fee, largest first.
+  // UTXOs carrying an inscription (or not checkable, see coincontrol.js) are
+  // never picked automatically, and explicitly listed ones need
+  // allowInscriptions.
+  async function selectUtxos(amount, explicit, allowInscriptions) {
+    let utxos = await rpc("listunspent", [1]);
+    utxos = utxos.filter(u => u.spendable !== false && u.address);
+    if (explicit && explicit.length) {
+      const wanted = new Set(explicit);
+      utxos = utxos.filter(u => wanted.has(`${u.txid}:${u.vout}`));
+    }
+    if (coinControl) utxos = await coinControl.tag(utxos);
+    const guarded = u => coinControl && coinControl.isProtected(u);
+    if (explicit && explicit.length) {
+      const zords = utxos.filter(guarded);
+      if (zords.length && !allowInscriptions) {
+        const z = zords[0];
+        const what = z.inscription ? `carries inscription ${z.inscription.inscriptionId}` : "could not be checked for inscriptions";
+        throw new Error(`UTXO ${z.txid}:${z.vout} ${what}; pass allowInscriptions to spend it.`);
+      }
+    } else {
+      utxos = utxos.filter(u => !guarded(u));
+    }
+    utxos.sort((a, b) => b.amount - a.amount);
+
+    const picked = [];
+    let sum = 0;
+    for (const u of utxos) {
+      picked.push(u);
+      sum += Math.round(u.amount * SATS);
+      if (sum >= amount + commitFee(picked.length, true)) break;
+    }
+    const fee = commitFee(picked.length, true);
+    if (sum < amount + fee) {
+      throw new Error(`Insufficient funds: need ${toZec(amount + fee)} ZEC, wallet has ${toZec(sum)} ZEC spendable.`);
+    }
+    return { picked, sum, fee };
+  }
+
+  /**
+   * Build and sign the commit + reveal chain; broadcast unless opts.dryRun.
+   *  - opts.destination: address receiving the inscription (default: new wallet address)
+   *  - opts.postage:     zats left on the inscription output
+   *  - opts.utxos:       ["txid:vout", …] to fund from (default: any without a Zord)
+   *  - opts.allowInscriptions: let opts.utxos include inscription-carrying UTXOs
+   * Returns the job record (raw transactions, fees, broadcast state).
+   */
+  async function inscribe(data, mimeType, opts = {}) {
+    const postage = opts.postage || DEFAULT_POSTAGE;
+    const envelopes = buildEnvelopes(data, mimeType);
+    const destination = opts.destination || await rpc("getnewaddress");
+    const destScript = await scriptForAddress(destination);
+    const branchId = await consensusBranchId();
+
+    const key = new PrivateKey();
+    const reveals = layoutReveals(envelopes, key.toPublicKey(), postage, destScript.toBuffer().length);
+    const commitAmount = reveals[0].inputValue;
+
+    // --- commit: funded from the wallet, signed by the node
+    const { picked, sum, fee } = await selectUtxos(commitAmount, opts.utxos, opts.allowInscriptions);
+    const commit = newTx();
+    for (const u of picked) {
+      commit.uncheckedAddInput(new Transaction.Input({
+        prevTxId: u.txid,
+        outputIndex: u.vout,
+        script: new Script(),
+      }));
+    }
+    commit.addOutput(new Transaction.Output({
+      script: Script.buildScriptHashOut(reveals[0].lock),
+      satoshis: commitAmount,
+    }));
+    let commitFeePaid = sum - commitAmount;
+    const change = sum - commitAmount - fee;
+    if (change >= DUST_LIMIT) {
+      const changeScript = await scriptForAddress(await rpc("getrawchangeaddress"));
+      commit.addOutput(new Transaction.Output({ script: changeScript, satoshis: change }));
+      commitFeePaid = fee;
+    }
+
+    const signed = await rpc("signrawtransaction", [commit.uncheckedSerialize()]);
+    if (!signed || !signed.complete) {
+      const why = signed && signed.errors ? signed.errors.map(e => e.error).join("; ") : "unknown";
+      throw new Error(`Node could not sign the commit transaction: ${why}`);
+    }
+    const commitTxid = (await rpc("decoderawtransaction", [signed.hex])).txid;
+
+    // --- reveal chain, signed locally with the lock key
+    const revealTxs = [];
+    let prevTxid = commitTxid;
+    for (let i = 0; i < reveals.length; i++) {
+      const r = reveals[i];
+      const last = i === reveals.length - 1;
+      const tx = buildReveal(prevTxid, r,
+        last ? destScript : Script.buildScriptHashOut(reveals[i + 1].lock),
+        last ? postage : reveals[i + 1].inputValue,
+        key, branchId);
+
+      const hex = tx.uncheckedSerialize();
+      revealTxs.push({ txid: tx.hash, hex, fee: r.fee, pieces: r.envelope.pieces, broadcast: false });
+      prevTxid = tx.hash;
+    }
+
+    const inscriptionId = `${revealTxs[0].txid}i0`;
+    const revealFees = reveals.reduce((s, r) => s + r.fee, 0);
+    const job = {
+      version: JOB_VERSION,
+      jobId: inscriptionId,
+      inscriptionId,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+      dryRun: !!opts.dryRun,
+      status: "signed",
+      error: null,
+      mimeType,
+      size: data.length,
+      pieces: Math.ceil(data.length / PIECE_BYTES),
+      destination,
+      postage,
+      branchId: branchId.toString(16),
+      lockKey: key.toWIF(),
+      fees: { commit: commitFeePaid, reveals: revealFees, total: commitFeePaid + revealFees },
+      commit: {
+        txid: commitTxid,
+        hex: signed.hex,
+        inputs: picked.map(u => `${u.txid}:${u.vout}`),
+        amount: commitAmount,
+        change: change >= DUST_LIMIT ? change : 0,
+        broadcast: false,
+      },
+      reveals: revealTxs,
+    };
+
+    log(`[inscribe] ${inscriptionId}: ${job.pieces} pieces, ${revealTxs.length} reveals, fees ${toZec(job.fees.total)} ZEC${job.dryRun ? " (dry run)" : ""}`);
+    if (job.dryRun) return publicJob(job);
+
+    // saved (with the key) before the commit can reach the network
+    saveJob(job);
+    return broadcast(job.jobId);
+  }
+
+  /**
+   * Sign the reveals that haven't been sent yet again with the saved lock key,
+   * for the node's current consensus branch and ZIP-317 fees; the postage
+   * absorbs any fee difference. Envelopes and locks come from the saved
+   * reveals, so the file itself isn't needed. Rebuilding reveal 0 changes the
+   * inscription id (the job keeps its jobId).
+   */
+  async function rebuild(jobId) {
+    const job = loadJob(jobId);
+    if (!job) throw new Error(`Unknown inscribe job ${jobId}`);
+    if (job.dryRun) throw new Error("Dry-run jobs are not rebuilt.");
+    if (!job.lockKey) throw new Error(`Job ${jobId} has no saved lock key (created before version 2).`);
+    const from = job.reveals.findIndex(t => !t.broadcast);
+    if (from < 0) throw new Error("Every reveal of this job has been sent.");
+
+    const key = PrivateKey.fromWIF(job.lockKey);
+    const branchId = await consensusBranchId();
+    const destScript = await scriptForAddress(job.destination);
+    const prev = from === 0 ? job.commit : job.reveals[from - 1];
+    const inputValue = readTransparent(prev.hex).outputs[0].satoshis;
+
+    const reveals = job.reveals.slice(from).map(t => parseReveal(t.hex));
+    for (let i = 0; i < reveals.length; i++) {
+      const outLen = i === reveals.length - 1 ? destScript.toBuffer().length : 23;
+      reveals[i].fee = zip317Fee(
+        inputBytes(revealScriptSigSize(reveals[i].envelope, reveals[i].lock)),
+        outputBytes(outLen)
+      );
+    }
+    const revealFees = reveals.reduce((s, r) => s + r.fee, 0);
+    const postage = inputValue - revealFees;
+    if (postage < DUST_LIMIT) {
+      throw new Error(`Commit output (${inputValue} zats) no longer covers the reveal fees (${revealFees} zats).`);
+    }
+
+    let prevTxid = prev.txid;
+    let value = inputValue;
+    for (let i = 0; i < reveals.length; i++) {
+      const r = reveals[i];
+      const last = i === reveals.length - 1;
+      r.inputValue = value;
+      value -= r.fee;
+      const tx = buildReveal(prevTxid, r,
+        last ? destScript : Script.buildScriptHashOut(reveals[i + 1].lock),
+        value, key, branchId);
+      const saved = job.reveals[from + i];
+      Object.assign(saved, { txid: tx.hash, hex: tx.uncheckedSerialize(), fee: r.fee, broadcast: false });
+      prevTxid = tx.hash;
+    }
+
+    const sentFees = job.reveals.slice(0, from).reduce((s, t) => s + t.fee, 0);
+    job.inscriptionId = `${job.reveals[0].txid}i0`;
+    job.postage = postage;
+    job.branchId = branchId.toString(16);
+    job.fees.reveals = sentFees + revealFees;
+    job.fees.total = job.fees.commit + job.fees.reveals;
+    job.status = "signed";
+    job.error = null;
+    saveJob(job);
+    log(`[inscribe] ${job.jobId}: reveals ${from + 1}-${job.reveals.length} signed again (branch ${job.branchId})`);
+    return publicJob(job);
+  }
+
+  // Already known to the node counts as sent (resumed broadcasts)
+  function alreadyKnown(err) {
+    const msg = String(err.message || "").toLowerCase();
+    return msg.includes("already in block chain") ||
+      msg.includes("txn-already-in-mempool") ||
+      msg.includes("txn-already-known");
+  }
+
+  /** Send the job's transactions that haven't been sent yet, in order. */
+  async function broadcast(jobId) {
+    const job = loadJob(jobId);
+    if (!job) throw new Error(`Unknown inscribe job ${jobId}`);
+    if (job.dryRun) throw new Error("Dry-run jobs are not broadcast.");
+
+    job.status = "broadcasting";
+    job.error = null;
+    saveJob(job);
+
+    const txs = [job.commit, ...job.reveals];
+    for (let i = 0; i < txs.length; i++) {
+      const t = txs[i];
+      if (t.broadcast) continue;
+      try {
+        await rpc("sendrawtransaction", [t.hex]);
+      } catch (err) {
+        if (!alreadyKnown(err)) {
+          job.status = "failed";
+          job.error = `${i === 0 ? "commit" : `reveal ${i}`} (${t.txid}): ${err.message || err}`;
+          saveJob(job);
+          log(`[inscribe] ${job.jobId} broadcast stopped: ${job.error}`);
+          return publicJob(job);
+        }
+      }
+      t.broadcast = true;
+      saveJob(job);
+    }
+
+    job.status = "broadcast";
+    saveJob(job);
+    log(`[inscribe] ${job.jobId} broadcast (${txs.length} transactions)`);
+    return publicJob(job);
+  }
+
+  // Saved jobs, newest first, without the raw hex
+  function jobs() {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(n => n.endsWith(".json"))
+      .map(n => {
+        try { return JSON.parse(fs.readFileSync(path.join(dir, n), "utf8")); } catch (_) { return null; }
+      })
+      .filter(Boolean)
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+      .map(j => ({
+        jobId: j.jobId,
+        inscriptionId: j.inscriptionId,
+        status: j.status,
+        error: j.error,
+        mimeType: j.mimeType,
+        size: j.size,
+        transactions: j.reveals.length + 1,
+        sent: [j.commit, ...j.reveals].filter(t => t.broadcast).length,
+        fees: j.fees,
+        rebuildable: !!j.lockKey && !j.dryRun,
+        destination: j.destination,
+        createdAt: j.createdAt,
+        updatedAt: j.updatedAt,
+      }));
+  }
+
+  return { plan, inscribe, broadcast, rebuild, jobs, job: (jobId) => publicJob(loadJob(jobId)) };
+}
+
+module.exports = {
+  createInscriber,
+  buildEnvelopes,
+  numberChunk,
+  zip317Fee,
+  zip243Sighash,
+  parseReveal,
+  readTransparent,
+  outputBytes,
+  newTx,
+  DUST_LIMIT,
+  P2PKH_INPUT_BYTES,
+};
+
+// ---------------- CLI ----------------
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--dry-run") flags.dryRun = true;
+    else if (args[i].startsWith("--")) flags[args[i].slice(2)] = args[++i];
+    else positional.push(args[i]);
+  }
+  const file = positional[0];
+  if (!file) {
+    console.error("Usage: node inscribe.js <file> [--to <address>] [--mime <type>] [--postage <zats>] [--dry-run]");
+    process.exit(1);
+  }
+
+  // same node + content directory as the viewer's active profile
+  const profiles = require("./profiles").createProfileStore();
+  profiles.apply();
+  const { rpc, setContentDir } = require("./decode");
+  const { createCoinControl } = require("./coincontrol");
+  const contentDir = profiles.contentDir();
+  setContentDir(contentDir);
+
+  const data = fs.readFileSync(file);
+  const mimeType = flags.mime || mime.lookup(file) || "application/octet-stream";
+  const log = (m) => console.log(m);
+  const coinControl = createCoinControl(rpc, { dir: path.join(contentDir, "coincontrol"), log });
+  const inscriber = createInscriber(rpc, { dir: path.join(contentDir, "inscribe"), coinControl, log });
+
+  inscriber.inscribe(data, mimeType, {
+    destination: flags.to,
+    postage: flags.postage ? parseInt(flags.postage, 10) : undefined,
+    dryRun: !!flags.dryRun,
+  }).then((job) => {
+    console.log(JSON.stringify(job, null, 2));
+    if (job.status === "failed") process.exit(2);
+  }).catch((err) => {
+    console.error("ERROR:", err.message);
+    process.exit(1);
+  });
+}
@@ -5,7 +5,7 @@
 // Usage: node inspect-ord.js <txid>
 //
 // For the given txid:
-//  - fetches decoded tx via local zcashd (same RPC style as decode.js)
+//  - fetches decoded tx via local zcashd (shared rpc.js client)
 //  - prints vin[0].scriptSig (hex + ASM + chunk breakdown)
 //  - looks up the prevout for vin[0]
 //  - if prevout is P2SH, tries to:
@@ -13,67 +13,25 @@
 //      * decode redeemScript (asm + hex)
 //      * verify HASH160(redeemScript) matches scriptPubKey
 
-const axios = require("axios");
 const dotenv = require("dotenv");
 const zcashcore = require("bitcore-lib-zcash");
+const { rpc, rpcConfigured, RPC_CONFIG_ERROR } = require("./rpc");
+const { createProfileStore } = require("./profiles");
 
 dotenv.config();
+// same node as the viewer's active profile
+createProfileStore().apply();
 
 const { Script } = zcashcore;
 const { Hash } = zcashcore.crypto;
 
 // ---------------- RPC CONFIG (local node) ----------------
 
-const NODE_RPC_URL  = process.env.NODE_RPC_URL;
-const NODE_RPC_USER = process.env.NODE_RPC_USER;
-const NODE_RPC_PASS = process.env.NODE_RPC_PASS;
-
-if (!NODE_RPC_URL || !NODE_RPC_USER || !NODE_RPC_PASS) {
-  console.error("ERROR: Please set NODE_RPC_URL, NODE_RPC_USER and NODE_RPC_PASS in .env for your local node.");
+if (!rpcConfigured()) {
+  console.error("ERROR: " + RPC_CONFIG_ERROR);
   process.exit(1);
 }
 
-const rpcClient = axios.create({
-  baseURL: NODE_RPC_URL,
-  auth: {
-    username: NODE_RPC_USER,
-    password: NODE_RPC_PASS,
-  },
-  headers: {
-    "Content-Type": "application/json",
-  },
-  timeout: 30000,
-});
-
-async function rpc(method, params = [], id = "inspect-ord") {
-  const body = { jsonrpc: "2.0", id, method, params };
-
-  try {
-    const res = await rpcClient.post("", body);
-
-    if (res.data && res.data.error) {
-      const err = new Error(res.data.error.message || JSON.stringify(res.data.error));
-      err._method = method;
-      err._params = params;
-      err._raw = res.data.error;
-      throw err;
-    }
-    return res.data.result;
-  } catch (err) {
-    if (err.response) {
-      console.error("RPC HTTP error:", err.response.status, err.response.statusText);
-      console.error("RPC body:", JSON.stringify(err.response.data, null, 2));
-    } else {
-      console.error("RPC error:", err.message);
-    }
-    if (err.code === "ECONNREFUSED") {
-      console.error("ERROR: Cannot connect to local node at", NODE_RPC_URL);
-      console.error("Make sure your zcashd node is running and RPC is enabled.");
-    }
-    throw err;
-  }
-}
-
 // ---------------- HELPERS ----------------
 
 function dumpScriptChunks(label, scriptHex) {
@@ -0,0 +1,202 @@
+// mempool.js
+//
+// The whole mempool as one sorted, paged list (GET /api/mempool).
+//
+// Each entry of `getrawmempool true` gets a fee rate in zatoshis per byte
+// (fees themselves stay in ZEC, as everywhere in the API) and its place in
+// the unconfirmed chain: `depends` are the in-mempool parents, `spentBy`
+// the children, and the transitive `ancestors` / `descendants` follow from
+// those. Entries are flagged:
+//
+//   wallet         listtransactions has it (only for logged-in callers)
+//   inscriptions   ids whose reveal chain it carries on (mempoolzords.js)
+//
+// Next to the page come totals and a fee-rate histogram over the whole
+// mempool, so nothing is truncated any more.
+
+const SATS = 1e8;
+const MAX_LIMIT = 500;
+const WALLET_TX_WINDOW = 1000;
+
+// fee-rate buckets, zat/byte (ZIP-317 pays roughly 10-25 for small txs)
+const HISTOGRAM_BOUNDS = [0, 1, 2, 5, 10, 25, 50, 100, 250, 500, 1000];
+
+const SORTS = {
+  feerate: (e) => e.feeRate,
+  fee: (e) => e.fee,
+  size: (e) => e.size,
+  age: (e) => -e.time, // oldest first when descending
+};
+
+function toZec(v) {
+  return Math.round(v * SATS) / SATS;
+}
+
+function mempoolError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function parseQuery(query = {}) {
+  const sort = String(query.sort || "feerate").toLowerCase();
+  if (!SORTS[sort]) {
+    throw mempoolError("bad_query", `Unknown sort "${sort}" (${Object.keys(SORTS).join(", ")})`);
+  }
+  const order = String(query.order || "desc").toLowerCase();
+  if (order !== "asc" && order !== "desc") {
+    throw mempoolError("bad_query", `Unknown order "${order}" (asc, desc)`);
+  }
+  const only = query.only ? String(query.only).toLowerCase() : null;
+  if (only && only !== "wallet" && only !== "inscriptions") {
+    throw mempoolError("bad_query", `Unknown filter "${only}" (wallet, inscriptions)`);
+  }
+  return {
+    sort,
+    order,
+    only,
+    page: Math.max(1, parseInt(query.page, 10) || 1),
+    limit: Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || 50)),
+  };
+}
+
+// txid -> set of everything reachable through `next(txid)`
+function closure(txid, next) {
+  const seen = new Set();
+  const stack = [...next(txid)];
+  while (stack.length) {
+    const t = stack.pop();
+    if (seen.has(t)) continue;
+    seen.add(t);
+    stack.push(...next(t));
+  }
+  return seen;
+}
+
+function buildEntries(raw) {
+  const entries = new Map();
+  for (const [txid, info] of Object.entries(raw || {})) {
+    const zats = Math.round(Number(info.fee || 0) * SATS);
+    const size = Number(info.size) || 0;
+    entries.set(txid, {
+      txid,
+      size,
+      fee: zats / SATS,
+      feeRate: size ? Math.round((zats / size) * 100) / 100 : 0,
+      time: info.time,
+      height: info.height,
+      // parents already mined in between are no longer in the mempool
+      depends: (info.depends || []).filter((t) => raw[t]),
+      spentBy: [],
+    });
+  }
+  for (const e of entries.values()) {
+    for (const parent of e.depends) entries.get(parent).spentBy.push(e.txid);
+  }
+  return entries;
+}
+
+function feeHistogram(entries) {
+  const buckets = HISTOGRAM_BOUNDS.map((min, i) => ({
+    min,
+    max: i + 1 < HISTOGRAM_BOUNDS.length ? HISTOGRAM_BOUNDS[i + 1] : null,
+    count: 0,
+    bytes: 0,
+    fee: 0,
+  }));
+  for (const e of entries) {
+    let i = buckets.length - 1;
+    while (i > 0 && e.feeRate < buckets[i].min) i--;
+    buckets[i].count++;
+    buckets[i].bytes += e.size;
+    buckets[i].fee += e.fee;
+  }
+  for (const b of buckets) b.fee = toZec(b.fee);
+  return buckets;
+}
+
+function createMempoolExplorer(rpc, options = {}) {
+  // () => Promise<Map txid -> [inscriptionId]>, from the mempool watcher
+  const reveals = options.reveals || (async () => new Map());
+  const log = options.log || (() => {});
+
+  let walletAvailable = true;
+
+  async function walletTxids() {
+    if (!walletAvailable) return null;
+    try {
+      const list = (await rpc("listtransactions", ["*", WALLET_TX_WINDOW])) || [];
+      return new Set(list.filter((t) => t.txid && t.confirmations === 0).map((t) => t.txid));
+    } catch (err) {
+      if (err.rpcCode === -32601) {
+        walletAvailable = false;
+        log("[mempool] node has no wallet; wallet flags disabled");
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * One page of the mempool.
+   * query: { sort: feerate|fee|size|age, order: asc|desc, page, limit,
+   *          only: wallet|inscriptions }
+   * `wallet`: the caller may see which txs are the wallet's.
+   */
+  async function page(query, { wallet = false } = {}) {
+    const q = parseQuery(query);
+    let revealsFailed = false;
+    const [raw, mine, revealMap] = await Promise.all([
+      rpc("getrawmempool", [true]),
+      wallet ? walletTxids() : null,
+      reveals().catch((err) => {
+        log(`[mempool] inscription flags unavailable: ${err.message}`);
+        revealsFailed = true;
+        return null;
+      }),
+    ]);
+
+    const entries = buildEntries(raw);
+    const all = [...entries.values()];
+    for (const e of all) {
+      e.wallet = mine ? mine.has(e.txid) : null;
+      e.inscriptions = revealMap ? revealMap.get(e.txid) || null : null;
+    }
+
+    let items = all;
+    if (q.only === "wallet") items = items.filter((e) => e.wallet);
+    if (q.only === "inscriptions") items = items.filter((e) => e.inscriptions);
+
+    const key = SORTS[q.sort];
+    const sign = q.order === "asc" ? 1 : -1;
+    items.sort((a, b) => sign * (key(a) - key(b)) || a.txid.localeCompare(b.txid));
+
+    const start = (q.page - 1) * q.limit;
+    const shown = items.slice(start, start + q.limit).map((e) => {
+      const ancestors = closure(e.txid, (t) => entries.get(t).depends);
+      const descendants = closure(e.txid, (t) => entries.get(t).spentBy);
+      return { ...e, ancestors: [...ancestors], descendants: [...descendants] };
+    });
+
+    return {
+      ...q,
+      total: items.length,
+      pages: Math.max(1, Math.ceil(items.length / q.limit)),
+      mempool: {
+        count: all.length,
+        bytes: all.reduce((n, e) => n + e.size, 0),
+        fee: toZec(all.reduce((n, e) => n + e.fee, 0)),
+      },
+      histogram: feeHistogram(all),
+      walletFlags: !!mine,
+      inscriptionFlags: !!revealMap,
+      // first mempool scan for ord data still running: flags come later
+      inscriptionFlagsPending: revealMap === null && !revealsFailed,
+      items: shown,
+    };
+  }
+
+  return { page };
+}
+
+module.exports = { createMempoolExplorer };
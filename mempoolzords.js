@@ -0,0 +1,261 @@
+// mempoolzords.js
+//
+// Zords that are still in the mempool.
+//
+// The decoder follows reveal chains through confirmed blocks only, so a
+// mint is invisible until every link is mined. This watcher looks at each
+// mempool transaction for `ord` data (a header or bare pieces) in any
+// input, keeps an index of which outpoint those transactions spend, and
+// assembles the affected inscriptions with decode.js `collectInscription`,
+// letting the chain continue through those unconfirmed spenders
+// (`pendingSpender`). The genesis may be pending or already mined.
+//
+// Every inscription with at least one unconfirmed link is kept in memory
+// with its assembled bytes for preview; nothing goes to /content or
+// master.json until it is mined and decoded normally. Changes are published
+// on the live event stream (nodeevents.js) as `mempool-inscription`
+// { inscriptionId, state: "pending" | "confirmed" | "dropped", … }.
+//
+// It follows the node watcher's mempool-add / mempool-remove events and runs
+// while it is being asked for (IDLE_STOP_MS after the last request). The
+// first scan of the whole mempool runs in the background: reveals() answers
+// null until it is done instead of holding up the caller.
+
+const {
+  getTxDecoded,
+  parseOrdScript,
+  hasOrdPieces,
+  parseInscriptionId,
+  inscriptionAtOutpoint,
+  collectInscription,
+} = require("./decode");
+
+const MAX_PENDING = 200;
+const IDLE_STOP_MS = 10 * 60 * 1000;
+
+function carriesOrd(vin) {
+  const hex = vin && vin.scriptSig && vin.scriptSig.hex;
+  return !!hex && (!!parseOrdScript(hex) || hasOrdPieces(hex));
+}
+
+function createMempoolZordWatcher(rpc, options = {}) {
+  const events = options.events;
+  const log = options.log || (() => {});
+  if (!events) throw new Error("createMempoolZordWatcher needs the node event watcher");
+
+  const pending = new Map(); // inscriptionId -> entry (+ private buffer)
+  const ordTxs = new Map(); // mempool txid carrying ord data -> [inscriptionId]
+  const spentBy = new Map(); // "txid:vout" -> { txid, vinIndex } spent by an ordTx
+
+  let unsubscribe = null;
+  let idleTimer = null;
+  let ready = null;
+  let scanned = false; // first mempool scan finished
+  let queue = Promise.resolve();
+  let lastError = null;
+
+  function pendingSpender(txid, vout) {
+    return spentBy.get(`${txid}:${vout}`) || null;
+  }
+
+  // one scan/assembly at a time, in event order
+  function enqueue(fn) {
+    const task = queue.then(fn).catch((err) => {
+      lastError = err.message;
+      log(`[mempoolzords] ${err.message}`);
+    });
+    queue = task;
+    return task;
+  }
+
+  function publicEntry(e) {
+    const { buffer, ...rest } = e;
+    return rest;
+  }
+
+  // ---------------- SCANNING ----------------
+
+  // Register the ord-carrying inputs of mempool txs; returns the txs kept.
+  async function register(txids) {
+    const kept = [];
+    for (const txid of txids) {
+      if (ordTxs.has(txid)) continue;
+      let tx;
+      try {
+        tx = await getTxDecoded(txid);
+      } catch (_) {
+        continue; // left the mempool meanwhile
+      }
+      if (tx.blockhash) continue;
+      const links = (tx.vin || []).map((v, i) => ({ v, i })).filter(({ v }) => carriesOrd(v));
+      if (!links.length) continue;
+      ordTxs.set(txid, []);
+      for (const { v, i } of links) spentBy.set(`${v.txid}:${v.vout}`, { txid, vinIndex: i });
+      kept.push({ txid, inputs: links.map(l => l.i) });
+    }
+    return kept;
+  }
+
+  // Which inscriptions the kept txs carry on (output n is fed by input n).
+  async function resolve(kept) {
+    const ids = new Set();
+    for (const { txid, inputs } of kept) {
+      for (const i of inputs) {
+        const at = await inscriptionAtOutpoint(txid, i, 0).catch(() => null);
+        if (!at) continue;
+        if (!ordTxs.get(txid).includes(at.inscriptionId)) ordTxs.get(txid).push(at.inscriptionId);
+        ids.add(at.inscriptionId);
+      }
+    }
+    return ids;
+  }
+
+  async function assemble(inscriptionId, reason) {
+    const { txid, index } = parseInscriptionId(inscriptionId);
+    let c;
+    try {
+      c = await collectInscription(txid, index, { pendingSpender });
+    } catch (err) {
+      c = null; // genesis itself dropped
+    }
+    const prev = pending.get(inscriptionId);
+
+    if (!c || !c.pendingTxids.length) {
+      if (!prev) return;
+      pending.delete(inscriptionId);
+      const state = c ? "confirmed" : "dropped";
+      events.publish("mempool-inscription", { inscriptionId, state });
+      log(`[mempoolzords] ${inscriptionId} ${state}`);
+      return;
+    }
+
+    const entry = {
+      inscriptionId,
+      genesisTxid: c.genesis.genesisTxid,
+      genesisConfirmed: !c.pendingTxids.includes(c.genesis.genesisTxid),
+      mimeType: c.mimeType,
+      totalPieces: c.totalPieces,
+      pieces: c.totalPieces - c.missingPieces.length,
+      missingPieces: c.missingPieces,
+      complete: c.missingPieces.length === 0,
+      pendingTxids: c.pendingTxids,
+      size: c.resultBuf.length,
+      firstSeen: prev ? prev.firstSeen : new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      unconfirmed: true,
+      buffer: c.resultBuf,
+    };
+    pending.set(inscriptionId, entry);
+    // oldest first out
+    while (pending.size > MAX_PENDING) pending.delete(pending.keys().next().value);
+
+    if (!prev || prev.pieces !== entry.pieces || prev.pendingTxids.length !== entry.pendingTxids.length) {
+      events.publish("mempool-inscription", { state: "pending", reason, ...publicEntry(entry) });
+    }
+  }
+
+  async function added(txids) {
+    const kept = await register(txids);
+    if (!kept.length) return;
+    for (const id of await resolve(kept)) await assemble(id, "added");
+  }
+
+  async function removed(txid) {
+    const ids = ordTxs.get(txid);
+    if (!ids) return;
+    ordTxs.delete(txid);
+    for (const [key, s] of spentBy) if (s.txid === txid) spentBy.delete(key);
+    for (const id of ids) await assemble(id, "removed");
+  }
+
+  // ---------------- LIFECYCLE ----------------
+
+  function onEvent(ev) {
+    if (ev.type === "mempool-add") enqueue(() => added([ev.txid]));
+    else if (ev.type === "mempool-remove") enqueue(() => removed(ev.txid));
+    else if (ev.type === "closed") stop();
+  }
+
+  function stop() {
+    clearTimeout(idleTimer);
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+    ready = null;
+    scanned = false;
+    pending.clear();
+    ordTxs.clear();
+    spentBy.clear();
+  }
+
+  /**
+   * Start (or keep) watching; resolves once the current mempool is scanned.
+   * A failed scan stops the watcher again, so the next call retries it.
+   */
+  function touch() {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(stop, IDLE_STOP_MS);
+    if (!ready) {
+      unsubscribe = events.subscribe(onEvent);
+      const scan = enqueue(async () => {
+        try {
+          const txids = (await rpc("getrawmempool")) || [];
+          await added(txids);
+          scanned = true;
+          log(`[mempoolzords] ${pending.size} pending inscription(s) in ${txids.length} mempool txs`);
+        } catch (err) {
+          if (ready === scan) stop();
+          throw err;
+        }
+      });
+      ready = scan;
+    }
+    return ready;
+  }
+
+  /** Pending inscriptions, newest first. */
+  async function list() {
+    await touch();
+    await queue;
+    return [...pending.values()].reverse().map(publicEntry);
+  }
+
+  /**
+   * Pending entry for an inscription id, or for any txid of its chain
+   * (what a user pastes into the viewer). Includes `buffer`.
+   */
+  async function get(idOrTxid) {
+    await touch();
+    await queue;
+    const { txid, index } = parseInscriptionId(String(idOrTxid));
+    const direct = pending.get(`${txid}i${index}`);
+    if (direct) return direct;
+    for (const e of pending.values()) {
+      if (e.pendingTxids.includes(txid)) return e;
+    }
+    return null;
+  }
+
+  /**
+   * Mempool txids carrying ord data -> inscription ids they move on, or
+   * null while the first mempool scan is still running (started here).
+   */
+  async function reveals() {
+    touch();
+    if (!scanned) return null;
+    return new Map([...ordTxs].map(([txid, ids]) => [txid, [...ids]]));
+  }
+
+  function status() {
+    return {
+      running: !!ready,
+      scanning: !!ready && !scanned,
+      pending: pending.size,
+      mempoolOrdTxs: ordTxs.size,
+      lastError,
+    };
+  }
+
+  return { list, get, reveals, status, stop };
+}
+
+module.exports = { createMempoolZordWatcher };
@@ -0,0 +1,316 @@
+// nodeevents.js
+//
+// Live node events, pushed instead of re-polled by every page (viewer.js
+// streams them over SSE at /api/events):
+//
+//   block            { hash, height, time, txCount, reorg?, forkHeight? }
+//   mempool-add      { txid, size, fee, time }
+//   mempool-remove   { txid, reason: "mined" | "dropped" }
+//   wallet-tx        { txid, confirmations, entries: [{ category, amount, address }] }
+//   confirmation     { txid, confirmations } for wallet txs, up to CONFIRM_TARGET
+//
+// Other watchers add their own events to the same stream with publish()
+// (mempoolzords.js: mempool-inscription).
+//
+// Events come from diffing `getbestblockhash`, `getrawmempool` and
+// `listtransactions` between passes. A new best block is walked back through
+// `previousblockhash` to the last block of the chain seen before: when that
+// fork point is below the old tip the new blocks are flagged as a reorg, even
+// if the new chain is longer. The passes run every `pollMs`; with a
+// zcashd ZMQ endpoint (-zmqpubhashblock / -zmqpubhashtx) every notification
+// triggers a pass at once and the timer only backs it up. The first pass
+// just takes a baseline and emits nothing.
+//
+// The watcher runs while someone is listening, and for IDLE_STOP_MS after
+// the last listener left so a reconnecting page misses nothing; each event
+// has a `seq` and the last MAX_RECENT are kept for replay (Last-Event-ID).
+
+const { EventEmitter } = require("events");
+const { createZmqSubscriber } = require("./zmqsub");
+
+const MAX_RECENT = 200;
+const CONFIRM_TARGET = 6;
+const MAX_BLOCK_CATCHUP = 10;
+const WALLET_TX_WINDOW = 100;
+const IDLE_STOP_MS = 60 * 1000;
+const ZMQ_DEBOUNCE_MS = 250;
+
+function createNodeWatcher(rpc, options = {}) {
+  const zmqUrl = options.zmqUrl || null;
+  const pollMs = options.pollMs || 5000;
+  // with ZMQ delivering, the timer is only a safety net
+  const zmqPollMs = options.zmqPollMs || 30000;
+  const log = options.log || (() => {});
+
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const recentEvents = [];
+  let seq = 0;
+
+  let running = false;
+  let timer = null;
+  let idleTimer = null;
+  let zmq = null;
+  let zmqTimer = null;
+  let pass = null;
+  let again = false;
+
+  let tip = null; // { hash, height }
+  let chain = []; // last blocks of the current chain, [{ hash, height }], oldest first
+  let mempool = null; // Set of txids
+  let walletTxs = null; // txid -> confirmations
+  let walletAvailable = true;
+  let lastPassAt = null;
+  let lastError = null;
+
+  function emit(type, data) {
+    const event = { seq: ++seq, type, at: new Date().toISOString(), ...data };
+    recentEvents.push(event);
+    if (recentEvents.length > MAX_RECENT) recentEvents.shift();
+    emitter.emit("event", event);
+  }
+
+  // ---------------- PASSES ----------------
+
+  async function emitBlock(hash, extra) {
+    const block = await rpc("getblock", [hash, 1]);
+    emit("block", {
+      hash,
+      height: block.height,
+      time: block.time,
+      txCount: (block.tx || []).length,
+      ...extra,
+    });
+    return block.tx || [];
+  }
+
+  async function checkBlocks(best) {
+    let header = await rpc("getblockheader", [best]);
+    if (!tip) {
+      tip = { hash: best, height: header.height };
+      chain = [tip];
+      return new Set();
+    }
+
+    // walk back from the new tip until a block of the known chain
+    const known = new Set(chain.map(b => b.hash));
+    const fresh = []; // newest first
+    while (!known.has(header.hash) && fresh.length < MAX_BLOCK_CATCHUP) {
+      fresh.push({ hash: header.hash, height: header.height });
+      if (!header.previousblockhash) break;
+      header = await rpc("getblockheader", [header.previousblockhash]);
+    }
+    // fork point: the common block, or (not met within the walk) just
+    // below the oldest new block
+    const forkHeight = known.has(header.hash) ? header.height : fresh[fresh.length - 1].height - 1;
+    const extra = forkHeight < tip.height ? { reorg: true, forkHeight } : {};
+    const added = fresh.reverse();
+    chain = [...chain.filter(b => b.height <= forkHeight), ...added].slice(-MAX_BLOCK_CATCHUP);
+    tip = chain[chain.length - 1];
+
+    const mined = new Set();
+    if (!added.length) {
+      // back on a block seen before (e.g. after invalidateblock)
+      await emitBlock(best, extra);
+      return mined;
+    }
+    for (const { hash } of added) {
+      (await emitBlock(hash, extra)).forEach(txid => mined.add(txid));
+    }
+    return mined;
+  }
+
+  function checkMempool(pool, mined) {
+    const now = new Set(Object.keys(pool));
+    if (!mempool) {
+      mempool = now;
+      return false;
+    }
+    let changed = false;
+    for (const txid of now) {
+      if (mempool.has(txid)) continue;
+      const e = pool[txid];
+      emit("mempool-add", { txid, size: e.size, fee: e.fee, time: e.time });
+      changed = true;
+    }
+    for (const txid of mempool) {
+      if (now.has(txid)) continue;
+      emit("mempool-remove", { txid, reason: mined.has(txid) ? "mined" : "dropped" });
+      changed = true;
+    }
+    mempool = now;
+    return changed;
+  }
+
+  async function checkWallet() {
+    let list;
+    try {
+      list = await rpc("listtransactions", ["*", WALLET_TX_WINDOW]);
+    } catch (err) {
+      // node without a wallet: stop asking
+      if (err.rpcCode === -32601) {
+        walletAvailable = false;
+        log("[events] node has no wallet; wallet-tx events disabled");
+        return;
+      }
+      throw err;
+    }
+
+    const byTxid = new Map();
+    for (const t of list || []) {
+      if (!t.txid) continue;
+      if (!byTxid.has(t.txid)) byTxid.set(t.txid, { confirmations: t.confirmations, entries: [] });
+      byTxid.get(t.txid).entries.push({ category: t.category, amount: t.amount, address: t.address || null });
+    }
+
+    const seeded = walletTxs !== null;
+    const next = new Map();
+    for (const [txid, tx] of byTxid) {
+      next.set(txid, tx.confirmations);
+      if (!seeded) continue;
+      if (!walletTxs.has(txid)) {
+        emit("wallet-tx", { txid, confirmations: tx.confirmations, entries: tx.entries });
+      } else if (walletTxs.get(txid) !== tx.confirmations && walletTxs.get(txid) < CONFIRM_TARGET) {
+        emit("confirmation", { txid, confirmations: tx.confirmations });
+      }
+    }
+    walletTxs = next;
+  }
+
+  async function runPass() {
+    const [best, pool] = await rpc.batch([["getbestblockhash", []], ["getrawmempool", [true]]]);
+    if (best.error) throw new Error(best.error.message || "getbestblockhash failed");
+    if (pool.error) throw new Error(pool.error.message || "getrawmempool failed");
+
+    const first = !tip;
+    const newBlock = first || best.result !== tip.hash;
+    const mined = newBlock ? await checkBlocks(best.result) : new Set();
+    const mempoolChanged = checkMempool(pool.result || {}, mined);
+    // wallet only moves with the chain or the mempool
+    if (walletAvailable && (first || newBlock || mempoolChanged || walletTxs === null)) {
+      await checkWallet();
+    }
+  }
+
+  /** Run one pass now (a pass already running is followed by another). */
+  function poll() {
+    if (pass) {
+      again = true;
+      return pass;
+    }
+    pass = (async () => {
+      do {
+        again = false;
+        try {
+          await runPass();
+          lastError = null;
+        } catch (err) {
+          if (lastError !== err.message) log(`[events] pass failed: ${err.message}`);
+          lastError = err.message;
+        }
+        lastPassAt = new Date().toISOString();
+      } while (again && running);
+    })().finally(() => {
+      pass = null;
+    });
+    return pass;
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    if (!running) return;
+    const wait = zmq && zmq.connected() ? zmqPollMs : pollMs;
+    timer = setTimeout(() => poll().then(schedule), wait);
+  }
+
+  // ---------------- LIFECYCLE ----------------
+
+  function start() {
+    if (running) return;
+    running = true;
+    if (zmqUrl) {
+      try {
+        zmq = createZmqSubscriber(zmqUrl, ["hashblock", "hashtx"]);
+        zmq.on("connect", () => log(`[events] ZMQ connected to ${zmqUrl}`));
+        zmq.on("disconnect", () => log(`[events] ZMQ ${zmqUrl} lost, polling every ${pollMs} ms`));
+        zmq.on("message", () => {
+          clearTimeout(zmqTimer);
+          zmqTimer = setTimeout(() => poll(), ZMQ_DEBOUNCE_MS);
+        });
+      } catch (err) {
+        log(`[events] ${err.message}; polling instead`);
+        zmq = null;
+      }
+    }
+    poll().then(schedule);
+  }
+
+  function stop() {
+    running = false;
+    clearTimeout(timer);
+    clearTimeout(idleTimer);
+    clearTimeout(zmqTimer);
+    if (zmq) zmq.close();
+    zmq = null;
+    // next start takes a fresh baseline
+    tip = null;
+    chain = [];
+    mempool = null;
+    walletTxs = null;
+  }
+
+  /**
+   * Listen for events; starts the watcher. Returns unsubscribe.
+   * `listener(event)`; a `{ type: "closed" }` event means the watcher was
+   * shut down (e.g. the node profile switched) and the stream should end.
+   */
+  function subscribe(listener) {
+    clearTimeout(idleTimer);
+    emitter.on("event", listener);
+    start();
+    return () => {
+      emitter.off("event", listener);
+      if (emitter.listenerCount("event") === 0) {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(stop, IDLE_STOP_MS);
+      }
+    };
+  }
+
+  /** Add an event from another watcher to the stream. */
+  function publish(type, data) {
+    emit(type, data);
+  }
+
+  /** Events with seq > afterSeq still in the replay buffer. */
+  function recent(afterSeq) {
+    return recentEvents.filter(e => e.seq > afterSeq);
+  }
+
+  /** Stop for good and tell every listener. */
+  function close() {
+    stop();
+    emitter.emit("event", { type: "closed" });
+    emitter.removeAllListeners("event");
+  }
+
+  function status() {
+    return {
+      running,
+      source: zmq && zmq.connected() ? "zmq" : "poll",
+      zmq: zmqUrl,
+      pollMs,
+      tip,
+      mempoolSize: mempool ? mempool.size : null,
+      wallet: walletAvailable,
+      lastPassAt,
+      lastError,
+      listeners: emitter.listenerCount("event"),
+      seq,
+    };
+  }
+
+  return { subscribe, publish, recent, poll, status, close };
+}
+
+module.exports = { createNodeWatcher, CONFIRM_TARGET };
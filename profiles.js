@@ -0,0 +1,213 @@
+// profiles.js
+//
+// Named zcashd node profiles (mainnet / testnet / regtest).
+//
+// Profiles live in node-profiles.json next to .env (both in .gitignore; the
+// file holds RPC passwords and is written 0600, never served or returned):
+//
+//   { version, active, profiles: { <name>: { name, network, url, user, pass,
+//                                             cookie, datadir, zmq } } }
+//
+// Until the first profile is saved there is no file and a single "default"
+// profile is read from .env (NODE_NETWORK, NODE_RPC_*), so existing setups
+// keep working. Activating a profile writes its settings into process.env,
+// which rpc.js reads on every call.
+//
+// Each network keeps its own content directory so testnet and regtest Zords
+// never land in the mainnet master.json: content/ for mainnet (unchanged),
+// content/testnet/ and content/regtest/ for the others.
+
+const fs = require("fs");
+const path = require("path");
+
+const STORE_VERSION = 1;
+const NAME_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+// chain = getblockchaininfo.chain; cookieSubdir = where zcashd puts .cookie
+const NETWORKS = {
+  mainnet: { chain: "main", port: 8232, contentSubdir: "", cookieSubdir: "" },
+  testnet: { chain: "test", port: 18232, contentSubdir: "testnet", cookieSubdir: "testnet3" },
+  regtest: { chain: "regtest", port: 18232, contentSubdir: "regtest", cookieSubdir: "regtest" },
+};
+
+function profileError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function networkOf(name) {
+  return NETWORKS[name] ? name : "mainnet";
+}
+
+/** Content directory for a network under `root` (default ./content). */
+function contentDirFor(network, root = path.join(__dirname, "content")) {
+  const sub = NETWORKS[networkOf(network)].contentSubdir;
+  return sub ? path.join(root, sub) : root;
+}
+
+// Profile without its password, for API responses
+function publicProfile(p) {
+  const { pass, ...rest } = p;
+  return { ...rest, hasPass: !!pass };
+}
+
+function createProfileStore(options = {}) {
+  const file = options.file || path.join(__dirname, "node-profiles.json");
+  const contentRoot = options.contentRoot || path.join(__dirname, "content");
+  const rpc = options.rpc || null;
+  const log = options.log || (() => {});
+
+  let store = null;
+
+  function fromEnv() {
+    const env = process.env;
+    return {
+      name: "default",
+      network: networkOf(env.NODE_NETWORK),
+      url: env.NODE_RPC_URL || "",
+      user: env.NODE_RPC_USER || "",
+      pass: env.NODE_RPC_PASS || "",
+      cookie: env.NODE_RPC_COOKIE || "",
+      datadir: env.NODE_DATADIR || "",
+      zmq: env.NODE_ZMQ_URL || "",
+    };
+  }
+
+  function load() {
+    if (store) return store;
+    try {
+      const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+      if (raw && raw.version === STORE_VERSION && raw.profiles && raw.profiles[raw.active]) {
+        store = raw;
+        return store;
+      }
+    } catch (_) {}
+    store = { version: STORE_VERSION, active: "default", profiles: { default: fromEnv() } };
+    return store;
+  }
+
+  function persist() {
+    const tmp = file + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(store, null, 2), { encoding: "utf8", mode: 0o600 });
+    fs.renameSync(tmp, file);
+  }
+
+  function active() {
+    const s = load();
+    return s.profiles[s.active];
+  }
+
+  function list() {
+    const s = load();
+    return {
+      active: s.active,
+      network: active().network,
+      profiles: Object.values(s.profiles).map(publicProfile),
+    };
+  }
+
+  /** Write the active profile into process.env (rpc.js reads it per call). */
+  function apply() {
+    const p = active();
+    const set = (key, value) => {
+      if (value) process.env[key] = value;
+      else delete process.env[key];
+    };
+    set("NODE_NETWORK", p.network);
+    set("NODE_RPC_URL", p.url || `http://127.0.0.1:${NETWORKS[p.network].port}`);
+    set("NODE_RPC_USER", p.user);
+    set("NODE_RPC_PASS", p.pass);
+    set("NODE_RPC_COOKIE", p.cookie);
+    set("NODE_DATADIR", p.datadir);
+    set("NODE_ZMQ_URL", p.zmq);
+    return p;
+  }
+
+  /**
+   * Add or update a profile. An omitted `pass` keeps the stored one, so the
+   * UI never has to read passwords back.
+   */
+  function save(input = {}) {
+    const name = String(input.name || "").trim();
+    if (!NAME_RE.test(name)) {
+      throw profileError("bad_profile", "Profile name: letters, digits, - and _ (max 32).");
+    }
+    if (!NETWORKS[input.network]) {
+      throw profileError("bad_profile", `Network must be one of ${Object.keys(NETWORKS).join(", ")}.`);
+    }
+    const url = String(input.url || "").trim();
+    if (url && !/^https?:\/\/[^\s]+$/i.test(url)) {
+      throw profileError("bad_profile", `Not an http(s) URL: ${url}`);
+    }
+    const zmq = String(input.zmq || "").trim();
+    if (zmq && !/^tcp:\/\/[^\s]+:\d+$/i.test(zmq)) {
+      throw profileError("bad_profile", `ZMQ endpoint must look like tcp://127.0.0.1:28332, got ${zmq}`);
+    }
+
+    const s = load();
+    const prev = s.profiles[name] || {};
+    s.profiles[name] = {
+      name,
+      network: input.network,
+      url,
+      user: String(input.user || "").trim(),
+      pass: input.pass != null ? String(input.pass) : prev.pass || "",
+      cookie: String(input.cookie || "").trim(),
+      datadir: String(input.datadir || "").trim(),
+      zmq,
+    };
+    persist();
+    if (name === s.active) apply();
+    return publicProfile(s.profiles[name]);
+  }
+
+  function remove(name) {
+    const s = load();
+    if (!s.profiles[name]) throw profileError("unknown_profile", `No profile named ${name}.`);
+    if (name === s.active) throw profileError("active_profile", "Activate another profile first.");
+    delete s.profiles[name];
+    persist();
+  }
+
+  /**
+   * Switch to profile `name`. When the node answers, its chain must match
+   * the profile's network, otherwise the previous profile stays active.
+   * Returns { profile, chain } (chain null if the node is unreachable).
+   */
+  async function activate(name) {
+    const s = load();
+    if (!s.profiles[name]) throw profileError("unknown_profile", `No profile named ${name}.`);
+
+    const previous = s.active;
+    s.active = name;
+    const p = apply();
+
+    let chain = null;
+    if (rpc) {
+      try {
+        chain = (await rpc("getblockchaininfo", [], { retries: 0, timeout: 5000 })).chain || null;
+      } catch (err) {
+        log(`[profiles] ${name}: node not reachable (${err.message})`);
+      }
+    }
+    if (chain && chain !== NETWORKS[p.network].chain) {
+      s.active = previous;
+      apply();
+      throw profileError("network_mismatch",
+        `Node at ${process.env.NODE_RPC_URL} is on "${chain}", profile ${name} says ${p.network}.`);
+    }
+
+    persist();
+    log(`[profiles] active: ${name} (${p.network})`);
+    return { profile: publicProfile(p), chain };
+  }
+
+  function contentDir() {
+    return contentDirFor(active().network, contentRoot);
+  }
+
+  return { list, active, apply, save, remove, activate, contentDir };
+}
+
+module.exports = { createProfileStore, contentDirFor, NETWORKS };
@@ -0,0 +1,260 @@
+// rpc.js
+//
+// JSON-RPC client for the local zcashd, shared by viewer.js, decode.js and
+// inspect.js.
+//
+//   rpc(method, params, { timeout, retries })   one call, resolves to `result`
+//   rpc.batch([[method, params], …], opts)       one HTTP request for many calls
+//
+// Settings come from process.env on every call, so RPC settings saved from the
+// dashboard apply without a restart:
+//
+//   NODE_RPC_URL          default http://127.0.0.1:<8232 | 18232 per NODE_NETWORK>
+//   NODE_RPC_USER/PASS    rpcuser / rpcpassword
+//   NODE_RPC_COOKIE       path to zcashd's .cookie; used when user/pass are
+//                         unset (default: <NODE_DATADIR or ~/.zcash>/.cookie,
+//                         in testnet3/ or regtest/ per NODE_NETWORK)
+//   NODE_RPC_TIMEOUT      per-call timeout in ms (default 30000)
+//   NODE_RPC_CONCURRENCY  requests in flight at once (default 4)
+//
+// zcashd answers RPC errors with HTTP 500 and a JSON body; the node's message
+// and code are surfaced on the thrown RpcError. Calls are retried with backoff
+// when the connection is reset or the node's work queue is full (HTTP 503,
+// "Work queue depth exceeded"), except calls that spend from the wallet,
+// which could be sent twice after a reset.
+
+const axios = require("axios");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { NETWORKS } = require("./profiles");
+
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_RETRIES = 3;
+const BACKOFF_MS = 250;
+const MAX_BATCH = 100;
+
+const RPC_CONFIG_ERROR =
+  "Please set NODE_RPC_URL and NODE_RPC_USER/NODE_RPC_PASS (or NODE_RPC_COOKIE) in .env for your local node.";
+
+// A reset connection may have delivered these already
+const NO_RETRY_ON_RESET = new Set([
+  "sendtoaddress",
+  "sendmany",
+  "z_sendmany",
+  "z_shieldcoinbase",
+  "z_mergetoaddress",
+]);
+
+const RETRYABLE_CODES = new Set(["ECONNRESET", "EPIPE"]);
+
+class RpcError extends Error {
+  constructor(message, { method, params, code, raw, status } = {}) {
+    super(message);
+    this.name = "RpcError";
+    this.rpcCode = code;
+    this.status = status;
+    // printed by the decode.js / inspect.js CLIs
+    this._method = method;
+    this._params = params;
+    this._raw = raw;
+  }
+}
+
+function cookiePath() {
+  if (process.env.NODE_RPC_COOKIE) return process.env.NODE_RPC_COOKIE;
+  const dataDir = process.env.NODE_DATADIR || path.join(os.homedir(), ".zcash");
+  const network = NETWORKS[process.env.NODE_NETWORK];
+  return path.join(dataDir, network ? network.cookieSubdir : "", ".cookie");
+}
+
+// "__cookie__:<password>", rewritten every time zcashd starts
+function readCookie() {
+  try {
+    const raw = fs.readFileSync(cookiePath(), "utf8").trim();
+    const i = raw.indexOf(":");
+    if (i <= 0) return null;
+    return { username: raw.slice(0, i), password: raw.slice(i + 1) };
+  } catch (_) {
+    return null;
+  }
+}
+
+function rpcAuth() {
+  const { NODE_RPC_USER, NODE_RPC_PASS } = process.env;
+  if (NODE_RPC_USER && NODE_RPC_PASS) {
+    return { username: NODE_RPC_USER, password: NODE_RPC_PASS, source: "userpass" };
+  }
+  const cookie = readCookie();
+  return cookie ? { ...cookie, source: "cookie" } : null;
+}
+
+/** True when a URL and some credentials are available. */
+function rpcConfigured() {
+  return !!rpcAuth();
+}
+
+// ---------------- CONCURRENCY ----------------
+// zcashd serves -rpcworkqueue (16) requests and rejects the rest with 503;
+// keep our own side well below that.
+
+let active = 0;
+const waiting = [];
+
+function concurrency() {
+  return Math.max(1, parseInt(process.env.NODE_RPC_CONCURRENCY, 10) || 4);
+}
+
+function acquire() {
+  if (active < concurrency()) {
+    active++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waiting.push(resolve));
+}
+
+function release() {
+  const next = waiting.shift();
+  if (next) next();
+  else active--;
+}
+
+// ---------------- TRANSPORT ----------------
+
+let seq = 0;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isWorkQueueFull(res) {
+  return res.status === 503 ||
+    (typeof res.data === "string" && /work queue depth exceeded/i.test(res.data));
+}
+
+async function post(body, opts, retryable) {
+  const auth = rpcAuth();
+  if (!auth) throw new RpcError(RPC_CONFIG_ERROR);
+
+  const network = NETWORKS[process.env.NODE_NETWORK] || NETWORKS.mainnet;
+  const url = process.env.NODE_RPC_URL || `http://127.0.0.1:${network.port}`;
+  const retries = opts.retries != null ? opts.retries : DEFAULT_RETRIES;
+  // 0 = wait as long as the node takes
+  const timeout = opts.timeout != null
+    ? opts.timeout
+    : parseInt(process.env.NODE_RPC_TIMEOUT, 10) || DEFAULT_TIMEOUT;
+
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    await acquire();
+    try {
+      res = await axios.post(url, body, {
+        auth: { username: auth.username, password: auth.password },
+        headers: { "Content-Type": "application/json" },
+        timeout,
+        // zcashd puts RPC errors in 500 bodies; read them ourselves
+        validateStatus: () => true,
+      });
+    } catch (err) {
+      if (RETRYABLE_CODES.has(err.code) && retryable.reset && attempt < retries) {
+        await sleep(BACKOFF_MS * 2 ** attempt);
+        continue;
+      }
+      if (err.code === "ECONNREFUSED") {
+        err.message = `Cannot connect to local node at ${url} (is zcashd running with RPC enabled?)`;
+      } else if (err.code === "ECONNABORTED") {
+        err.message = `RPC timed out after ${timeout} ms`;
+      }
+      throw err;
+    } finally {
+      release();
+    }
+
+    if (isWorkQueueFull(res) && attempt < retries) {
+      await sleep(BACKOFF_MS * 2 ** attempt);
+      continue;
+    }
+    if (res.status === 401 || res.status === 403) {
+      throw new RpcError(
+        auth.source === "cookie"
+          ? `RPC authentication failed with cookie ${cookiePath()}`
+          : "RPC authentication failed (check NODE_RPC_USER / NODE_RPC_PASS)",
+        { status: res.status }
+      );
+    }
+    if (res.data == null || typeof res.data !== "object") {
+      throw new RpcError(`RPC HTTP ${res.status}: ${String(res.data || res.statusText).trim()}`,
+        { status: res.status });
+    }
+    return res.data;
+  }
+}
+
+function toError(error, method, params) {
+  return new RpcError(error.message || JSON.stringify(error), {
+    method,
+    params,
+    code: error.code,
+    raw: error,
+  });
+}
+
+// ---------------- PUBLIC ----------------
+
+/**
+ * Call one RPC method.
+ *  - opts.timeout: ms for this call, 0 for none (e.g. rescans)
+ *  - opts.retries: attempts after a reset / full work queue (default 3)
+ */
+async function rpc(method, params = [], opts = {}) {
+  const body = { jsonrpc: "1.0", id: `zord-${++seq}`, method, params };
+  const data = await post(body, opts, { reset: !NO_RETRY_ON_RESET.has(method) });
+  if (data.error) throw toError(data.error, method, params);
+  return data.result;
+}
+
+/**
+ * Send many calls as JSON-RPC batches (up to 100 per request).
+ * `calls` is [[method, params], …]; resolves to one { result } or
+ * { error } (an RpcError) per call, in the same order.
+ */
+async function batch(calls, opts = {}) {
+  const out = [];
+  for (let start = 0; start < calls.length; start += MAX_BATCH) {
+    const chunk = calls.slice(start, start + MAX_BATCH);
+    const ids = chunk.map(() => `zord-${++seq}`);
+    const body = chunk.map(([method, params = []], i) => ({
+      jsonrpc: "1.0",
+      id: ids[i],
+      method,
+      params,
+    }));
+    const reset = chunk.every(([method]) => !NO_RETRY_ON_RESET.has(method));
+    const data = await post(body, opts, { reset });
+
+    if (!Array.isArray(data)) {
+      // a node that refuses batches answers with a single error object
+      if (data.error) throw toError(data.error, "batch", []);
+      throw new RpcError("Unexpected batch response: " + JSON.stringify(data).slice(0, 200));
+    }
+    const byId = new Map(data.map(r => [r.id, r]));
+    chunk.forEach(([method, params = []], i) => {
+      const r = byId.get(ids[i]);
+      if (!r) out.push({ error: new RpcError(`No reply for ${method} in batch`, { method, params }) });
+      else if (r.error) out.push({ error: toError(r.error, method, params) });
+      else out.push({ result: r.result });
+    });
+  }
+  return out;
+}
+
+rpc.batch = batch;
+
+module.exports = {
+  rpc,
+  batch,
+  rpcConfigured,
+  cookiePath,
+  RpcError,
+  RPC_CONFIG_ERROR,
+};
@@ -0,0 +1,427 @@
+// shielded.js
+//
+// Shielded side of the node wallet: Sapling / Orchard / unified addresses,
+// their notes, and z_sendmany sends.
+//
+// Addresses come from `listaddresses` (zcashd 4.7+, older nodes fall back to
+// `z_listaddresses`); balances are summed from the `z_listunspent` notes, and
+// unified accounts also get their per-pool split from
+// `z_getbalanceforaccount`.
+//
+// z_sendmany is asynchronous: the node hands back an operation id and builds
+// the transaction in the background. Sends started here are recorded in
+// content/shielded/operations.json and refreshed with z_getoperationstatus.
+// A finished operation is collected once with z_getoperationresult, which
+// also drops it from the node, so the record file is where its txid or error
+// survives a node restart.
+//
+// A send from a transparent source may pick any of that address' UTXOs, so
+// Zord-carrying UTXOs and those coincontrol.js could not check are held
+// through utxolocks.js until the operation has finished, unless the send
+// sets allowInscriptions.
+
+const fs = require("fs");
+const path = require("path");
+
+const STORE_VERSION = 1;
+const SATS = 1e8;
+const MAX_MEMO_BYTES = 512;
+const MAX_RECIPIENTS = 50;
+const MAX_RECORDS = 200;
+const PENDING = new Set(["queued", "executing"]);
+
+// z_sendmany privacyPolicy values, strictest first
+const PRIVACY_POLICIES = [
+  "FullPrivacy",
+  "AllowRevealedAmounts",
+  "AllowRevealedRecipients",
+  "AllowRevealedSenders",
+  "AllowFullyTransparent",
+  "AllowLinkingAccountAddresses",
+  "NoPrivacy",
+  "LegacyCompat",
+];
+
+function shieldedError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function toZats(amount) {
+  return Math.round(Number(amount) * SATS);
+}
+
+function toZec(zats) {
+  return Number((zats / SATS).toFixed(8));
+}
+
+/**
+ * Memo field → text. 0xF6 means "no memo", 0xF5+ are non-text memos
+ * (ZIP-302); text memos are UTF-8 padded with zero bytes.
+ */
+function memoText(note) {
+  if (typeof note.memoStr === "string") return note.memoStr;
+  const hex = String(note.memo || "");
+  if (!/^[0-9a-f]+$/i.test(hex)) return null;
+  const buf = Buffer.from(hex, "hex");
+  if (!buf.length || buf[0] >= 0xf5) return null;
+  let end = buf.length;
+  while (end > 0 && buf[end - 1] === 0) end--;
+  return buf.slice(0, end).toString("utf8");
+}
+
+function poolZec(pools, name) {
+  return toZec((pools && pools[name] && pools[name].valueZat) || 0);
+}
+
+function createShieldedWallet(rpc, options = {}) {
+  const dir = options.dir || path.join(__dirname, "content", "shielded");
+  const storePath = path.join(dir, "operations.json");
+  const coinControl = options.coinControl || null;
+  const locks = options.locks || null;
+  const log = options.log || (() => {});
+
+  let store = null;
+
+  function load() {
+    if (store) return store;
+    try {
+      const raw = JSON.parse(fs.readFileSync(storePath, "utf8"));
+      if (raw && raw.version === STORE_VERSION && raw.operations) {
+        store = raw;
+        return store;
+      }
+    } catch (_) {}
+    store = { version: STORE_VERSION, operations: {} };
+    return store;
+  }
+
+  function persist() {
+    const s = load();
+    const ids = Object.keys(s.operations).sort((a, b) =>
+      String(s.operations[b].createdAt).localeCompare(String(s.operations[a].createdAt)));
+    for (const id of ids.slice(MAX_RECORDS)) {
+      if (!PENDING.has(s.operations[id].status)) delete s.operations[id];
+    }
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = storePath + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(s, null, 2), "utf8");
+    fs.renameSync(tmp, storePath);
+  }
+
+  // ----- addresses / notes -----
+
+  // [{ address, type, account?, receivers?, source }]
+  async function walletAddresses() {
+    let groups;
+    try {
+      groups = await rpc("listaddresses");
+    } catch (err) {
+      if (err.rpcCode !== -32601) throw err; // method not found: pre-4.7 node
+      const legacy = await rpc("z_listaddresses");
+      return (legacy || []).map(address => ({
+        address,
+        type: /^(zs|ztestsapling|zregtestsapling)/.test(address) ? "sapling" : "sprout",
+        source: "legacy",
+      }));
+    }
+
+    const out = [];
+    for (const g of groups || []) {
+      for (const key of g.sapling || []) {
+        for (const address of key.addresses || []) {
+          out.push({ address, type: "sapling", source: g.source });
+        }
+      }
+      for (const key of g.sprout ? [].concat(g.sprout) : []) {
+        for (const address of key.addresses || []) {
+          out.push({ address, type: "sprout", source: g.source });
+        }
+      }
+      for (const acct of g.unified || []) {
+        for (const a of acct.addresses || []) {
+          out.push({
+            address: a.address,
+            type: "unified",
+            account: acct.account,
+            receivers: a.receiver_types || [],
+            source: g.source,
+          });
+        }
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Shielded notes (z_listunspent), with `memoText` decoded.
+   *  - minconf (default 0), addresses (only notes received on these)
+   */
+  async function notes(opts = {}) {
+    const minconf = Number.isInteger(opts.minconf) && opts.minconf >= 0 ? opts.minconf : 0;
+    const params = [minconf, 9999999, false];
+    if (Array.isArray(opts.addresses) && opts.addresses.length) params.push(opts.addresses);
+    const list = await rpc("z_listunspent", params);
+    if (!Array.isArray(list)) {
+      throw new Error("Unexpected z_listunspent result: " + JSON.stringify(list));
+    }
+    return list.map(n => ({ ...n, memoText: memoText(n) }));
+  }
+
+  /**
+   * Everything the shielded wallet view needs in one call:
+   * { totals, accounts: [{ account, addresses, pools, total }],
+   *   addresses: [{ address, type, account?, balance, unconfirmed, notes }] }
+   */
+  async function summary() {
+    const [totals, addrs, allNotes] = await Promise.all([
+      rpc("z_gettotalbalance", [1]).catch(() => null),
+      walletAddresses(),
+      notes({ minconf: 0 }),
+    ]);
+
+    const byAddress = new Map();
+    for (const n of allNotes) {
+      if (!n.address) continue; // internal change
+      const b = byAddress.get(n.address) || { confirmed: 0, unconfirmed: 0, notes: 0 };
+      if (n.confirmations > 0) b.confirmed += toZats(n.amount);
+      else b.unconfirmed += toZats(n.amount);
+      b.notes++;
+      byAddress.set(n.address, b);
+    }
+
+    const accountIds = [...new Set(addrs.filter(a => a.type === "unified").map(a => a.account))];
+    const balances = accountIds.length
+      ? await rpc.batch(accountIds.map(id => ["z_getbalanceforaccount", [id, 1]]))
+      : [];
+    const accounts = accountIds.map((account, i) => {
+      const pools = (balances[i] && balances[i].result && balances[i].result.pools) || {};
+      const split = {
+        transparent: poolZec(pools, "transparent"),
+        sapling: poolZec(pools, "sapling"),
+        orchard: poolZec(pools, "orchard"),
+      };
+      return {
+        account,
+        addresses: addrs.filter(a => a.account === account).map(a => a.address),
+        pools: split,
+        total: toZec(toZats(split.transparent) + toZats(split.sapling) + toZats(split.orchard)),
+        ...(balances[i] && balances[i].error ? { error: balances[i].error.message } : {}),
+      };
+    });
+
+    const addresses = addrs.map(a => {
+      const b = byAddress.get(a.address) || { confirmed: 0, unconfirmed: 0, notes: 0 };
+      return { ...a, balance: toZec(b.confirmed), unconfirmed: toZec(b.unconfirmed), notes: b.notes };
+    });
+
+    return { totals, accounts, addresses };
+  }
+
+  // ----- sends -----
+
+  async function checkRecipients(recipients) {
+    if (!Array.isArray(recipients) || !recipients.length) {
+      throw shieldedError("bad_request", "At least one recipient is required.");
+    }
+    if (recipients.length > MAX_RECIPIENTS) {
+      throw shieldedError("bad_request", `At most ${MAX_RECIPIENTS} recipients per send.`);
+    }
+
+    const out = recipients.map((r, i) => {
+      const address = String((r && r.address) || "").trim();
+      const zats = toZats(r && r.amount);
+      if (!address) throw shieldedError("bad_address", `Recipient ${i + 1}: address is required.`);
+      if (!Number.isFinite(zats) || zats <= 0) {
+        throw shieldedError("bad_amount", `Recipient ${i + 1}: amount must be a positive ZEC value.`);
+      }
+      const entry = { address, amount: toZec(zats) };
+      if (r.memo != null && String(r.memo) !== "") {
+        const memo = Buffer.from(String(r.memo), "utf8");
+        if (memo.length > MAX_MEMO_BYTES) {
+          throw shieldedError("bad_memo", `Recipient ${i + 1}: memo is ${memo.length} bytes, max ${MAX_MEMO_BYTES}.`);
+        }
+        entry.memo = memo.toString("hex");
+      }
+      return entry;
+    });
+
+    const checks = await rpc.batch(out.map(r => ["z_validateaddress", [r.address]]));
+    out.forEach((r, i) => {
+      const info = checks[i] && checks[i].result;
+      if (!info || !info.isvalid) {
+        throw shieldedError("bad_address", `Not a valid Zcash address: ${r.address}`);
+      }
+      r.type = info.address_type || info.type || null;
+      if (r.memo && (r.type === "p2pkh" || r.type === "p2sh")) {
+        throw shieldedError("memo_not_allowed", `Transparent address ${r.address} can't receive a memo.`);
+      }
+    });
+    return out;
+  }
+
+  // Hold the wallet's Zords (and unchecked UTXOs) for operation `label`;
+  // returns { lockId, count }.
+  async function lockZords(label) {
+    if (!coinControl || !locks) return { lockId: null, count: 0 };
+    const zords = (await coinControl.walletUtxos()).filter(coinControl.isProtected);
+    if (!zords.length) return { lockId: null, count: 0 };
+    const holder = await locks.hold(label, zords.map(u => ({ txid: u.txid, vout: u.vout })));
+    return { lockId: holder.id, count: zords.length };
+  }
+
+  async function unlock(op) {
+    if (!op.lockId) return;
+    await locks.release(op.lockId);
+    op.lockId = null;
+  }
+
+  /**
+   * Start a z_sendmany. Returns the operation record; poll operation(opid).
+   *  - from: z-addr, unified address, t-addr or "ANY_TADDR"
+   *  - recipients: [{ address, amount (ZEC), memo? (text) }]
+   *  - minconf (default 1), fee (ZEC; omitted = ZIP-317), privacyPolicy
+   */
+  async function send(input = {}) {
+    const from = String(input.from || "").trim();
+    if (!from) throw shieldedError("bad_request", "from address is required.");
+    const privacyPolicy = input.privacyPolicy ? String(input.privacyPolicy) : null;
+    if (privacyPolicy && !PRIVACY_POLICIES.includes(privacyPolicy)) {
+      throw shieldedError("bad_policy", `privacyPolicy must be one of ${PRIVACY_POLICIES.join(", ")}.`);
+    }
+    const minconf = Number.isInteger(input.minconf) && input.minconf >= 0 ? input.minconf : 1;
+    let fee = null;
+    if (input.fee != null && input.fee !== "") {
+      const zats = toZats(input.fee);
+      if (!Number.isFinite(zats) || zats < 0) throw shieldedError("bad_amount", "fee must be a ZEC value.");
+      fee = toZec(zats);
+    }
+
+    const recipients = await checkRecipients(input.recipients);
+
+    const params = [from, recipients.map(({ address, amount, memo }) =>
+      (memo ? { address, amount, memo } : { address, amount })), minconf, fee];
+    if (privacyPolicy) params.push(privacyPolicy);
+
+    // queued behind other sends so their coin control can't interleave
+    const start = async () => {
+      const held = input.allowInscriptions === true
+        ? { lockId: null, count: 0 }
+        : await lockZords("z_sendmany");
+      try {
+        return { ...held, opid: await rpc("z_sendmany", params) };
+      } catch (err) {
+        await unlock(held);
+        throw err;
+      }
+    };
+    const { opid, lockId, count } = locks ? await locks.run("z_sendmany", start) : await start();
+
+    const op = {
+      opid,
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      from,
+      recipients: recipients.map(r => ({
+        address: r.address,
+        amount: r.amount,
+        type: r.type,
+        memoBytes: r.memo ? r.memo.length / 2 : 0,
+      })),
+      total: toZec(recipients.reduce((sum, r) => sum + toZats(r.amount), 0)),
+      minconf,
+      fee,
+      privacyPolicy,
+      lockId,
+      lockedUtxos: count,
+      txid: null,
+      error: null,
+    };
+    load().operations[opid] = op;
+    persist();
+    log(`[shielded] ${opid}: z_sendmany from ${from}, ${op.total} ZEC to ${recipients.length} recipient(s)`);
+    return publicOp(op);
+  }
+
+  function publicOp(op) {
+    const { lockId, ...rest } = op;
+    return rest;
+  }
+
+  function finish(op, st) {
+    op.status = st.status;
+    op.finishedAt = new Date().toISOString();
+    if (st.result && st.result.txid) op.txid = st.result.txid;
+    if (st.error) op.error = st.error.message || JSON.stringify(st.error);
+    if (st.execution_secs != null) op.executionSecs = st.execution_secs;
+  }
+
+  /**
+   * Refresh pending operations from the node and return all of them, newest
+   * first: { operations: [...recorded], node: [...other async ops the node
+   * is running, e.g. a z_shieldcoinbase from the dev console] }.
+   */
+  async function operations() {
+    const s = load();
+    const statuses = await rpc("z_getoperationstatus");
+    const live = new Map((statuses || []).map(st => [st.id, st]));
+
+    let changed = false;
+    const done = [];
+    for (const op of Object.values(s.operations)) {
+      if (!PENDING.has(op.status)) continue;
+      const st = live.get(op.opid);
+      if (!st) {
+        // the node restarted (or someone collected it): its outcome is gone
+        op.status = "lost";
+        op.error = "The node no longer knows this operation.";
+        await unlock(op);
+        changed = true;
+      } else if (PENDING.has(st.status)) {
+        if (op.status !== st.status) changed = true;
+        op.status = st.status;
+      } else {
+        done.push(op);
+      }
+    }
+
+    if (done.length) {
+      const results = await rpc("z_getoperationresult", [done.map(op => op.opid)]);
+      const byId = new Map((results || []).map(r => [r.id, r]));
+      for (const op of done) {
+        finish(op, byId.get(op.opid) || live.get(op.opid));
+        await unlock(op);
+        log(`[shielded] ${op.opid}: ${op.status}${op.txid ? " " + op.txid : ""}${op.error ? " · " + op.error : ""}`);
+      }
+      changed = true;
+    }
+    if (changed) persist();
+
+    const recorded = Object.values(s.operations)
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+      .map(publicOp);
+    const node = [...live.values()]
+      .filter(st => !s.operations[st.id])
+      .map(st => ({
+        opid: st.id,
+        method: st.method || null,
+        status: st.status,
+        createdAt: st.creation_time ? new Date(st.creation_time * 1000).toISOString() : null,
+        txid: (st.result && st.result.txid) || null,
+        error: st.error ? st.error.message : null,
+      }));
+    return { operations: recorded, node };
+  }
+
+  /** One recorded operation, refreshed first; null if unknown. */
+  async function operation(opid) {
+    await operations();
+    const op = load().operations[opid];
+    return op ? publicOp(op) : null;
+  }
+
+  return { walletAddresses, notes, summary, send, operations, operation };
+}
+
+module.exports = { createShieldedWallet, memoText, PRIVACY_POLICIES };
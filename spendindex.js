@@ -0,0 +1,390 @@
+// spendindex.js
+//
+// Local outpoint -> spender index used by decode.js to follow reveal chains.
+//
+//  - if the node runs with spentindex=1, lookups go straight to getspentinfo
+//  - otherwise blocks are scanned once (getblock <hash> 2) and every spent
+//    outpoint is recorded under content/spendindex/
+//  - the index remembers which height ranges it covers, so each block is
+//    only ever fetched once; a lookup starts at the funding height and only
+//    scans the blocks in front of it that are not covered yet
+//
+// Storage is split per range of CHUNK_BLOCKS heights (spends-<first>.json,
+// only the chunks touched by a scan are rewritten) plus index.json with the
+// covered ranges. Chunks are read on demand and only a few stay in memory.
+
+const fs = require("fs");
+const path = require("path");
+
+const INDEX_VERSION = 2;
+const CHUNK_BLOCKS = 1000;      // heights per chunk file
+const CACHED_CHUNKS = 16;       // chunks kept in memory
+const SAVE_EVERY_BLOCKS = 250;  // flush to disk while a long scan runs
+const REORG_DEPTH = 10;         // blocks re-scanned when the tip hash changed
+
+function chunkOf(height) {
+  return Math.floor(height / CHUNK_BLOCKS) * CHUNK_BLOCKS;
+}
+
+// Sorted, merged [from, to] ranges with [from, to] added
+function addRange(ranges, from, to) {
+  const all = [...ranges, [from, to]].sort((a, b) => a[0] - b[0]);
+  const out = [];
+  for (const r of all) {
+    const last = out[out.length - 1];
+    if (last && r[0] <= last[1] + 1) last[1] = Math.max(last[1], r[1]);
+    else out.push([r[0], r[1]]);
+  }
+  return out;
+}
+
+// The node says getspentinfo is missing or switched off (not "unspent")
+function spentIndexDisabled(err) {
+  return err && (err.rpcCode === -32601 ||
+    /disabled|not enabled|spentindex|insightexplorer/i.test(String(err.message || "")));
+}
+
+function createSpendIndex(rpc, options = {}) {
+  const dir = options.dir || path.join(process.cwd(), "content", "spendindex");
+  const indexPath = path.join(dir, "index.json");
+  const legacyPath = path.join(dir, "spends.json");
+  const log = options.log || (() => {});
+
+  let state = null;
+  let dirty = false;
+  const chunks = new Map(); // first height -> { spends, dirty }, LRU order
+  let spentIndexAvailable = null; // null = not probed yet
+  let scanLock = Promise.resolve(); // one block scan at a time per process
+
+  // Serialize scans so concurrent decodes don't walk the same blocks twice
+  function withScanLock(fn) {
+    const run = scanLock.then(fn, fn);
+    scanLock = run.catch(() => {});
+    return run;
+  }
+
+  // ---------------- PERSISTENCE ----------------
+
+  function emptyState() {
+    return {
+      version: INDEX_VERSION,
+      ranges: [],      // covered heights, [[from, to], ...]
+      lastHash: null,  // hash at the top of the highest range
+      updatedAt: null,
+    };
+  }
+
+  function chunkPath(first) {
+    return path.join(dir, `spends-${first}.json`);
+  }
+
+  function readJson(file) {
+    const raw = fs.readFileSync(file, "utf8");
+    return raw.trim() ? JSON.parse(raw) : null;
+  }
+
+  function writeJson(file, value) {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = file + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(value), "utf8");
+    fs.renameSync(tmp, file);
+  }
+
+  function chunk(first) {
+    let c = chunks.get(first);
+    if (c) {
+      chunks.delete(first); // most recently used last
+      chunks.set(first, c);
+      return c;
+    }
+    c = { spends: {}, dirty: false };
+    try {
+      if (fs.existsSync(chunkPath(first))) c.spends = (readJson(chunkPath(first)) || {}).spends || {};
+    } catch (e) {
+      console.warn(`Invalid ${path.basename(chunkPath(first))}, re-scanning its blocks:`, e.message);
+      state.ranges = state.ranges
+        .flatMap(([a, b]) => {
+          const lo = first, hi = first + CHUNK_BLOCKS - 1;
+          if (b < lo || a > hi) return [[a, b]];
+          return [a < lo ? [a, lo - 1] : null, b > hi ? [hi + 1, b] : null].filter(Boolean);
+        });
+      dirty = true;
+    }
+    chunks.set(first, c);
+    evict();
+    return c;
+  }
+
+  function evict() {
+    for (const [first, c] of chunks) {
+      if (chunks.size <= CACHED_CHUNKS) break;
+      if (c.dirty) writeJson(chunkPath(first), { spends: c.spends });
+      chunks.delete(first);
+    }
+  }
+
+  // v1 kept every spend in one spends.json: split it into chunks once
+  function migrate(legacy) {
+    for (const [key, entry] of Object.entries(legacy.spends || {})) {
+      const c = chunk(chunkOf(entry[2]));
+      c.spends[key] = entry;
+      c.dirty = true;
+    }
+    if (legacy.fromHeight !== null && legacy.lastHeight !== null && legacy.lastHeight >= legacy.fromHeight) {
+      state.ranges = [[legacy.fromHeight, legacy.lastHeight]];
+      state.lastHash = legacy.lastHash;
+    }
+    dirty = true;
+    save();
+    fs.unlinkSync(legacyPath);
+    log("Spend index split into per-range files.");
+  }
+
+  function load() {
+    if (state) return state;
+    state = emptyState();
+    try {
+      if (fs.existsSync(indexPath)) {
+        const parsed = readJson(indexPath);
+        if (parsed && parsed.version === INDEX_VERSION) {
+          state = { ...emptyState(), ...parsed };
+        } else if (parsed) {
+          console.warn("spendindex/index.json has an unknown format, rebuilding index.");
+        }
+      } else if (fs.existsSync(legacyPath)) {
+        const legacy = readJson(legacyPath);
+        if (legacy && legacy.version === 1) migrate(legacy);
+      }
+    } catch (e) {
+      console.warn("Invalid spend index, rebuilding:", e.message);
+      state = emptyState();
+    }
+    return state;
+  }
+
+  function save() {
+    if (!state) return;
+    for (const [first, c] of chunks) {
+      if (!c.dirty) continue;
+      writeJson(chunkPath(first), { spends: c.spends });
+      c.dirty = false;
+    }
+    if (!dirty) return;
+    state.updatedAt = new Date().toISOString();
+    writeJson(indexPath, state);
+    dirty = false;
+  }
+
+  function topHeight() {
+    return state.ranges.length ? state.ranges[state.ranges.length - 1][1] : null;
+  }
+
+  function coveringRange(height) {
+    return state.ranges.find(([a, b]) => a <= height && height <= b) || null;
+  }
+
+  // Spender recorded anywhere in [from, to] (one lookup per chunk)
+  function findIn(key, from, to) {
+    for (let first = chunkOf(from); first <= to; first += CHUNK_BLOCKS) {
+      const hit = chunk(first).spends[key];
+      if (hit) return hit;
+    }
+    return null;
+  }
+
+  // ---------------- SPENTINDEX (node side) ----------------
+
+  // Returns { txid, vinIndex, height } | null, or undefined when the node
+  // can't answer and we need to fall back to the local index. Only a missing
+  // or disabled getspentinfo switches it off; other errors fall back once.
+  async function lookupViaSpentInfo(txid, vout) {
+    if (spentIndexAvailable === false) return undefined;
+    try {
+      const info = await rpc("getspentinfo", [{ txid, index: vout }]);
+      spentIndexAvailable = true;
+      if (!info || !info.txid) return null;
+      return { txid: info.txid, vinIndex: info.index, height: info.height };
+    } catch (err) {
+      if (/unable to get spent info/i.test(String(err.message || ""))) {
+        // spentindex is on, the outpoint just isn't spent (yet)
+        spentIndexAvailable = true;
+        return null;
+      }
+      if (spentIndexDisabled(err)) {
+        log("getspentinfo unavailable, using local spend index.");
+        spentIndexAvailable = false;
+      } else {
+        log(`getspentinfo failed (${err.message}), using local spend index for this lookup.`);
+      }
+      return undefined;
+    }
+  }
+
+  // ---------------- BLOCK SCAN (local index) ----------------
+
+  function recordBlock(blk, height) {
+    const c = chunk(chunkOf(height));
+    for (const tx of blk.tx || []) {
+      const vins = tx.vin || [];
+      for (let i = 0; i < vins.length; i++) {
+        const vin = vins[i];
+        if (!vin.txid || vin.coinbase) continue;
+        c.spends[`${vin.txid}:${vin.vout}`] = [tx.txid, i, height];
+      }
+    }
+    c.dirty = true;
+    state.ranges = addRange(state.ranges, height, height);
+    dirty = true;
+  }
+
+  async function scanBlock(height, onBlock) {
+    const hash = await rpc("getblockhash", [height]);
+    const blk = await rpc("getblock", [hash, 2]);
+    recordBlock(blk, height);
+    if (height === topHeight()) state.lastHash = hash;
+    if (onBlock) onBlock(height);
+    return hash;
+  }
+
+  // Drop everything at or above `height` (used after a reorg)
+  function forgetFrom(height) {
+    const top = topHeight();
+    for (let first = chunkOf(height); first <= top; first += CHUNK_BLOCKS) {
+      const c = chunk(first);
+      for (const [key, entry] of Object.entries(c.spends)) {
+        if (entry[2] >= height) delete c.spends[key];
+      }
+      c.dirty = true;
+    }
+    state.ranges = state.ranges
+      .filter(([a]) => a < height)
+      .map(([a, b]) => [a, Math.min(b, height - 1)]);
+    state.lastHash = null;
+    dirty = true;
+  }
+
+  async function checkTip() {
+    const top = topHeight();
+    if (top === null || !state.lastHash) return;
+    let hash = null;
+    try { hash = await rpc("getblockhash", [top]); } catch (_) {}
+    if (hash === state.lastHash) return;
+
+    const rewindTo = Math.max(0, top - REORG_DEPTH + 1);
+    log(`Spend index tip changed at ${top}, re-scanning from ${rewindTo}.`);
+    forgetFrom(rewindTo);
+  }
+
+  /**
+   * Walk heights from `from` up: covered ranges are looked up, the blocks in
+   * between are scanned (at most `maxBlocks` of them). Stops once `key` is
+   * found (when given). Returns the hit or null.
+   */
+  async function walk(from, maxBlocks, key, onBlock) {
+    const tip = await rpc("getblockcount");
+    let h = from;
+    let scanned = 0;
+    while (h <= tip) {
+      const covered = coveringRange(h);
+      if (covered) {
+        const hit = key && findIn(key, h, covered[1]);
+        if (hit) return hit;
+        h = covered[1] + 1;
+        continue;
+      }
+      if (scanned >= maxBlocks) break;
+      await scanBlock(h, onBlock);
+      scanned++;
+      if (scanned % SAVE_EVERY_BLOCKS === 0) {
+        log(`Spend index at height ${h} (${tip - h} to tip)`);
+        save();
+      }
+      const hit = key && chunk(chunkOf(h)).spends[key];
+      if (hit) return hit;
+      h++;
+    }
+    return null;
+  }
+
+  // ---------------- PUBLIC ----------------
+
+  /**
+   * Find the transaction spending <txid>:<vout>.
+   *  - startHeight: height of the funding tx (no spender can be earlier)
+   *  - maxBlocks:   cap on how many new blocks a single lookup may scan
+   *  - onBlock:     optional callback(height) for every block scanned
+   * Returns { txid, vinIndex, height } or null when unspent / not found.
+   */
+  async function findSpender(txid, vout, startHeight, maxBlocks = 2000, onBlock = null) {
+    const viaNode = await lookupViaSpentInfo(txid, vout);
+    if (viaNode !== undefined) return viaNode;
+
+    load();
+    const key = `${txid}:${vout}`;
+    if (startHeight === null || startHeight === undefined) return null;
+
+    const found = await withScanLock(async () => {
+      try {
+        await checkTip();
+        return await walk(startHeight, maxBlocks, key, onBlock);
+      } finally {
+        save();
+      }
+    });
+    return found ? { txid: found[0], vinIndex: found[1], height: found[2] } : null;
+  }
+
+  /**
+   * Spender of <txid>:<vout> from what is known already (getspentinfo or
+   * the local index), never scanning. `startHeight` (funding height, if
+   * known) narrows the chunks looked at. Returns { txid, vinIndex, height }
+   * or null when unspent or not indexed yet.
+   */
+  async function lookupSpender(txid, vout, startHeight = null) {
+    const viaNode = await lookupViaSpentInfo(txid, vout);
+    if (viaNode !== undefined) return viaNode;
+    load();
+    const key = `${txid}:${vout}`;
+    for (const [a, b] of state.ranges) {
+      if (startHeight !== null && b < startHeight) continue;
+      const hit = findIn(key, startHeight !== null ? Math.max(a, startHeight) : a, b);
+      if (hit) return { txid: hit[0], vinIndex: hit[1], height: hit[2] };
+    }
+    return null;
+  }
+
+  // Index [fromHeight, tip] (or `maxBlocks` of it), e.g. from a cron job.
+  // Without a height it continues above the highest covered one.
+  async function sync(fromHeight, maxBlocks = Infinity) {
+    load();
+    const from = fromHeight !== undefined && fromHeight !== null
+      ? fromHeight
+      : topHeight() !== null ? topHeight() + 1 : null;
+    if (from === null) throw new Error("Spend index is empty: give the height to index from.");
+    await withScanLock(async () => {
+      try {
+        await checkTip();
+        await walk(from, maxBlocks, null);
+      } finally {
+        save();
+      }
+    });
+    return status();
+  }
+
+  function status() {
+    load();
+    return {
+      path: dir,
+      spentIndex: spentIndexAvailable,
+      ranges: state.ranges,
+      fromHeight: state.ranges.length ? state.ranges[0][0] : null,
+      lastHeight: topHeight(),
+      updatedAt: state.updatedAt,
+    };
+  }
+
+  return { findSpender, lookupSpender, sync, status, save };
+}
+
+module.exports = { createSpendIndex };
@@ -0,0 +1,37 @@
+// Which requests audit.js logs (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const { createAuditLog } = require("../audit");
+
+test("case and trailing-slash variants of audited routes are logged", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zord-audit-"));
+  const audit = createAuditLog({ dir });
+  const app = express();
+  app.use(express.json());
+  app.use(audit.middleware);
+  app.post("/api/wallet/send", (req, res) => res.json({ txid: "ab" }));
+  app.post("/api/tx/check", (req, res) => res.json({ ok: true }));
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  t.after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const paths = ["/api/wallet/send", "/API/wallet/send", "/api/Wallet/send", "/api/wallet/send/"];
+  for (const p of [...paths, "/API/TX/CHECK/"]) {
+    const res = await fetch(base + p, { method: "POST", headers: { "Content-Type": "application/json" }, body: "{}" });
+    assert.strictEqual(res.status, 200, p);
+  }
+  // entries are written on "finish"
+  await new Promise((r) => setTimeout(r, 50));
+  const routes = fs.readFileSync(path.join(dir, "audit.jsonl"), "utf8")
+    .split("\n").filter(Boolean).map((l) => JSON.parse(l).route);
+  assert.deepStrictEqual(routes, paths);
+});
@@ -0,0 +1,115 @@
+// Rule matching and Host checks of auth.js (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const express = require("express");
+const { createAuth, normalizePath } = require("../auth");
+
+function serve(env) {
+  const auth = createAuth({ env });
+  const app = express();
+  app.use(express.json());
+  auth.routes(app);
+  app.use(auth.middleware);
+  app.post("/api/wallet/send", (req, res) => res.json({ ok: true }));
+  app.post("/api/inscription/:id/transfer", (req, res) => res.json({ ok: true }));
+  app.get("/api/tx/:txid", (req, res) => res.json({ ok: true }));
+  app.post("/api/tx/check", (req, res) => res.json({ ok: true }));
+  for (const route of ["/api/index/start", "/api/index/stop", "/api/zrc20/sync", "/api/zords/verify"]) {
+    app.post(route, (req, res) => res.json({ ok: true }));
+  }
+  app.get("/api/zords/verify", (req, res) => res.json({ ok: true }));
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+// http.request: fetch does not let us choose the Host header
+function request(server, method, path, headers = {}) {
+  const { port } = server.address();
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: "127.0.0.1", port, method, path, headers }, (res) => {
+      let body = "";
+      res.on("data", (c) => (body += c));
+      res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(body || "null") }));
+    });
+    req.on("error", reject);
+    req.end(method === "GET" ? undefined : "{}");
+  });
+}
+
+const JSON_HEADERS = { "Content-Type": "application/json" };
+
+test("normalizePath folds case and trailing slashes", () => {
+  assert.strictEqual(normalizePath("/API/Wallet/Send/"), "/api/wallet/send");
+  assert.strictEqual(normalizePath("/api/inscription/ABCi0/transfer//"), "/api/inscription/abci0/transfer");
+  assert.strictEqual(normalizePath("/"), "/");
+});
+
+test("case and trailing-slash variants of protected routes need a session", async (t) => {
+  const server = await serve({ VIEWER_AUTH_PASSWORD: "pw" });
+  t.after(() => server.close());
+  for (const path of [
+    "/api/wallet/send",
+    "/API/wallet/send",
+    "/api/Wallet/send",
+    "/api/wallet/send/",
+    "/api/inscription/abc/transfer",
+    "/api/inscription/abc/transfer/",
+    "/API/INSCRIPTION/abc/TRANSFER",
+  ]) {
+    const res = await request(server, "POST", path, JSON_HEADERS);
+    assert.strictEqual(res.status, 401, `${path} -> ${res.status}`);
+  }
+});
+
+test("open mode refuses a rebound Host header", async (t) => {
+  const server = await serve({});
+  t.after(() => server.close());
+  const port = server.address().port;
+
+  const rebound = await request(server, "GET", "/api/auth/session", { Host: `evil.example:${port}` });
+  assert.strictEqual(rebound.status, 403);
+  assert.strictEqual(rebound.body.error, "bad_host");
+
+  const send = await request(server, "POST", "/api/wallet/send", { ...JSON_HEADERS, Host: `evil.example:${port}` });
+  assert.strictEqual(send.status, 403);
+
+  for (const host of [`localhost:${port}`, `127.0.0.1:${port}`, `[::1]:${port}`]) {
+    const ok = await request(server, "GET", "/api/auth/session", { Host: host });
+    assert.strictEqual(ok.status, 200, host);
+    assert.ok(ok.body.csrfToken);
+  }
+});
+
+test("VIEWER_ALLOWED_HOSTS adds names", async (t) => {
+  const server = await serve({ VIEWER_ALLOWED_HOSTS: "zord.lan, Node.Home" });
+  t.after(() => server.close());
+  for (const host of ["zord.lan", "node.home:4000"]) {
+    const res = await request(server, "GET", "/api/auth/session", { Host: host });
+    assert.strictEqual(res.status, 200, host);
+  }
+});
+
+test("only GET /api/tx/<txid> is public under /api/tx/", async (t) => {
+  const server = await serve({ VIEWER_AUTH_PASSWORD: "pw" });
+  t.after(() => server.close());
+  const txid = "ab".repeat(32);
+  assert.strictEqual((await request(server, "GET", `/api/tx/${txid}`)).status, 200);
+  assert.strictEqual((await request(server, "GET", `/API/TX/${txid.toUpperCase()}/`)).status, 200);
+  assert.strictEqual((await request(server, "POST", "/api/tx/check", JSON_HEADERS)).status, 401);
+  assert.strictEqual((await request(server, "POST", "/API/Tx/Check/", JSON_HEADERS)).status, 401);
+  assert.strictEqual((await request(server, "GET", "/api/tx/check")).status, 401);
+});
+
+test("indexer, ledger and repair calls need an operator", async (t) => {
+  const server = await serve({ VIEWER_AUTH_PASSWORD: "pw", VIEWER_AUTH_READONLY_TOKEN: "ro" });
+  t.after(() => server.close());
+  const viewer = { ...JSON_HEADERS, Authorization: "Bearer ro" };
+  for (const path of ["/api/index/start", "/api/index/stop", "/api/zrc20/sync", "/api/zords/verify", "/API/Index/Start/"]) {
+    assert.strictEqual((await request(server, "POST", path, JSON_HEADERS)).status, 401, path);
+    assert.strictEqual((await request(server, "POST", path, viewer)).status, 403, `${path} as viewer`);
+  }
+  assert.strictEqual((await request(server, "GET", "/api/zords/verify")).status, 200);
+});
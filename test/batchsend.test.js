@@ -0,0 +1,70 @@
+// Batch payments of batchsend.js (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createBatchSender } = require("../batchsend");
+const { createLockManager } = require("../utxolocks");
+
+const A = "t1" + "a".repeat(33);
+const B = "t1" + "b".repeat(33);
+const wallet = [{ txid: "c".repeat(64), vout: 0, amount: 5, confirmations: 10, inscriptionStatus: "clean", inscription: null }];
+
+function setup(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zord-batch-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const calls = [];
+  const rpc = async (method, params) => {
+    calls.push([method, params]);
+    if (method === "sendmany") return "d".repeat(64);
+    if (method === "gettransaction") return { fee: -0.0002 };
+    if (method === "lockunspent") return true;
+    throw new Error(`unexpected ${method}`);
+  };
+  rpc.batch = async (list) => list.map(([, [address]]) => ({
+    result: { isvalid: address.startsWith("t1"), scriptPubKey: "76a914" + "00".repeat(20) + "88ac" },
+  }));
+  const sender = createBatchSender(rpc, {
+    coinControl: { walletUtxos: async () => wallet },
+    locks: createLockManager(rpc, { dir }),
+  });
+  return { sender, sent: () => calls.filter(([m]) => m === "sendmany") };
+}
+
+test("duplicate addresses are flagged per line and the batch is refused", async (t) => {
+  const { sender, sent } = setup(t);
+  const csv = `address,amount\n${A},0.1\n# refund\n${B},0.2\n${A},0.3\n`;
+  const p = await sender.preview({ csv });
+  assert.strictEqual(p.ok, false);
+  assert.deepStrictEqual(p.rows.map((r) => [r.line, r.error || null]), [
+    [2, null], [4, null], [5, "duplicate address (also line 2)"],
+  ]);
+  await assert.rejects(sender.send({ csv }, { batchId: p.batchId }), { code: "bad_batch" });
+  assert.deepStrictEqual(sent(), []);
+});
+
+test("only the batch that was previewed is sent", async (t) => {
+  const { sender, sent } = setup(t);
+  const rows = [{ address: A, amount: "0.1" }, { address: B, amount: "0.2" }];
+  const opts = { minconf: 2, comment: "royalties" };
+  const p = await sender.preview({ rows }, opts);
+  assert.strictEqual(p.ok, true);
+
+  const stale = [
+    [{ rows: [rows[0], { address: B, amount: "0.3" }] }, opts],
+    [{ rows }, { ...opts, minconf: 0 }],
+    [{ rows }, { ...opts, comment: "airdrop" }],
+    [{ rows }, { ...opts, utxos: [wallet[0]] }],
+    [{ rows }, {}],
+  ];
+  for (const [input, o] of stale) {
+    await assert.rejects(sender.send(input, { ...o, batchId: p.batchId }), { code: "stale_preview" });
+  }
+  assert.deepStrictEqual(sent(), []);
+
+  const done = await sender.send({ rows }, { ...opts, batchId: p.batchId });
+  assert.deepStrictEqual(done, { txid: "d".repeat(64), batchId: p.batchId, count: 2, total: 0.3, fee: 0.0002 });
+  assert.deepStrictEqual(sent(), [["sendmany", ["", { [A]: 0.1, [B]: 0.2 }, 2, "royalties"]]]);
+});
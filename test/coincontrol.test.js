@@ -0,0 +1,61 @@
+// Coin control plans and UTXO checks for wallet sends (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createCoinControl, planSend, uncheckedNeeded } = require("../coincontrol");
+
+const zord = { txid: "a".repeat(64), vout: 0, amount: 0.0001, inscriptionStatus: "inscribed", inscription: { inscriptionId: "zi0" } };
+const unknown = { txid: "b".repeat(64), vout: 0, amount: 1, inscriptionStatus: "unknown", inscription: null };
+const clean = { txid: "c".repeat(64), vout: 1, amount: 0.5, inscriptionStatus: "clean", inscription: null };
+const keys = (list) => list.map((u) => `${u.txid[0]}:${u.vout}`);
+
+test("unknown UTXOs are locked like Zords and reported", () => {
+  const plan = planSend([zord, unknown, clean]);
+  assert.deepStrictEqual(keys(plan.lock), ["a:0", "b:0"]);
+  assert.deepStrictEqual(keys(plan.spendable), ["c:1"]);
+  assert.deepStrictEqual(keys(plan.unchecked), ["b:0"]);
+  assert.deepStrictEqual(plan.blocked, []);
+});
+
+test("picking an unknown UTXO is refused unless allowInscriptions", () => {
+  assert.deepStrictEqual(keys(planSend([unknown, clean], { utxos: [unknown] }).blocked), ["b:0"]);
+
+  const allowed = planSend([zord, unknown, clean], { utxos: [unknown], allowInscriptions: true });
+  assert.deepStrictEqual(allowed.blocked, []);
+  assert.deepStrictEqual(keys(allowed.spendable), ["b:0"]);
+  assert.deepStrictEqual(keys(allowed.lock), ["a:0", "c:1"]);
+});
+
+test("a send only unchecked UTXOs could cover reports them", () => {
+  const plan = planSend([zord, unknown, clean]);
+  assert.deepStrictEqual(keys(uncheckedNeeded(plan, 1.2)), ["b:0"]);
+  assert.deepStrictEqual(uncheckedNeeded(plan, 0.4), [], "covered without them");
+  assert.deepStrictEqual(uncheckedNeeded(plan, 3), [], "not covered with them either");
+});
+
+test("first-time checks walk side by side in one batch per step", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zord-coins-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  // u<n>:0 is fed by a plain input spending p<n>:0, which has no scriptSig (coinbase)
+  const txs = {};
+  const utxos = ["1", "2", "3"].map((n) => {
+    const u = `u${n}`.padEnd(64, "0");
+    const p = `p${n}`.padEnd(64, "0");
+    txs[u] = { txid: u, vin: [{ txid: p, vout: 0, scriptSig: { hex: "00" } }] };
+    txs[p] = { txid: p, vin: [{ coinbase: "00" }] };
+    return { txid: u, vout: 0, amount: 1 };
+  });
+  const batches = [];
+  const rpc = async (method) => { throw new Error(`unexpected single call ${method}`); };
+  rpc.batch = async (calls) => {
+    batches.push(calls.length);
+    return calls.map(([, params]) => ({ result: txs[params[0]] }));
+  };
+
+  const tagged = await createCoinControl(rpc, { dir }).tag(utxos);
+  assert.deepStrictEqual(tagged.map((u) => u.inscriptionStatus), ["clean", "clean", "clean"]);
+  assert.deepStrictEqual(batches, [3, 3]);
+});
@@ -0,0 +1,74 @@
+// Genesis lookups and resumed decodes of decode.js (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// "ord", 1 piece, "text/plain"
+const ORD = "036f726451" + "0a746578742f706c61696e";
+const txid = (c) => c.repeat(64);
+
+// "ord", 2 pieces, "text/plain", piece 1 "def" / later link: piece 0 "abc"
+const ORD_HEAD = "036f726452" + "0a746578742f706c61696e" + "5103646566";
+const ORD_TAIL = "0003616263";
+
+// G opens two envelopes (i0 on input 0, i1 on input 1); F funded both.
+// H (block 100) starts a two-piece chain that C (block 105) finishes.
+const TXS = {
+  [txid("f")]: { txid: txid("f"), vin: [{ txid: txid("e"), vout: 0, scriptSig: { hex: "00" } }] },
+  [txid("g")]: { txid: txid("g"), vin: [
+    { txid: txid("f"), vout: 0, scriptSig: { hex: ORD } },
+    { txid: txid("f"), vout: 1, scriptSig: { hex: ORD } },
+  ] },
+  [txid("h")]: { txid: txid("h"), blockhash: "hash100", vin: [{ txid: txid("f"), vout: 0, scriptSig: { hex: ORD_HEAD } }] },
+  [txid("c")]: { txid: txid("c"), blockhash: "hash105", vin: [{ txid: txid("h"), vout: 0, scriptSig: { hex: ORD_TAIL } }] },
+};
+const BLOCKS = { 100: [txid("h")], 105: [txid("c")] };
+
+// decode.js takes rpc from rpc.js when it loads
+require("../rpc").rpc = async (method, params) => {
+  if (method === "getrawtransaction" && TXS[params[0]]) return TXS[params[0]];
+  if (method === "getspentinfo") throw Object.assign(new Error("Method not found"), { rpcCode: -32601 });
+  if (method === "getblockcount") return 110;
+  if (method === "getblockhash") return `hash${params[0]}`;
+  if (method === "getblock") {
+    const height = Number(params[0].slice(4));
+    const ids = BLOCKS[height] || [];
+    return { height, time: 1, tx: params[1] === 2 ? ids.map((id) => TXS[id]) : ids };
+  }
+  throw new Error(`unexpected ${method} ${params && params[0]}`);
+};
+const { findGenesis, collectInscription, setContentDir } = require("../decode");
+
+test("each envelope of a transaction is its own genesis", async () => {
+  const i0 = await findGenesis(txid("g"), 0);
+  const i1 = await findGenesis(txid("g"), 1);
+  assert.deepStrictEqual([i0.genesisTxid, i0.vin, i0.index], [txid("g"), 0, 0]);
+  assert.deepStrictEqual([i1.genesisTxid, i1.vin, i1.index], [txid("g"), 1, 1]);
+});
+
+test("an envelope index the transaction doesn't have is not_found", async () => {
+  await assert.rejects(findGenesis(txid("g"), 7), (err) => err.code === "not_found" && /no envelope i7/.test(err.message));
+  await assert.rejects(findGenesis(txid("f"), 1), { code: "not_found" });
+});
+
+test("a partial saved before its genesis confirmed resumes from the genesis height", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zord-decode-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  setContentDir(dir);
+  fs.mkdirSync(path.join(dir, "partial"));
+  fs.writeFileSync(path.join(dir, "partial", `${txid("h")}i0.json`), JSON.stringify({
+    inscriptionId: `${txid("h")}i0`,
+    totalPieces: 2,
+    pieces: { 1: Buffer.from("def").toString("hex") },
+    missingPieces: [0],
+    resume: { txid: txid("h"), vout: 0, height: null },
+  }));
+
+  const collected = await collectInscription(txid("h"), 0);
+  assert.deepStrictEqual(collected.missingPieces, []);
+  assert.strictEqual(collected.resultBuf.toString(), "defabc");
+  assert.deepStrictEqual(collected.resume, { txid: txid("c"), vout: 0, height: 105 });
+});
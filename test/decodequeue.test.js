@@ -0,0 +1,79 @@
+// Job sharing and subscribers of decodequeue.js (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createDecodeQueue } = require("../decodequeue");
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return { promise, resolve };
+}
+
+test("a descendant txid follows the job of its genesis id", async () => {
+  const gate = deferred();
+  let decodes = 0;
+  const queue = createDecodeQueue(async () => {
+    decodes++;
+    await gate.promise;
+    return { inscriptionId: "genesisi0" };
+  }, { resolveKey: async (id) => (id === "childtx" ? "genesisi0" : id) });
+
+  const a = queue.enqueue("genesisi0");
+  const b = queue.enqueue("childtx");
+  const progress = [];
+  queue.subscribe(b, (ev) => progress.push(ev.type));
+  gate.resolve();
+  assert.deepStrictEqual(await b.promise, await a.promise);
+  assert.strictEqual(decodes, 1);
+  assert.strictEqual(b.id, "genesisi0");
+  assert.strictEqual(queue.enqueue("childtx").id, "genesisi0", "the resolved key is remembered");
+  assert.deepStrictEqual(progress, ["queued", "started", "done"]);
+});
+
+test("genesis lookups wait for a slot like decodes", async () => {
+  let resolving = 0;
+  let most = 0;
+  const queue = createDecodeQueue(async (id) => ({ inscriptionId: id }), {
+    concurrency: 2,
+    resolveKey: async (id) => {
+      most = Math.max(most, ++resolving);
+      await new Promise((r) => setTimeout(r, 5));
+      resolving--;
+      return id;
+    },
+  });
+  const jobs = ["a", "b", "c", "d", "e", "f"].map((id) => queue.enqueue(id));
+  assert.strictEqual(queue.list().queued, 4);
+  await Promise.all(jobs.map((j) => j.promise));
+  assert.strictEqual(most, 2);
+});
+
+test("an unresolvable id still gets its own job", async () => {
+  const queue = createDecodeQueue(async (id) => ({ inscriptionId: id }), {
+    resolveKey: async () => { throw new Error("node down"); },
+  });
+  const job = queue.enqueue("abc");
+  assert.strictEqual(job.id, "abc");
+  assert.deepStrictEqual(await job.promise, { inscriptionId: "abc" });
+});
+
+test("a throwing subscriber does not fail the job", async (t) => {
+  const errors = t.mock.method(console, "error", () => {});
+  const gate = deferred();
+  const queue = createDecodeQueue(async () => {
+    await gate.promise;
+    return { inscriptionId: "xi0" };
+  });
+  const job = queue.enqueue("xi0");
+  const seen = [];
+  queue.subscribe(job, (ev) => {
+    seen.push(ev.type);
+    if (ev.type === "done") throw new Error("socket closed");
+  });
+  gate.resolve();
+  assert.deepStrictEqual(await job.promise, { inscriptionId: "xi0" });
+  assert.strictEqual(job.status, "done");
+  assert.deepStrictEqual(seen, ["queued", "started", "done"]);
+  assert.strictEqual(errors.mock.callCount(), 1);
+});
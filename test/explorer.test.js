@@ -0,0 +1,97 @@
+// Block / tx / address views of explorer.js (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+
+// "ord", 1 piece, "text/plain"
+const ORD = "036f726451" + "0a746578742f706c61696e";
+const txid = (c) => c.repeat(64);
+const spk = (address) => ({ type: "pubkeyhash", addresses: [address], hex: "76a9" });
+
+// C spends both outputs of B (the first with an envelope) and moves 0.2 ZEC
+// into Sapling. C:0 is spent by D in block 101, C:1 by a mempool tx.
+const TXS = {
+  [txid("b")]: { txid: txid("b"), vin: [{ txid: txid("0"), vout: 0, scriptSig: { hex: "00" } }],
+    vout: [{ n: 0, value: 1, scriptPubKey: spk("t1p") }, { n: 1, value: 0.5, scriptPubKey: spk("t1q") }] },
+  [txid("c")]: { txid: txid("c"), height: 100, blockhash: "hash100", confirmations: 3, size: 400, valueBalance: -0.2,
+    vShieldedOutput: [{}],
+    vin: [{ txid: txid("b"), vout: 0, scriptSig: { hex: ORD } }, { txid: txid("b"), vout: 1, scriptSig: { hex: "00" } }],
+    vout: [{ n: 0, value: 0.9999, scriptPubKey: spk("t1r") }, { n: 1, value: 0.3, scriptPubKey: spk("t1p") }] },
+  [txid("0")]: { txid: txid("0"), vin: [{ coinbase: "00" }], vout: [{ n: 0, value: 3.125, scriptPubKey: spk("t1m") }] },
+};
+const TXOUT = { [`${txid("c")}:1:false`]: { value: 0.3 } };
+
+let addressIndex = true;
+const rpc = async (method, params) => {
+  if (method === "getrawtransaction" && TXS[params[0]]) return TXS[params[0]];
+  if (method === "getrawtransaction") throw Object.assign(new Error("No such mempool or blockchain transaction"), { rpcCode: -5 });
+  if (method === "gettxout") return TXOUT[`${params[0]}:${params[1]}:${params[2]}`] || null;
+  if (method === "getspentinfo") return { txid: txid("d"), index: 0, height: 101 };
+  if (method === "getbestblockhash") return "hash100";
+  if (method === "getblockhash") {
+    if (params[0] > 100) throw Object.assign(new Error("Block height out of range"), { rpcCode: -8 });
+    return `hash${params[0]}`;
+  }
+  if (method === "getblock") return { hash: params[0], height: 100, time: 5, tx: [TXS[txid("0")], TXS[txid("c")], TXS[txid("b")]] };
+  if (method.startsWith("getaddress") && !addressIndex) {
+    throw Object.assign(new Error("Method not found"), { rpcCode: -32601 });
+  }
+  if (method === "getaddressbalance") return { balance: 150000000, received: 300000000 };
+  if (method === "getaddressdeltas") {
+    return [
+      { txid: txid("b"), height: 90, satoshis: 100000000 },
+      { txid: txid("c"), height: 100, satoshis: -100000000 },
+      { txid: txid("c"), height: 100, satoshis: 30000000 },
+    ];
+  }
+  if (method === "getaddressmempool") return [{ txid: txid("e"), satoshis: -5000 }];
+  throw new Error(`unexpected ${method}`);
+};
+rpc.batch = (calls) => Promise.all(calls.map(([m, p]) => rpc(m, p).then((result) => ({ result }), (error) => ({ error }))));
+
+// decode.js takes rpc from rpc.js when it loads
+require("../rpc").rpc = rpc;
+const { createExplorer } = require("../explorer");
+
+test("a tx links its prevouts, envelopes and spenders", async () => {
+  const t = await createExplorer(rpc).tx(txid("c").toUpperCase());
+
+  assert.deepStrictEqual([t.valueIn, t.valueOut, t.fee, t.shielded.valueBalance, t.shielded.saplingOutputs], [1.5, 1.2999, 0.0001, -0.2, 1]);
+  assert.deepStrictEqual(t.inputs.map((i) => [i.address, i.value]), [["t1p", 1], ["t1q", 0.5]]);
+  assert.deepStrictEqual(t.inputs[0].ord, { header: true, mimeType: "text/plain", totalPieces: 1, pieces: [], inscriptionId: `${txid("c")}i0` });
+  assert.strictEqual(t.inputs[1].ord, null);
+  assert.deepStrictEqual(t.inscriptions, [`${txid("c")}i0`]);
+
+  assert.deepStrictEqual(t.outputs.map((o) => [o.spent, o.spentInMempool, o.spender]), [
+    [true, false, { txid: txid("d"), vinIndex: 0, height: 101 }],
+    [true, true, null],
+  ]);
+
+  await assert.rejects(createExplorer(rpc).tx(txid("f")), { code: "not_found" });
+  await assert.rejects(createExplorer(rpc).tx("nope"), { code: "bad_query" });
+});
+
+test("a block lists a page of its txs", async () => {
+  const explorer = createExplorer(rpc);
+  const b = await explorer.block("tip", { offset: 1, limit: 1 });
+  assert.deepStrictEqual([b.hash, b.txCount, b.tx], ["hash100", 3, undefined]);
+  assert.deepStrictEqual(b.txs.map((x) => [x.txid[0], x.coinbase, x.ord, x.genesis, x.shielded, x.inscriptions]),
+    [["c", false, true, true, true, [`${txid("c")}i0`]]]);
+
+  assert.strictEqual((await explorer.block("100")).txs[0].coinbase, true);
+  await assert.rejects(explorer.block("101"), { code: "not_found" });
+  await assert.rejects(explorer.block("latest"), { code: "bad_query" });
+});
+
+test("address history sums each tx, newest first", async () => {
+  const explorer = createExplorer(rpc);
+  const a = await explorer.address("t1p" + "x".repeat(30));
+  assert.deepStrictEqual([a.balance, a.received, a.txCount], [1.5, 3, 2]);
+  assert.deepStrictEqual(a.txs, [{ txid: txid("c"), height: 100, delta: -0.7 }, { txid: txid("b"), height: 90, delta: 1 }]);
+  assert.deepStrictEqual(a.mempool, [{ txid: txid("e"), delta: -0.00005 }]);
+
+  addressIndex = false;
+  await assert.rejects(explorer.address("t1p" + "x".repeat(30)), { code: "addressindex_disabled" });
+  assert.strictEqual(explorer.status().addressIndex, false);
+  addressIndex = true;
+});
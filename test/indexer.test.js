@@ -0,0 +1,152 @@
+// Genesis detection and restarts of indexer.js (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createInscriptionIndexer } = require("../indexer");
+
+// "ord", 1 piece, "text/plain"
+const ORD = "036f726451" + "0a746578742f706c61696e";
+const txid = (c) => c.repeat(64);
+
+// Parent P opens an envelope on input 0 only. A spends P:0 (a reveal link),
+// B spends P:1, which input 1 (no envelope) fed: B is a genesis.
+const TXS = {
+  [txid("p")]: { txid: txid("p"), vin: [
+    { txid: txid("e"), vout: 0, scriptSig: { hex: ORD } },
+    { txid: txid("f"), vout: 0, scriptSig: { hex: "00" } },
+  ] },
+  [txid("a")]: { txid: txid("a"), vin: [{ txid: txid("p"), vout: 0, scriptSig: { hex: ORD } }] },
+  [txid("b")]: { txid: txid("b"), vin: [{ txid: txid("p"), vout: 1, scriptSig: { hex: ORD } }] },
+};
+const BLOCKS = { 100: [txid("a"), txid("b")] };
+const TIP = 120;
+
+function mockRpc(delayMs = 0) {
+  return async (method, params) => {
+    if (delayMs) await new Promise((r) => setTimeout(r, delayMs));
+    if (method === "getblockcount") return TIP;
+    if (method === "getblockhash") return `hash${params[0]}`;
+    if (method === "getblock") {
+      return { time: 1, tx: (BLOCKS[Number(params[0].slice(4))] || []).map((id) => TXS[id]) };
+    }
+    if (method === "getrawtransaction") return TXS[params[0]];
+    throw new Error(`unexpected ${method}`);
+  };
+}
+
+async function until(fn) {
+  for (let i = 0; i < 200 && !fn(); i++) await new Promise((r) => setTimeout(r, 10));
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zord-index-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("only the envelope not continuing the parent's input is a genesis", async (t) => {
+  const indexer = createInscriptionIndexer(mockRpc(), { dir: tempDir(t), pollMs: 60000 });
+  t.after(() => indexer.stop());
+  indexer.start(90);
+  await until(() => indexer.status().lastHeight === TIP);
+  assert.deepStrictEqual(indexer.list().map((e) => e.inscriptionId), [`${txid("b")}i0`]);
+});
+
+test("a lower start height waits for the running pass", async (t) => {
+  const indexer = createInscriptionIndexer(mockRpc(5), { dir: tempDir(t), pollMs: 60000 });
+  t.after(() => indexer.stop());
+  indexer.start(110);
+  await until(() => indexer.status().lastHeight > 110);
+  indexer.start(95);
+  await until(() => indexer.status().startHeight === 95 && indexer.status().lastHeight === TIP);
+  assert.strictEqual(indexer.status().startHeight, 95);
+  assert.strictEqual(indexer.status().lastHeight, TIP);
+  assert.deepStrictEqual(indexer.list().map((e) => e.number), [0]);
+});
+
+// Plain parents (no envelope on any input): every envelope spending them is a genesis
+function chain(blocks, hashOf = (h) => `hash${h}`) {
+  const txs = {};
+  for (const ids of Object.values(blocks)) {
+    for (const [id, envelopes] of ids) {
+      txs[txid(id)] = { txid: txid(id), vin: Array.from({ length: Math.max(1, envelopes) }, (_, n) => ({
+        txid: txid("0"), vout: n, scriptSig: { hex: n < envelopes ? ORD : "00" },
+      })) };
+    }
+  }
+  txs[txid("0")] = { txid: txid("0"), vin: [{ coinbase: "00" }] };
+  return async (method, params) => {
+    if (method === "getblockcount") return Math.max(...Object.keys(blocks).map(Number));
+    if (method === "getblockhash") return hashOf(params[0]);
+    if (method === "getblock") {
+      const height = Object.keys(blocks).find((h) => hashOf(Number(h)) === params[0]);
+      return { time: 1000 + Number(height), tx: (blocks[height] || []).map(([id]) => txs[txid(id)]) };
+    }
+    if (method === "getrawtransaction") return txs[params[0]];
+    throw new Error(`unexpected ${method}`);
+  };
+}
+
+const numbered = (indexer) => indexer.list().map((e) => [e.number, e.inscriptionId.slice(63), e.height, e.txIndex]);
+
+test("numbers follow height, tx position and envelope index", async (t) => {
+  const indexer = createInscriptionIndexer(chain({
+    200: [["x", 0], ["g", 2]],
+    201: [["h", 1], ["x", 0], ["i", 1]],
+    202: [],
+  }), { dir: tempDir(t), pollMs: 60000 });
+  t.after(() => indexer.stop());
+  indexer.start(200);
+  await until(() => indexer.status().lastHeight === 202);
+
+  assert.deepStrictEqual(numbered(indexer), [
+    [0, "gi0", 200, 1], [1, "gi1", 200, 1], [2, "hi0", 201, 0], [3, "ii0", 201, 2],
+  ]);
+  assert.strictEqual(indexer.byNumber(3).inscriptionId, `${txid("i")}i0`);
+  assert.deepStrictEqual([indexer.byNumber(0).blockhash, indexer.byNumber(0).blocktime], ["hash200", 1200]);
+  assert.strictEqual(indexer.byNumber(4), null);
+});
+
+test("a reorg renumbers only the blocks it re-indexes", async (t) => {
+  const dir = tempDir(t);
+  const first = createInscriptionIndexer(chain({
+    300: [["g", 1]],
+    301: [["h", 1], ["i", 1]],
+  }), { dir, pollMs: 60000 });
+  first.start(300);
+  await until(() => first.status().lastHeight === 301);
+  first.stop();
+
+  // block 301 was replaced: h is gone, j was mined before i
+  const second = createInscriptionIndexer(chain({
+    300: [["g", 1]],
+    301: [["j", 1], ["i", 1]],
+    302: [["k", 1]],
+  }, (h) => (h >= 301 ? `fork${h}` : `hash${h}`)), { dir, pollMs: 60000 });
+  t.after(() => second.stop());
+  second.start();
+  await until(() => second.status().lastHeight === 302);
+  assert.deepStrictEqual(numbered(second), [
+    [0, "gi0", 300, 0], [1, "ji0", 301, 0], [2, "ii0", 301, 1], [3, "ki0", 302, 0],
+  ]);
+});
+
+test("a v1 catalog is numbered in chain order when it loads", (t) => {
+  const dir = tempDir(t);
+  const entry = (c, height, txIndex, index = 0) =>
+    ({ inscriptionId: `${txid(c)}i${index}`, txid: txid(c), index, height, txIndex });
+  const inscriptions = {};
+  for (const e of [entry("c", 12, 0), entry("a", 11, 3, 1), entry("a", 11, 3), entry("d", 11, 1)]) {
+    inscriptions[e.inscriptionId] = e;
+  }
+  fs.writeFileSync(path.join(dir, "catalog.json"), JSON.stringify({
+    version: 1, startHeight: 10, lastHeight: 12, lastHash: "hash12", inscriptions,
+  }));
+
+  const indexer = createInscriptionIndexer(mockRpc(), { dir, pollMs: 60000 });
+  assert.deepStrictEqual(indexer.list().map((e) => [e.number, e.inscriptionId.slice(63)]),
+    [[0, "di0"], [1, "ai0"], [2, "ai1"], [3, "ci0"]]);
+});
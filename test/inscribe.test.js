@@ -0,0 +1,167 @@
+// Commit/reveal chains of inscribe.js (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zcashcore = require("bitcore-lib-zcash");
+const { createInscriber, newTx, parseReveal, readTransparent, zip243Sighash } = require("../inscribe");
+const { parseOrdPieces } = require("../decode");
+
+const { Script, Transaction, PrivateKey, PublicKey } = zcashcore;
+const { ECDSA, Signature } = zcashcore.crypto;
+const { BufferWriter } = zcashcore.encoding;
+
+const SAPLING = 0x76b809bb;
+const NU5 = 0xc2d6d0b4;
+const DEST = new PrivateKey().toAddress();
+
+function txidOf(hex) {
+  const once = crypto.createHash("sha256").update(Buffer.from(hex, "hex")).digest();
+  return crypto.createHash("sha256").update(once).digest().reverse().toString("hex");
+}
+
+function mockRpc(opts = {}) {
+  const rpc = async (method, params) => {
+    if (method === "getblockchaininfo") return { consensus: { nextblock: rpc.branchId.toString(16) } };
+    if (method === "validateaddress") {
+      return { isvalid: true, scriptPubKey: Script.buildPublicKeyHashOut(DEST).toHex() };
+    }
+    if (method === "getnewaddress" || method === "getrawchangeaddress") return DEST.toString();
+    if (method === "listunspent") {
+      return [{ txid: "ab".repeat(32), vout: 1, amount: 1, address: DEST.toString(), spendable: true }];
+    }
+    if (method === "signrawtransaction") return { hex: params[0], complete: true };
+    if (method === "decoderawtransaction") return { txid: txidOf(params[0]) };
+    if (method === "sendrawtransaction") {
+      const txid = txidOf(params[0]);
+      if (opts.reject && opts.reject(txid, rpc.sent.length)) throw new Error("bad-txns-wrong-branch");
+      rpc.sent.push(txid);
+      return txid;
+    }
+    throw new Error(`unexpected ${method}`);
+  };
+  rpc.branchId = SAPLING;
+  rpc.sent = [];
+  return rpc;
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zord-inscribe-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Unsigned copy of a parsed reveal, for the sighash
+function unsigned(parsed) {
+  const tx = newTx();
+  for (const i of parsed.inputs) {
+    tx.uncheckedAddInput(new Transaction.Input({ prevTxId: i.prevTxId, outputIndex: i.outputIndex, script: new Script() }));
+  }
+  for (const o of parsed.outputs) tx.addOutput(new Transaction.Output(o));
+  return tx;
+}
+
+// Each reveal spends output 0 of the tx before it, that output pays to its
+// lock, and its signature is valid for `branchId`
+function checkChain(job, branchId) {
+  let prevTxid = job.commit.txid;
+  let prev = readTransparent(job.commit.hex);
+  for (const saved of job.reveals) {
+    const { tx, envelope, lock } = parseReveal(saved.hex);
+    assert.strictEqual(txidOf(saved.hex), saved.txid);
+    assert.strictEqual(tx.inputs[0].prevTxId, prevTxid);
+    assert.strictEqual(prev.outputs[0].script.toHex(), Script.buildScriptHashOut(lock).toHex());
+
+    const lockBuf = lock.toBuffer();
+    const scriptCode = new BufferWriter().writeVarintNum(lockBuf.length).write(lockBuf).toBuffer();
+    const hash = zip243Sighash(unsigned(tx), 0, scriptCode, prev.outputs[0].satoshis, branchId);
+    const chunks = tx.inputs[0].script.chunks;
+    const sig = Signature.fromTxFormat(chunks[chunks.length - 2].buf);
+    const pubkey = PublicKey.fromBuffer(lock.chunks[0].buf);
+    assert.ok(ECDSA.verify(hash, sig, pubkey), `reveal ${saved.txid} signature`);
+    assert.strictEqual(envelope.chunks.length, lock.chunks.length - 3);
+    prevTxid = saved.txid;
+    prev = tx;
+  }
+  return prev;
+}
+
+test("the reveal chain carries the file back to decode.js", async (t) => {
+  const dir = tempDir(t);
+  const rpc = mockRpc();
+  const inscriber = createInscriber(rpc, { dir });
+  const data = crypto.randomBytes(4000);
+  const job = await inscriber.inscribe(data, "image/png", { postage: 20000 });
+
+  assert.strictEqual(job.status, "broadcast");
+  assert.ok(job.reveals.length > 1);
+  assert.deepStrictEqual(rpc.sent, [job.commit.txid, ...job.reveals.map((r) => r.txid)]);
+  const last = checkChain(job, SAPLING);
+  assert.strictEqual(last.outputs[0].satoshis, 20000);
+  assert.strictEqual(job.inscriptionId, `${job.reveals[0].txid}i0`);
+
+  const pieces = {};
+  let mimeType;
+  for (const r of job.reveals) {
+    const script = readTransparent(r.hex).inputs[0].script.toHex();
+    const parsed = parseOrdPieces(script, job.pieces, mimeType);
+    mimeType = parsed.mimeType;
+    Object.assign(pieces, parsed.pieces);
+  }
+  const order = Object.keys(pieces).map(Number).sort((a, b) => b - a);
+  assert.strictEqual(mimeType, "image/png");
+  assert.ok(Buffer.concat(order.map((n) => pieces[n])).equals(data));
+
+  assert.strictEqual(job.lockKey, undefined, "the key is not handed out");
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, `${job.jobId}.json`), "utf8"));
+  assert.ok(PrivateKey.fromWIF(saved.lockKey));
+});
+
+test("rejected reveals are signed again from the saved key", async (t) => {
+  const rpc = mockRpc({ reject: (txid, sent) => sent === 2 && rpc.branchId === SAPLING });
+  const inscriber = createInscriber(rpc, { dir: tempDir(t) });
+  const failed = await inscriber.inscribe(crypto.randomBytes(4000), "image/png");
+  assert.strictEqual(failed.status, "failed");
+  assert.deepStrictEqual(failed.reveals.map((r) => r.broadcast), failed.reveals.map((r, i) => i === 0));
+
+  rpc.branchId = NU5;
+  const rebuilt = await inscriber.rebuild(failed.jobId);
+  assert.strictEqual(rebuilt.status, "signed");
+  assert.strictEqual(rebuilt.reveals[0].txid, failed.reveals[0].txid, "sent reveals are kept");
+  assert.notStrictEqual(rebuilt.reveals[1].txid, failed.reveals[1].txid);
+  assert.strictEqual(rebuilt.branchId, NU5.toString(16));
+  assert.strictEqual(rebuilt.inscriptionId, failed.inscriptionId);
+
+  // reveal 0 was signed for the old branch, the rest for the new one
+  const head = { ...rebuilt, reveals: rebuilt.reveals.slice(0, 1) };
+  checkChain(head, SAPLING);
+  const tail = { commit: rebuilt.reveals[0], reveals: rebuilt.reveals.slice(1) };
+  checkChain(tail, NU5);
+
+  const done = await inscriber.broadcast(failed.jobId);
+  assert.strictEqual(done.status, "broadcast");
+  assert.deepStrictEqual(rpc.sent.slice(-rebuilt.reveals.length + 1), rebuilt.reveals.slice(1).map((r) => r.txid));
+});
+
+test("ZIP-243 digest matches bitcore's Sapling sighash", () => {
+  const tx = newTx();
+  tx.nLockTime = 7;
+  tx.nExpiryHeight = 123456;
+  tx.uncheckedAddInput(new Transaction.Input({ prevTxId: "11".repeat(32), outputIndex: 3, script: new Script() }));
+  tx.uncheckedAddInput(new Transaction.Input({ prevTxId: "22".repeat(32), outputIndex: 0, script: new Script() }));
+  tx.addOutput(new Transaction.Output({ script: Script.buildPublicKeyHashOut(DEST), satoshis: 150000 }));
+  tx.addOutput(new Transaction.Output({ script: Script.fromHex("a914" + "33".repeat(20) + "87"), satoshis: 20000 }));
+
+  const lock = Script.fromHex("21" + new PrivateKey().toPublicKey().toString() + "ad7551");
+  const scriptCode = new BufferWriter().writeVarintNum(lock.toBuffer().length).write(lock.toBuffer()).toBuffer();
+  const amount = Buffer.alloc(8);
+  amount.writeBigUInt64LE(175000n);
+
+  const ours = zip243Sighash(tx, 1, scriptCode, 175000, SAPLING);
+  const theirs = Transaction.SighashZIP243.sighash(tx, Signature.SIGHASH_ALL, 1, scriptCode, amount);
+  assert.strictEqual(ours.toString("hex"), theirs.toString("hex"));
+  assert.notStrictEqual(zip243Sighash(tx, 1, scriptCode, 175000, NU5).toString("hex"), ours.toString("hex"));
+});
@@ -0,0 +1,80 @@
+// Mempool pages of mempool.js (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createMempoolExplorer } = require("../mempool");
+
+const txid = (c) => c.repeat(64);
+
+// a <- b <- c is an unconfirmed chain; d depends on a tx mined meanwhile
+const MEMPOOL = {
+  [txid("a")]: { size: 200, fee: 0.00001, time: 100, height: 10, depends: [] },
+  [txid("b")]: { size: 400, fee: 0.0001, time: 200, height: 10, depends: [txid("a")] },
+  [txid("c")]: { size: 1000, fee: 0.0005, time: 300, height: 10, depends: [txid("b")] },
+  [txid("d")]: { size: 250, fee: 0.00015, time: 50, height: 10, depends: [txid("f")] },
+};
+
+function mockRpc(opts = {}) {
+  return async (method) => {
+    if (method === "getrawmempool") return MEMPOOL;
+    if (method === "listtransactions") {
+      if (opts.noWallet) throw Object.assign(new Error("Method not found"), { rpcCode: -32601 });
+      return [{ txid: txid("b"), confirmations: 0 }, { txid: txid("e"), confirmations: 3 }];
+    }
+    throw new Error(`unexpected ${method}`);
+  };
+}
+
+const ids = (page) => page.items.map((e) => e.txid[0]);
+
+test("pages sort by fee rate and carry the unconfirmed chain", async () => {
+  const explorer = createMempoolExplorer(mockRpc());
+  const p = await explorer.page({ limit: 2 });
+  assert.deepStrictEqual([ids(p), p.total, p.pages], [["d", "c"], 4, 2]);
+  assert.deepStrictEqual(p.items.map((e) => e.feeRate), [60, 50]);
+  assert.deepStrictEqual(p.items[1].ancestors.sort(), [txid("a"), txid("b")]);
+  assert.deepStrictEqual(p.items[0].depends, [], "a mined parent is dropped");
+
+  const rest = await explorer.page({ limit: 2, page: 2 });
+  assert.deepStrictEqual(ids(rest), ["b", "a"]);
+  assert.deepStrictEqual([rest.items[1].spentBy, rest.items[1].descendants.sort()], [[txid("b")], [txid("b"), txid("c")]]);
+
+  assert.deepStrictEqual(ids(await explorer.page({ sort: "age", order: "desc" })), ["d", "a", "b", "c"]);
+  assert.deepStrictEqual(ids(await explorer.page({ sort: "size", order: "asc" })), ["a", "d", "b", "c"]);
+  await assert.rejects(explorer.page({ sort: "weight" }), { code: "bad_query" });
+});
+
+test("totals and histogram cover the whole mempool", async () => {
+  const p = await createMempoolExplorer(mockRpc()).page({ limit: 1 });
+  assert.deepStrictEqual(p.mempool, { count: 4, bytes: 1850, fee: 0.00076 });
+  const used = p.histogram.filter((b) => b.count).map((b) => [b.min, b.count, b.bytes]);
+  assert.deepStrictEqual(used, [[5, 1, 200], [25, 1, 400], [50, 2, 1250]]);
+});
+
+test("wallet flags only for callers who may see them", async () => {
+  const explorer = createMempoolExplorer(mockRpc());
+  const anon = await explorer.page({});
+  assert.strictEqual(anon.walletFlags, false);
+  assert.ok(anon.items.every((e) => e.wallet === null));
+
+  const mine = await explorer.page({ only: "wallet" }, { wallet: true });
+  assert.deepStrictEqual([ids(mine), mine.walletFlags], [["b"], true]);
+
+  const noWallet = await createMempoolExplorer(mockRpc({ noWallet: true })).page({}, { wallet: true });
+  assert.strictEqual(noWallet.walletFlags, false);
+});
+
+test("inscription flags come from the mempool watcher once it has scanned", async () => {
+  let scanned = null;
+  const explorer = createMempoolExplorer(mockRpc(), { reveals: async () => scanned });
+  const early = await explorer.page({ only: "inscriptions" });
+  assert.deepStrictEqual([early.total, early.inscriptionFlags, early.inscriptionFlagsPending], [0, false, true]);
+
+  scanned = new Map([[txid("c"), [`${txid("a")}i0`]]]);
+  const later = await explorer.page({ only: "inscriptions" });
+  assert.deepStrictEqual([ids(later), later.items[0].inscriptions, later.inscriptionFlagsPending], [["c"], [`${txid("a")}i0`], false]);
+
+  const failing = createMempoolExplorer(mockRpc(), { reveals: async () => { throw new Error("no node"); } });
+  const p = await failing.page({});
+  assert.deepStrictEqual([p.inscriptionFlags, p.inscriptionFlagsPending, p.total], [false, false, 4]);
+});
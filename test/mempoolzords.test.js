@@ -0,0 +1,35 @@
+// Mempool watcher lifecycle of mempoolzords.js (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createMempoolZordWatcher } = require("../mempoolzords");
+
+test("a failed first scan is retried by the next request", async (t) => {
+  let subscribers = 0;
+  const events = {
+    subscribe: () => {
+      subscribers++;
+      return () => subscribers--;
+    },
+  };
+  let fail = true;
+  const rpc = async (method) => {
+    if (method !== "getrawmempool") throw new Error(`unexpected ${method}`);
+    if (fail) throw new Error("connect ECONNREFUSED");
+    return [];
+  };
+  const watcher = createMempoolZordWatcher(rpc, { events });
+  t.after(() => watcher.stop());
+
+  assert.deepStrictEqual(await watcher.list(), []);
+  assert.deepStrictEqual(watcher.status(), {
+    running: false, scanning: false, pending: 0, mempoolOrdTxs: 0, lastError: "connect ECONNREFUSED",
+  });
+  assert.strictEqual(subscribers, 0);
+
+  fail = false;
+  assert.strictEqual(await watcher.reveals(), null, "the retried scan runs in the background");
+  await watcher.list();
+  assert.deepStrictEqual([watcher.status().running, watcher.status().scanning, subscribers], [true, false, 1]);
+  assert.deepStrictEqual(await watcher.reveals(), new Map());
+});
@@ -0,0 +1,55 @@
+// Block events of nodeevents.js (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createNodeWatcher } = require("../nodeevents");
+
+function mockChain() {
+  const blocks = {};
+  const chain = {
+    best: null,
+    add(hash, height, prev) {
+      blocks[hash] = { hash, height, previousblockhash: prev, tx: [`${hash}-cb`] };
+      chain.best = hash;
+    },
+  };
+  const rpc = async (method, params) => {
+    if (method === "getbestblockhash") return chain.best;
+    if (method === "getblockheader") return blocks[params[0]];
+    if (method === "getblock") return { height: blocks[params[0]].height, time: 1, tx: blocks[params[0]].tx };
+    if (method === "getrawmempool") return {};
+    if (method === "listtransactions") return [];
+    throw new Error(`unexpected ${method}`);
+  };
+  rpc.batch = (calls) => Promise.all(calls.map(([m, p]) =>
+    rpc(m, p).then((result) => ({ result }), (err) => ({ error: { message: err.message } }))));
+  return { chain, rpc };
+}
+
+test("a reorg onto a longer chain is flagged with its fork point", async () => {
+  const { chain, rpc } = mockChain();
+  chain.add("a99", 99, null);
+  chain.add("a100", 100, "a99");
+  const watcher = createNodeWatcher(rpc, { pollMs: 60000 });
+  const seen = [];
+  watcher.subscribe((ev) => {
+    if (ev.type === "block") seen.push([ev.hash, ev.height, ev.reorg ? ev.forkHeight : null]);
+  });
+  await watcher.poll(); // baseline
+
+  chain.add("a101", 101, "a100");
+  await watcher.poll();
+  chain.add("b101", 101, "a100");
+  chain.add("b102", 102, "b101");
+  await watcher.poll();
+  chain.best = "b101"; // back to a block seen before
+  await watcher.poll();
+  watcher.close();
+
+  assert.deepStrictEqual(seen, [
+    ["a101", 101, null],
+    ["b101", 101, 100],
+    ["b102", 102, 100],
+    ["b101", 101, 101],
+  ]);
+});
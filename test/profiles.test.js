@@ -0,0 +1,28 @@
+// Node profile store (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createProfileStore } = require("../profiles");
+
+test("passwords stay in the owner-only file and out of list()", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zord-profiles-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "node-profiles.json");
+  const store = createProfileStore({ file, contentRoot: dir });
+
+  const saved = store.save({ name: "test", network: "testnet", user: "rpc", pass: "hunter2" });
+  assert.strictEqual(saved.pass, undefined);
+  assert.strictEqual(saved.hasPass, true);
+
+  // an omitted pass keeps the stored one
+  store.save({ name: "test", network: "testnet", user: "rpc2" });
+  const listed = store.list().profiles.find((p) => p.name === "test");
+  assert.deepStrictEqual([listed.user, listed.hasPass, "pass" in listed], ["rpc2", true, false]);
+  assert.ok(!JSON.stringify(store.list()).includes("hunter2"));
+
+  assert.strictEqual(JSON.parse(fs.readFileSync(file, "utf8")).profiles.test.pass, "hunter2");
+  if (process.platform !== "win32") assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+});
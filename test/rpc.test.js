@@ -0,0 +1,90 @@
+// JSON-RPC client of rpc.js against a local HTTP server (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { rpc, RpcError } = require("../rpc");
+
+// Serves `handle(body, req, res)`; returns the requests it saw
+async function node(t, handle) {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", () => {
+      const body = JSON.parse(raw);
+      seen.push({ auth: req.headers.authorization, body });
+      const reply = handle(body, req, res, seen.length);
+      if (reply !== undefined) {
+        res.writeHead(reply.status || 200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(reply.json));
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const keys = ["NODE_RPC_URL", "NODE_RPC_USER", "NODE_RPC_PASS", "NODE_RPC_COOKIE"];
+  const env = keys.map((k) => process.env[k]);
+  process.env.NODE_RPC_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.NODE_RPC_USER = "user";
+  process.env.NODE_RPC_PASS = "pass";
+  t.after(() => {
+    keys.forEach((k, i) => (env[i] === undefined ? delete process.env[k] : (process.env[k] = env[i])));
+    server.close();
+  });
+  return seen;
+}
+
+const basic = (user, pass) => "Basic " + Buffer.from(`${user}:${pass}`).toString("base64");
+
+test("without user/pass the .cookie credentials are used", async (t) => {
+  const seen = await node(t, (body) => ({ json: { id: body.id, result: 7, error: null } }));
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zord-rpc-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, ".cookie"), "__cookie__:s3cret\n");
+  delete process.env.NODE_RPC_USER;
+  delete process.env.NODE_RPC_PASS;
+  process.env.NODE_RPC_COOKIE = path.join(dir, ".cookie");
+
+  assert.strictEqual(await rpc("getblockcount"), 7);
+  assert.strictEqual(seen[0].auth, basic("__cookie__", "s3cret"));
+  assert.deepStrictEqual([seen[0].body.method, seen[0].body.params], ["getblockcount", []]);
+});
+
+test("node errors keep their message and code", async (t) => {
+  await node(t, (body) => ({ status: 500, json: { id: body.id, result: null, error: { code: -5, message: "No such mempool or blockchain transaction" } } }));
+  await assert.rejects(rpc("getrawtransaction", ["00"]), (err) =>
+    err instanceof RpcError && err.rpcCode === -5 && /No such mempool/.test(err.message) && err._method === "getrawtransaction");
+});
+
+test("a batch answers each call in order, errors included", async (t) => {
+  const seen = await node(t, (body) => ({
+    json: body.map((c) => c.params[0] === "bad"
+      ? { id: c.id, result: null, error: { code: -8, message: "bad height" } }
+      : { id: c.id, result: `hash${c.params[0]}`, error: null }).reverse(),
+  }));
+  const calls = Array.from({ length: 150 }, (_, i) => ["getblockhash", [i === 3 ? "bad" : i]]);
+  const out = await rpc.batch(calls);
+
+  assert.deepStrictEqual(seen.map((s) => s.body.length), [100, 50]);
+  assert.strictEqual(out.length, 150);
+  assert.deepStrictEqual(out[0], { result: "hash0" });
+  assert.deepStrictEqual(out[149], { result: "hash149" });
+  assert.strictEqual(out[3].error.rpcCode, -8);
+});
+
+test("a full work queue is retried, a reset wallet spend is not", async (t) => {
+  const seen = await node(t, (body, req, res, n) => {
+    if (body.method === "sendmany") return req.socket.destroy();
+    if (n === 1) return { status: 503, json: "Work queue depth exceeded" };
+    if (n === 2) return req.socket.destroy();
+    return { json: { id: body.id, result: "ok", error: null } };
+  });
+  assert.strictEqual(await rpc("getblockchaininfo"), "ok");
+  assert.strictEqual(seen.length, 3);
+
+  await assert.rejects(rpc("sendmany", ["", {}]), { code: "ECONNRESET" });
+  assert.strictEqual(seen.length, 4);
+});
@@ -0,0 +1,105 @@
+// z_sendmany operations of shielded.js (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createShieldedWallet, memoText } = require("../shielded");
+const { createLockManager } = require("../utxolocks");
+const { isProtected } = require("../coincontrol");
+
+const ZADDR = "zs1" + "q".repeat(75);
+const TADDR = "t1" + "t".repeat(33);
+const zord = { txid: "a".repeat(64), vout: 0, amount: 0.0001, inscriptionStatus: "inscribed", inscription: { inscriptionId: "ai0" } };
+const plain = { txid: "b".repeat(64), vout: 0, amount: 1, inscriptionStatus: "clean", inscription: null };
+
+function setup(t, dir) {
+  if (!dir) {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "zord-shielded-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  }
+  const node = { calls: [], locked: new Set(), ops: new Map() };
+  const rpc = async (method, params) => {
+    node.calls.push([method, params]);
+    if (method === "lockunspent") {
+      for (const o of params[1]) node.locked[params[0] ? "delete" : "add"](`${o.txid[0]}:${o.vout}`);
+      return true;
+    }
+    if (method === "z_sendmany") {
+      const id = `opid-${node.ops.size + 1}`;
+      node.ops.set(id, { id, status: "executing", method: "z_sendmany" });
+      return id;
+    }
+    if (method === "z_getoperationstatus") return [...node.ops.values()];
+    if (method === "z_getoperationresult") {
+      const out = params[0].map((id) => node.ops.get(id));
+      for (const id of params[0]) node.ops.delete(id);
+      return out;
+    }
+    throw new Error(`unexpected ${method}`);
+  };
+  rpc.batch = async (calls) => calls.map(([, [address]]) => ({
+    result: { isvalid: true, address_type: address.startsWith("t1") ? "p2pkh" : "sapling" },
+  }));
+  const wallet = createShieldedWallet(rpc, {
+    dir: path.join(dir, "shielded"),
+    coinControl: { walletUtxos: async () => [zord, plain], isProtected },
+    locks: createLockManager(rpc, { dir: path.join(dir, "locks") }),
+  });
+  return { wallet, node, dir };
+}
+
+test("memos decode as text unless they are empty or binary", () => {
+  const hex = (s) => Buffer.concat([Buffer.from(s), Buffer.alloc(8)]).toString("hex");
+  assert.strictEqual(memoText({ memo: hex("thanks ✓") }), "thanks ✓");
+  assert.strictEqual(memoText({ memo: "f6" + "00".repeat(511) }), null);
+  assert.strictEqual(memoText({ memo: "ff01" }), null);
+  assert.strictEqual(memoText({ memo: "zz", memoStr: "from node" }), "from node");
+});
+
+test("recipients are checked before anything is sent", async (t) => {
+  const { wallet, node } = setup(t);
+  await assert.rejects(wallet.send({ from: ZADDR, recipients: [{ address: TADDR, amount: 1, memo: "hi" }] }),
+    { code: "memo_not_allowed" });
+  await assert.rejects(wallet.send({ from: ZADDR, recipients: [{ address: ZADDR, amount: 1, memo: "x".repeat(513) }] }),
+    { code: "bad_memo" });
+  await assert.rejects(wallet.send({ from: ZADDR, recipients: [{ address: ZADDR, amount: 1 }], privacyPolicy: "Whatever" }),
+    { code: "bad_policy" });
+  assert.deepStrictEqual(node.calls, []);
+});
+
+test("Zords stay locked until the operation has finished", async (t) => {
+  const { wallet, node, dir } = setup(t);
+  const op = await wallet.send({
+    from: TADDR,
+    recipients: [{ address: ZADDR, amount: "0.5", memo: "gm" }],
+    privacyPolicy: "AllowRevealedSenders",
+  });
+  assert.deepStrictEqual([op.opid, op.status, op.lockedUtxos, op.lockId], ["opid-1", "queued", 1, undefined]);
+  assert.deepStrictEqual(node.calls.find(([m]) => m === "z_sendmany")[1],
+    [TADDR, [{ address: ZADDR, amount: 0.5, memo: Buffer.from("gm").toString("hex") }], 1, null, "AllowRevealedSenders"]);
+  assert.deepStrictEqual([...node.locked], ["a:0"]);
+
+  assert.strictEqual((await wallet.operation("opid-1")).status, "executing");
+  assert.deepStrictEqual([...node.locked], ["a:0"]);
+
+  Object.assign(node.ops.get("opid-1"), { status: "success", result: { txid: "c".repeat(64) } });
+  const done = await wallet.operation("opid-1");
+  assert.deepStrictEqual([done.status, done.txid], ["success", "c".repeat(64)]);
+  assert.deepStrictEqual([...node.locked], []);
+  assert.strictEqual(node.ops.size, 0, "the result was collected from the node");
+
+  // the record outlives the node's copy
+  const { wallet: again } = setup(t, dir);
+  assert.strictEqual((await again.operation("opid-1")).txid, "c".repeat(64));
+});
+
+test("an operation the node forgot is marked lost and its locks released", async (t) => {
+  const { wallet, node } = setup(t);
+  await wallet.send({ from: TADDR, recipients: [{ address: ZADDR, amount: 1 }] });
+  node.ops.clear(); // zcashd restarted
+  const { operations } = await wallet.operations();
+  assert.deepStrictEqual(operations.map((o) => o.status), ["lost"]);
+  assert.deepStrictEqual([...node.locked], []);
+});
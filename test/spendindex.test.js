@@ -0,0 +1,67 @@
+// Local spend index lookups (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createSpendIndex } = require("../spendindex");
+
+const TIP = 4999;
+const txid = (h) => String(h).padStart(64, "0");
+
+// Block h holds one tx spending output 0 of block h-1's tx
+function mockRpc(spentInfoError) {
+  const rpc = async (method, params) => {
+    if (method === "getspentinfo") throw spentInfoError;
+    if (method === "getblockcount") return TIP;
+    if (method === "getblockhash") return `hash${params[0]}`;
+    if (method === "getblock") {
+      const h = Number(params[0].slice(4));
+      rpc.blocks.push(h);
+      return { tx: [{ txid: txid(h), vin: [{ txid: txid(h - 1), vout: 0 }] }] };
+    }
+    throw new Error(`unexpected ${method}`);
+  };
+  rpc.blocks = [];
+  return rpc;
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zord-spends-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("lookups scan from the funding height and reuse scanned blocks", async (t) => {
+  const notFound = Object.assign(new Error("Method not found"), { rpcCode: -32601 });
+  const rpc = mockRpc(notFound);
+  const index = createSpendIndex(rpc, { dir: tempDir(t) });
+
+  const hit = await index.findSpender(txid(4000), 0, 4000, 50);
+  assert.deepStrictEqual(hit, { txid: txid(4001), vinIndex: 0, height: 4001 });
+  assert.deepStrictEqual(rpc.blocks, [4000, 4001]);
+
+  rpc.blocks = [];
+  await index.findSpender(txid(3995), 0, 3990, 50);
+  assert.deepStrictEqual(rpc.blocks, [3990, 3991, 3992, 3993, 3994, 3995, 3996]);
+
+  rpc.blocks = [];
+  assert.strictEqual(await index.findSpender(txid(4003), 0, 4000, 2), null);
+  assert.deepStrictEqual(rpc.blocks, [4002, 4003], "covered blocks are not fetched again");
+  assert.deepStrictEqual(index.status().ranges, [[3990, 3996], [4000, 4003]]);
+  assert.strictEqual(index.status().spentIndex, false);
+});
+
+test("a transient getspentinfo error does not switch it off", async (t) => {
+  const rpc = mockRpc(new Error("socket hang up"));
+  const index = createSpendIndex(rpc, { dir: tempDir(t) });
+  const hit = await index.findSpender(txid(10), 0, 10, 5);
+  assert.strictEqual(hit.height, 11);
+  assert.strictEqual(index.status().spentIndex, null);
+});
+
+test("sync needs a start height on an empty index", async (t) => {
+  const index = createSpendIndex(mockRpc(new Error("unused")), { dir: tempDir(t) });
+  await assert.rejects(index.sync(), /give the height/);
+});
@@ -0,0 +1,92 @@
+// Zord transfers of transfer.js (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const zcashcore = require("bitcore-lib-zcash");
+const { createTransferer } = require("../transfer");
+const { readTransparent, newTx } = require("../inscribe");
+
+const { Script, Transaction, PrivateKey } = zcashcore;
+const ADDR = new PrivateKey().toAddress().toString();
+const TO = new PrivateKey().toAddress().toString();
+
+const utxo = (c, amount, status, inscriptionId) => ({
+  txid: c.repeat(64), vout: 0, amount, address: ADDR, spendable: true,
+  inscriptionStatus: status, inscription: inscriptionId ? { inscriptionId } : null,
+});
+const mine = utxo("a", 0.0001, "inscribed", `${"1".repeat(64)}i0`);
+const other = utxo("b", 2, "inscribed", `${"2".repeat(64)}i0`);
+const unknown = utxo("c", 1, "unknown");
+const plain = utxo("d", 0.01, "clean");
+
+function mockRpc() {
+  const rpc = async (method, params) => {
+    if (method === "validateaddress") {
+      return { isvalid: true, scriptPubKey: Script.buildPublicKeyHashOut(params[0]).toHex() };
+    }
+    if (method === "getrawchangeaddress") return ADDR;
+    if (method === "signrawtransaction") return { hex: params[0], complete: true };
+    if (method === "decoderawtransaction") {
+      const tx = readTransparent(params[0]);
+      return {
+        txid: "e".repeat(64),
+        vin: tx.inputs.map((i) => ({ txid: i.prevTxId, vout: i.outputIndex })),
+        vout: tx.outputs.map((o) => ({ value: o.satoshis / 1e8 })),
+      };
+    }
+    if (method === "sendrawtransaction") {
+      rpc.sent.push(params[0]);
+      return "e".repeat(64);
+    }
+    throw new Error(`unexpected ${method}`);
+  };
+  rpc.sent = [];
+  return rpc;
+}
+
+function setup(utxos) {
+  const rpc = mockRpc();
+  const transferer = createTransferer(rpc, { coinControl: { walletUtxos: async () => utxos } });
+  return { rpc, transferer };
+}
+
+test("only clean UTXOs pay the fee and the Zord goes to output 0", async () => {
+  const { transferer } = setup([mine, other, unknown, plain]);
+  const p = await transferer.preview(mine.inscription.inscriptionId, TO);
+
+  assert.deepStrictEqual(p.inputs.map((i) => [i.txid[0], i.role]), [["a", "inscription"], ["d", "fee"]]);
+  assert.deepStrictEqual(p.outputs[0], { n: 0, address: TO, amount: 0.0001, role: "recipient" });
+  assert.strictEqual(p.outputs[1].role, "change");
+
+  await assert.rejects(
+    transferer.preview(mine.inscription.inscriptionId, TO, { feeUtxos: [`${other.txid}:0`, `${unknown.txid}:0`] }),
+    { code: "insufficient_funds" }
+  );
+});
+
+test("a transfer that also spends another Zord is not broadcast", async () => {
+  const { rpc, transferer } = setup([mine, other, plain]);
+  const tx = newTx();
+  for (const u of [mine, other]) {
+    tx.uncheckedAddInput(new Transaction.Input({ prevTxId: u.txid, outputIndex: u.vout, script: new Script() }));
+  }
+  tx.addOutput(new Transaction.Output({ script: Script.buildPublicKeyHashOut(TO), satoshis: 10000 }));
+  tx.addOutput(new Transaction.Output({ script: Script.buildPublicKeyHashOut(ADDR), satoshis: 199980000 }));
+
+  await assert.rejects(transferer.broadcast(mine.inscription.inscriptionId, tx.uncheckedSerialize()),
+    (err) => err.code === "stale_preview" && err.message.includes(`${other.txid}:0`));
+  assert.deepStrictEqual(rpc.sent, []);
+
+  const p = await transferer.preview(mine.inscription.inscriptionId, TO);
+  await transferer.broadcast(mine.inscription.inscriptionId, p.hex);
+  assert.deepStrictEqual(rpc.sent, [p.hex]);
+});
+
+test("a preview made for another UTXO is stale", async () => {
+  const { transferer } = setup([mine, plain]);
+  const p = await transferer.preview(mine.inscription.inscriptionId, TO);
+  const moved = { ...mine, vout: 1 };
+  const { rpc, transferer: later } = setup([moved, plain]);
+  await assert.rejects(later.broadcast(mine.inscription.inscriptionId, p.hex), { code: "stale_preview" });
+  assert.deepStrictEqual(rpc.sent, []);
+});
@@ -0,0 +1,104 @@
+// Send queue and lock records of utxolocks.js (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createLockManager } = require("../utxolocks");
+
+const op = (c, vout = 0) => ({ txid: c.repeat(64), vout });
+const keys = (set) => [...set].map((k) => `${k[0]}:${k.split(":")[1]}`).sort();
+
+// A node that keeps its lock set and logs every lockunspent
+function mockNode() {
+  const locked = new Set();
+  const log = [];
+  const rpc = async (method, params) => {
+    if (method !== "lockunspent") throw new Error(`unexpected ${method}`);
+    const [unlock, list] = params;
+    for (const o of list) locked[unlock ? "delete" : "add"](`${o.txid}:${o.vout}`);
+    log.push(`${unlock ? "unlock" : "lock"} ${keys(list.map((o) => `${o.txid}:${o.vout}`)).join(",")}`);
+    return true;
+  };
+  return { rpc, locked, log };
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zord-locks-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test("two sends at once run one after the other", async (t) => {
+  const node = mockNode();
+  const locks = createLockManager(node.rpc, { dir: tempDir(t) });
+  const steps = [];
+  const send = (name, outpoints) => locks.run("send", async (lock) => {
+    await lock(outpoints);
+    steps.push(`${name} sees ${keys(node.locked).join(",")}`);
+    await new Promise((r) => setTimeout(r, 20));
+    steps.push(`${name} done`);
+    return name;
+  });
+
+  const results = await Promise.all([send("first", [op("a"), op("b")]), send("second", [op("b"), op("c")])]);
+  assert.deepStrictEqual(results, ["first", "second"]);
+  assert.deepStrictEqual(steps, ["first sees a:0,b:0", "first done", "second sees b:0,c:0", "second done"]);
+  assert.deepStrictEqual(node.log, ["lock a:0,b:0", "unlock a:0,b:0", "lock b:0,c:0", "unlock b:0,c:0"]);
+  assert.strictEqual(node.locked.size, 0);
+});
+
+test("a failed send releases its locks and the queue moves on", async (t) => {
+  const node = mockNode();
+  const locks = createLockManager(node.rpc, { dir: tempDir(t) });
+  const failed = locks.run("send", async (lock) => {
+    await lock([op("a")]);
+    throw new Error("insufficient funds");
+  });
+  const next = locks.run("send", async () => keys(node.locked));
+  await assert.rejects(failed, /insufficient funds/);
+  assert.deepStrictEqual(await next, []);
+});
+
+test("an outpoint stays locked until its last holder lets go", async (t) => {
+  const node = mockNode();
+  const locks = createLockManager(node.rpc, { dir: tempDir(t) });
+  const manual = await locks.hold("manual", [op("a"), op("b")]);
+
+  let release;
+  const gate = new Promise((r) => (release = r));
+  const sending = locks.run("send", async (lock) => {
+    await lock([op("b"), op("c")]);
+    await gate;
+  });
+  await new Promise((r) => setImmediate(r));
+  await assert.rejects(locks.unlockManual([op("c")]), { code: "lock_busy" });
+
+  release();
+  await sending;
+  assert.deepStrictEqual(keys(node.locked), ["a:0", "b:0"], "the manual hold keeps b");
+  await locks.release(manual.id);
+  assert.strictEqual(node.locked.size, 0);
+});
+
+test("after a crash, send locks are released and holds locked again", async (t) => {
+  const dir = tempDir(t);
+  const node = mockNode();
+  const before = createLockManager(node.rpc, { dir });
+  await before.hold("z_sendmany", [op("a")]);
+  let crash;
+  before.run("send", async (lock) => {
+    await lock([op("b")]);
+    await new Promise((r) => (crash = r)); // never finishes
+  });
+  await new Promise((r) => setImmediate(r));
+  assert.deepStrictEqual(keys(node.locked), ["a:0", "b:0"]);
+
+  // zcashd restarted too: it remembers no locks
+  const restarted = mockNode();
+  const after = createLockManager(restarted.rpc, { dir });
+  assert.deepStrictEqual(await after.recover(), { released: 1, relocked: 1 });
+  assert.deepStrictEqual(keys(restarted.locked), ["a:0"]);
+  crash();
+});
@@ -0,0 +1,99 @@
+// Two-step ZEC sends of walletsend.js (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createWalletSender } = require("../walletsend");
+const { createLockManager } = require("../utxolocks");
+
+const TO = "t1" + "t".repeat(33);
+const CHANGE = "t1" + "c".repeat(33);
+const P2PKH = "76a914" + "00".repeat(20) + "88ac";
+
+const utxo = (c, amount, extra = {}) => ({
+  txid: c.repeat(64), vout: 0, amount, address: "t1mine", confirmations: 5,
+  inscriptionStatus: "clean", inscription: null, ...extra,
+});
+
+// createrawtransaction "hex" is the JSON of the layout, so the mock can decode it
+const encode = (tx) => Buffer.from(JSON.stringify(tx)).toString("hex");
+const decode = (hex) => JSON.parse(Buffer.from(hex, "hex").toString());
+
+function setup(t, wallet) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zord-send-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const sent = [];
+  const rpc = async (method, params) => {
+    if (method === "validateaddress") return { isvalid: true, scriptPubKey: P2PKH };
+    if (method === "getrawchangeaddress") return CHANGE;
+    if (method === "createrawtransaction") {
+      const [vin, outputs] = params;
+      return encode({
+        vin,
+        vout: Object.entries(outputs).map(([address, value], n) => ({
+          n, value, scriptPubKey: { hex: P2PKH, addresses: [address] },
+        })),
+      });
+    }
+    if (method === "decoderawtransaction") return decode(params[0]);
+    if (method === "signrawtransaction") return { hex: params[0] + "00", complete: true };
+    if (method === "sendrawtransaction") {
+      sent.push(params[0]);
+      return "f".repeat(64);
+    }
+    if (method === "lockunspent") return true;
+    throw new Error(`unexpected ${method}`);
+  };
+  const sender = createWalletSender(rpc, {
+    coinControl: { walletUtxos: async () => wallet },
+    locks: createLockManager(rpc, { dir }),
+  });
+  return { sender, sent };
+}
+
+test("the preview spends plain confirmed UTXOs, largest first", async (t) => {
+  const wallet = [
+    utxo("a", 0.2),
+    utxo("b", 0.5),
+    utxo("z", 9, { inscriptionStatus: "inscribed", inscription: { inscriptionId: "zi0" } }),
+    utxo("u", 8, { inscriptionStatus: "unknown" }),
+    utxo("n", 7, { confirmations: 0 }),
+  ];
+  const { sender } = setup(t, wallet);
+  const p = await sender.preview(TO, 0.6);
+
+  assert.deepStrictEqual(p.inputs.map((i) => i.txid[0]), ["b", "a"]);
+  assert.deepStrictEqual([p.fee, p.change, p.changeAddress], [0.0001, 0.0999, CHANGE]);
+  assert.deepStrictEqual(p.outputs.map((o) => [o.address, o.amount, o.role]), [[TO, 0.6, "recipient"], [CHANGE, 0.0999, "change"]]);
+  assert.deepStrictEqual(p.uncheckedUtxos.map((u) => u.txid[0]), ["u"]);
+
+  await assert.rejects(sender.preview(TO, 1), { code: "insufficient_funds" });
+  await assert.rejects(sender.preview(TO, 0.1, { utxos: [wallet[2]] }), (err) =>
+    err.code === "inscription_utxo" && err.utxos.length === 1);
+});
+
+test("the previewed hex is checked again before it is signed and sent", async (t) => {
+  const wallet = [utxo("a", 0.2), utxo("b", 0.5)];
+  const { sender, sent } = setup(t, wallet);
+  const p = await sender.preview(TO, 0.6);
+
+  const greedy = decode(p.hex);
+  greedy.vout[1].value = 0.09;
+  await assert.rejects(sender.broadcast(encode(greedy)), { code: "bad_fee" });
+
+  await assert.rejects(sender.broadcast(p.hex, { utxos: [wallet[1]] }), { code: "stale_preview" });
+
+  wallet[1] = { ...wallet[1], inscriptionStatus: "inscribed", inscription: { inscriptionId: "bi0" } };
+  await assert.rejects(sender.broadcast(p.hex), { code: "inscription_utxo" });
+  wallet[1] = utxo("b", 0.5);
+
+  wallet.pop();
+  await assert.rejects(sender.broadcast(p.hex), (err) => err.code === "stale_preview" && /no longer a wallet UTXO/.test(err.message));
+  wallet.push(utxo("b", 0.5));
+  assert.deepStrictEqual(sent, []);
+
+  assert.deepStrictEqual(await sender.broadcast(p.hex), { txid: "f".repeat(64), fee: 0.0001, size: p.hex.length / 2 + 1 });
+  assert.deepStrictEqual(sent, [p.hex + "00"]);
+});
@@ -0,0 +1,58 @@
+// Chain order of the ZRC-20 ledger (node --test)
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// zrc20.js takes collectInscription / findSpender from decode.js when it loads
+const decode = require("../decode");
+const bodies = {};
+const incomplete = new Set();
+decode.collectInscription = async (txid) => ({
+  missingPieces: incomplete.has(txid) ? [0] : [],
+  resultBuf: Buffer.from(JSON.stringify(bodies[txid])),
+  resume: { txid, vout: 0, height: 100 },
+});
+decode.findSpender = async () => null;
+const { createZrc20Ledger } = require("../zrc20");
+
+const rpc = async (method, params) => {
+  if (method === "getrawtransaction") return { vout: [{ scriptPubKey: { addresses: [`t1${params[0][0]}`] } }] };
+  throw new Error(`unexpected ${method}`);
+};
+
+function entry(c, height, body) {
+  const txid = c.repeat(64);
+  bodies[txid] = { p: "zrc-20", ...body };
+  return { inscriptionId: `${txid}i0`, txid, index: 0, height, txIndex: 1, mimeType: "application/json" };
+}
+
+test("a mint completed late is applied before the mints after it", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zord-zrc20-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const catalog = [
+    entry("d", 100, { op: "deploy", tick: "zord", max: "1000", dec: 0 }),
+    entry("a", 101, { op: "mint", tick: "zord", amt: "600" }),
+    entry("b", 102, { op: "mint", tick: "zord", amt: "600" }),
+  ];
+  const indexer = { list: () => catalog, get: (id) => catalog.find((e) => e.inscriptionId === id) || null };
+  const ledger = createZrc20Ledger(rpc, { dir, indexer });
+  const [, a, b] = catalog;
+
+  incomplete.add(a.txid);
+  await ledger.sync();
+  assert.strictEqual(ledger.op(a.inscriptionId).status, "pending");
+  assert.strictEqual(ledger.op(b.inscriptionId).credited, "600");
+
+  incomplete.delete(a.txid);
+  const status = await ledger.sync();
+  assert.strictEqual(status.incompleteReveals, 0);
+  assert.deepStrictEqual(
+    [ledger.op(a.inscriptionId).credited, ledger.op(b.inscriptionId).credited, ledger.op(b.inscriptionId).reason],
+    ["600", "400", "capped_at_max"]
+  );
+  assert.deepStrictEqual(ledger.balances("zord").map((x) => [x.address, x.total]), [["t1a", "600"], ["t1b", "400"]]);
+  assert.strictEqual(ledger.tokens()[0].minted, "1000");
+});
@@ -0,0 +1,206 @@
+// transfer.js
+//
+// Send one Zord from the node wallet to another address.
+//
+// The UTXO holding the inscription is found with coincontrol.js. The transfer
+// transaction is laid out so decode.js' rule (output <n> is fed by input <n>)
+// hands the inscription to the recipient:
+//
+//   input 0   the inscription UTXO        → output 0  recipient, same amount
+//   input 1…  plain wallet UTXOs (fee)    → output 1  change (if above dust)
+//
+// Fee inputs never include UTXOs that carry (or might carry) an inscription,
+// and the fee follows ZIP-317. The node signs the transaction; `preview`
+// returns it unbroadcast with its inputs/outputs, and `broadcast` re-checks
+// that previewed hex still moves exactly that UTXO before sending it.
+
+const zcashcore = require("bitcore-lib-zcash");
+const { parseInscriptionId } = require("./decode");
+const {
+  zip317Fee,
+  outputBytes,
+  newTx,
+  DUST_LIMIT,
+  P2PKH_INPUT_BYTES,
+} = require("./inscribe");
+
+const { Script, Transaction } = zcashcore;
+const SATS = 1e8;
+
+function toZats(amount) {
+  return Math.round(Number(amount) * SATS);
+}
+
+function toZec(zats) {
+  return Number((zats / SATS).toFixed(8));
+}
+
+function transferError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function normaliseId(inscriptionId) {
+  const { txid, index } = parseInscriptionId(String(inscriptionId || ""));
+  if (!/^[0-9a-f]{64}$/.test(txid)) {
+    throw transferError("bad_inscription_id", `Not an inscription id: ${inscriptionId}`);
+  }
+  return `${txid}i${index}`;
+}
+
+function createTransferer(rpc, options = {}) {
+  const coinControl = options.coinControl;
+  const log = options.log || (() => {});
+  if (!coinControl) throw new Error("createTransferer needs a coinControl instance");
+
+  async function scriptForAddress(address) {
+    const info = await rpc("validateaddress", [address]);
+    if (!info || !info.isvalid || !info.scriptPubKey) {
+      throw transferError("bad_address", `Not a valid transparent address: ${address}`);
+    }
+    return Script.fromHex(info.scriptPubKey);
+  }
+
+  /**
+   * The wallet UTXO currently holding `inscriptionId`, or null, plus the
+   * tagged wallet UTXO list it was picked from.
+   */
+  async function locate(inscriptionId) {
+    const id = normaliseId(inscriptionId);
+    const utxos = await coinControl.walletUtxos();
+    const holder = utxos.find(u => u.inscription && u.inscription.inscriptionId === id) || null;
+    return { id, holder, utxos };
+  }
+
+  /**
+   * Build and sign (not broadcast) the transfer of `inscriptionId` to `to`.
+   *  - opts.feeUtxos: ["txid:vout", …] to pay the fee from (default: any plain UTXO)
+   * Returns { inscriptionId, to, txid, hex, fee, inputs, outputs }.
+   */
+  async function preview(inscriptionId, to, opts = {}) {
+    if (!to) throw transferError("bad_address", "Recipient address is required.");
+    const { id, holder, utxos } = await locate(inscriptionId);
+    if (!holder) {
+      throw transferError("not_in_wallet", `Inscription ${id} is not held by a UTXO in this wallet.`);
+    }
+
+    const destScript = await scriptForAddress(to);
+    const postage = toZats(holder.amount);
+
+    // only UTXOs known to carry nothing pay the fee
+    let candidates = utxos.filter(u =>
+      u.inscriptionStatus === "clean" && u.spendable !== false && u.address
+    );
+    if (opts.feeUtxos && opts.feeUtxos.length) {
+      const wanted = new Set(opts.feeUtxos);
+      candidates = candidates.filter(u => wanted.has(`${u.txid}:${u.vout}`));
+    }
+    candidates.sort((a, b) => b.amount - a.amount);
+
+    const changeOut = outputBytes(25);
+    const feeFor = (n, withChange) => zip317Fee(
+      (n + 1) * P2PKH_INPUT_BYTES,
+      outputBytes(destScript.toBuffer().length) + (withChange ? changeOut : 0)
+    );
+
+    const feeInputs = [];
+    let sum = 0;
+    for (const u of candidates) {
+      feeInputs.push(u);
+      sum += toZats(u.amount);
+      if (sum >= feeFor(feeInputs.length, true)) break;
+    }
+    if (!feeInputs.length || sum < feeFor(feeInputs.length, false)) {
+      throw transferError("insufficient_funds",
+        `Not enough plain ZEC for the fee: need ${toZec(feeFor(Math.max(1, feeInputs.length), false))} ZEC, have ${toZec(sum)} ZEC.`);
+    }
+
+    let fee = feeFor(feeInputs.length, true);
+    let change = sum - fee;
+    if (change < DUST_LIMIT) {
+      // no change output: whatever is left goes to the fee
+      change = 0;
+      fee = sum;
+    }
+
+    const tx = newTx();
+    for (const u of [holder, ...feeInputs]) {
+      tx.uncheckedAddInput(new Transaction.Input({
+        prevTxId: u.txid,
+        outputIndex: u.vout,
+        script: new Script(),
+      }));
+    }
+    tx.addOutput(new Transaction.Output({ script: destScript, satoshis: postage }));
+    let changeAddress = null;
+    if (change) {
+      changeAddress = await rpc("getrawchangeaddress");
+      tx.addOutput(new Transaction.Output({ script: await scriptForAddress(changeAddress), satoshis: change }));
+    }
+
+    const signed = await rpc("signrawtransaction", [tx.uncheckedSerialize()]);
+    if (!signed || !signed.complete) {
+      const why = signed && signed.errors ? signed.errors.map(e => e.error).join("; ") : "unknown";
+      throw transferError("sign_failed", `Node could not sign the transfer: ${why}`);
+    }
+    const decoded = await rpc("decoderawtransaction", [signed.hex]);
+
+    return {
+      inscriptionId: id,
+      to,
+      txid: decoded.txid,
+      hex: signed.hex,
+      fee: toZec(fee),
+      inputs: [holder, ...feeInputs].map((u, i) => ({
+        txid: u.txid,
+        vout: u.vout,
+        address: u.address,
+        amount: u.amount,
+        role: i === 0 ? "inscription" : "fee",
+      })),
+      outputs: [
+        { n: 0, address: to, amount: toZec(postage), role: "recipient" },
+        ...(change ? [{ n: 1, address: changeAddress, amount: toZec(change), role: "change" }] : []),
+      ],
+    };
+  }
+
+  /**
+   * Broadcast a transfer built by preview(). The hex must still spend the
+   * inscription UTXO as input 0 into an output 0 of the same amount, and no
+   * other input may carry an inscription.
+   */
+  async function broadcast(inscriptionId, hex) {
+    if (!hex || typeof hex !== "string") {
+      throw transferError("hex_required", "Pass the hex returned by the preview.");
+    }
+    const { id, holder, utxos } = await locate(inscriptionId);
+    if (!holder) {
+      throw transferError("not_in_wallet", `Inscription ${id} is not held by a UTXO in this wallet.`);
+    }
+
+    const tx = await rpc("decoderawtransaction", [hex]);
+    const vin0 = tx.vin && tx.vin[0];
+    const vout0 = tx.vout && tx.vout[0];
+    if (!vin0 || vin0.txid !== holder.txid || vin0.vout !== holder.vout) {
+      throw transferError("stale_preview", "Transaction does not spend the inscription UTXO as its first input.");
+    }
+    if (!vout0 || toZats(vout0.value) !== toZats(holder.amount)) {
+      throw transferError("stale_preview", "First output does not carry the inscription UTXO's full amount.");
+    }
+    const zords = new Set(utxos.filter(u => u.inscription).map(u => `${u.txid}:${u.vout}`));
+    const extra = tx.vin.slice(1).find(v => zords.has(`${v.txid}:${v.vout}`));
+    if (extra) {
+      throw transferError("stale_preview", `Input ${extra.txid}:${extra.vout} carries another inscription.`);
+    }
+
+    const txid = await rpc("sendrawtransaction", [hex]);
+    log(`[transfer] ${id} sent in ${txid}`);
+    return { inscriptionId: id, txid };
+  }
+
+  return { locate, preview, broadcast };
+}
+
+module.exports = { createTransferer };
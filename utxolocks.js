@@ -0,0 +1,245 @@
+// utxolocks.js
+//
+// One owner for every `lockunspent` the viewer makes.
+//
+// Coin-controlled sends lock the UTXOs the wallet must not touch, send, then
+// unlock. Done ad hoc, two sends at once unlock each other's outpoints and a
+// crash mid-send leaves them locked for good. Here:
+//
+//   run(owner, fn)     sends go through one queue; fn gets lock(outpoints)
+//                      and everything it locked is released when fn ends
+//   hold(owner, …)     long-lived locks (a z_sendmany operation, a manual
+//                      lock from the UI), released with release(id)
+//
+// An outpoint held by several holders stays locked until the last one lets
+// go. Every holder is written to content/locks/locks.json *before* the node
+// is asked to lock, so after a crash recover() unlocks what in-flight sends
+// left behind, and re-locks the long-lived holds (zcashd forgets all locks
+// when it restarts).
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { outpointKey } = require("./coincontrol");
+
+const STORE_VERSION = 1;
+
+function lockError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function cleanOutpoints(outpoints) {
+  const seen = new Map();
+  for (const o of outpoints || []) {
+    const txid = String((o && o.txid) || "").toLowerCase();
+    const vout = Number(o && o.vout);
+    if (!/^[0-9a-f]{64}$/.test(txid) || !Number.isInteger(vout) || vout < 0) {
+      throw lockError("bad_outpoint", `Not an outpoint: ${JSON.stringify(o)}`);
+    }
+    seen.set(`${txid}:${vout}`, { txid, vout });
+  }
+  return [...seen.values()];
+}
+
+function createLockManager(rpc, options = {}) {
+  const dir = options.dir || path.join(__dirname, "content", "locks");
+  const storePath = path.join(dir, "locks.json");
+  const log = options.log || (() => {});
+
+  let store = null;
+  let queue = Promise.resolve();
+
+  function load() {
+    if (store) return store;
+    try {
+      const raw = JSON.parse(fs.readFileSync(storePath, "utf8"));
+      if (raw && raw.version === STORE_VERSION && raw.holders) {
+        store = raw;
+        return store;
+      }
+    } catch (_) {}
+    store = { version: STORE_VERSION, holders: {} };
+    return store;
+  }
+
+  function persist() {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = storePath + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(load(), null, 2), "utf8");
+    fs.renameSync(tmp, storePath);
+  }
+
+  // outpoint key -> [holder id] over every holder except `exceptId`
+  function heldBy(exceptId) {
+    const map = new Map();
+    for (const h of Object.values(load().holders)) {
+      if (h.id === exceptId) continue;
+      for (const o of h.outpoints) {
+        const key = outpointKey(o);
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(h.id);
+      }
+    }
+    return map;
+  }
+
+  async function addHolder(owner, outpoints, fields) {
+    const list = cleanOutpoints(outpoints);
+    const holder = {
+      id: crypto.randomBytes(8).toString("hex"),
+      owner,
+      outpoints: list,
+      createdAt: new Date().toISOString(),
+      ...fields,
+    };
+    load().holders[holder.id] = holder;
+    persist();
+    if (list.length) {
+      try {
+        await rpc("lockunspent", [false, list]);
+      } catch (err) {
+        delete load().holders[holder.id];
+        persist();
+        throw err;
+      }
+    }
+    return holder;
+  }
+
+  /** Drop holder `id` and unlock whatever no other holder still needs. */
+  async function release(id) {
+    const holder = load().holders[id];
+    if (!holder) return false;
+    const others = heldBy(id);
+    const free = holder.outpoints.filter(o => !others.has(outpointKey(o)));
+    if (free.length) {
+      try {
+        await rpc("lockunspent", [true, free]);
+      } catch (err) {
+        // zcashd forgets locks on restart; nothing left to undo then
+        log(`[locks] ${holder.owner}: unlock failed (${err.message})`);
+      }
+    }
+    delete load().holders[id];
+    persist();
+    return true;
+  }
+
+  /**
+   * Run `fn(lock)` alone: the next send starts when this one has finished.
+   * lock(outpoints) locks them for the duration of fn.
+   */
+  function run(owner, fn) {
+    const task = queue.then(async () => {
+      const mine = [];
+      const lock = async (outpoints) => {
+        if (!outpoints || !outpoints.length) return;
+        mine.push((await addHolder(owner, outpoints, { transient: true })).id);
+      };
+      try {
+        return await fn(lock);
+      } finally {
+        for (const id of mine) await release(id);
+      }
+    });
+    queue = task.catch(() => {});
+    return task;
+  }
+
+  /** Long-lived lock; returns the holder ({ id, … }). */
+  function hold(owner, outpoints, note) {
+    return addHolder(owner, outpoints, note ? { note: String(note).slice(0, 200) } : {});
+  }
+
+  /**
+   * Manually unlock outpoints. Refused (lock_busy) for outpoints a running
+   * send holds; long-lived holds on them (manual or a z_sendmany that never
+   * reported back) are dropped.
+   */
+  async function unlockManual(outpoints) {
+    const list = cleanOutpoints(outpoints);
+    const map = heldBy(null);
+    const holders = load().holders;
+    const busy = list.filter(o => (map.get(outpointKey(o)) || []).some(id => holders[id].transient));
+    if (busy.length) {
+      throw lockError("lock_busy",
+        `${busy.map(outpointKey).join(", ")} ${busy.length > 1 ? "are" : "is"} held by a send in progress.`);
+    }
+
+    const keys = new Set(list.map(outpointKey));
+    for (const h of Object.values(holders)) {
+      h.outpoints = h.outpoints.filter(o => !keys.has(outpointKey(o)));
+      if (!h.outpoints.length) delete holders[h.id];
+    }
+    persist();
+    if (list.length) await rpc("lockunspent", [true, list]);
+    log(`[locks] manual unlock of ${list.length} outpoint(s)`);
+    return list;
+  }
+
+  /**
+   * Locked outpoints as the node sees them (listlockunspent), each with the
+   * holders that asked for it; `external` = locked by something else.
+   * Held outpoints the node no longer has locked (it restarted) are
+   * locked again on the way.
+   */
+  async function list() {
+    const locked = (await rpc("listlockunspent")) || [];
+    const map = heldBy(null);
+    const holders = load().holders;
+    const nodeKeys = new Set(locked.map(outpointKey));
+
+    const missing = [...map.keys()].filter(k => !nodeKeys.has(k));
+    if (missing.length) {
+      const relock = missing.map(k => {
+        const [txid, vout] = k.split(":");
+        return { txid, vout: Number(vout) };
+      });
+      await rpc("lockunspent", [false, relock]).catch(err =>
+        log(`[locks] re-lock failed (${err.message})`));
+      locked.push(...relock);
+    }
+
+    const outs = await rpc.batch(locked.map(o => ["gettxout", [o.txid, o.vout, true]]));
+    return locked.map((o, i) => {
+      const txout = outs[i] && outs[i].result;
+      const ids = map.get(outpointKey(o)) || [];
+      return {
+        txid: o.txid,
+        vout: o.vout,
+        amount: txout ? txout.value : null,
+        address: txout && txout.scriptPubKey && txout.scriptPubKey.addresses
+          ? txout.scriptPubKey.addresses[0]
+          : null,
+        external: ids.length === 0,
+        holders: ids.map(id => {
+          const { outpoints, ...h } = holders[id];
+          return h;
+        }),
+      };
+    });
+  }
+
+  /**
+   * After a restart: release what in-flight sends left locked and lock the
+   * long-lived holds again. Returns { released, relocked } (outpoint counts).
+   */
+  async function recover() {
+    const holders = Object.values(load().holders);
+    let released = 0;
+    for (const h of holders.filter(h => h.transient)) {
+      released += h.outpoints.length;
+      await release(h.id);
+      log(`[locks] released ${h.outpoints.length} outpoint(s) left by an interrupted ${h.owner}`);
+    }
+    const keep = cleanOutpoints(holders.filter(h => !h.transient).flatMap(h => h.outpoints));
+    if (keep.length) await rpc("lockunspent", [false, keep]);
+    return { released, relocked: keep.length };
+  }
+
+  return { run, hold, release, unlockManual, list, recover };
+}
+
+module.exports = { createLockManager };
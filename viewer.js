@@ -8,31 +8,138 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const { execFile } = require('child_process');
-const axios = require('axios');
 const mime = require('mime-types');
+const { createInscriptionIndexer } = require('./indexer');
+const {
+  reconstruct,
+  parseInscriptionId,
+  findGenesis,
+  getTxDecoded,
+  loadMaster,
+  verifyInscriptions,
+  locateInscription,
+  setContentDir,
+} = require('./decode');
+const { createDecodeQueue } = require('./decodequeue');
+const { createZrc20Ledger } = require('./zrc20');
+const { createInscriber } = require('./inscribe');
+const { createCoinControl, planSend, uncheckedNeeded, isProtected, protectedInfo } = require('./coincontrol');
+const { createTransferer } = require('./transfer');
+const { createShieldedWallet } = require('./shielded');
+const { createBatchSender } = require('./batchsend');
+const { createWalletSender } = require('./walletsend');
+const { createLockManager } = require('./utxolocks');
+const { createNodeWatcher } = require('./nodeevents');
+const { createMempoolZordWatcher } = require('./mempoolzords');
+const { createMempoolExplorer } = require('./mempool');
+const { createExplorer } = require('./explorer');
+const { rpc } = require('./rpc');
+const { createProfileStore } = require('./profiles');
+const { createAuth } = require('./auth');
+const { createAuditLog } = require('./audit');
 
 const app = express();
 
 // ---------- Paths ----------
 
 const ROOT_DIR = __dirname;
-const CONTENT_DIR = path.join(ROOT_DIR, 'content');
-const RAWDATA_DIR = path.join(CONTENT_DIR, 'rawdata');
 const ASSETS_DIR = path.join(ROOT_DIR, 'assets');
 const PAGES_DIR = path.join(ROOT_DIR, 'assets-page');
 const ENV_PATH = path.join(ROOT_DIR, '.env');
 
-if (!fs.existsSync(CONTENT_DIR)) fs.mkdirSync(CONTENT_DIR, { recursive: true });
-if (!fs.existsSync(RAWDATA_DIR)) fs.mkdirSync(RAWDATA_DIR, { recursive: true });
+// ---------- Node profile / network ----------
+// node-profiles.json (profiles.js). Each network has its own content dir:
+// content/ for mainnet, content/testnet/ and content/regtest/ otherwise.
+// Services that keep state under it register with onNetwork() and are
+// rebuilt when another profile is activated.
+
+const profiles = createProfileStore({ rpc, log: (msg) => console.log(msg) });
+profiles.apply();
+
+let CONTENT_DIR;
+let RAWDATA_DIR;
+let contentStatic;
+const networkServices = [];
+
+function openNetwork() {
+  CONTENT_DIR = profiles.contentDir();
+  RAWDATA_DIR = path.join(CONTENT_DIR, 'rawdata');
+  if (!fs.existsSync(RAWDATA_DIR)) fs.mkdirSync(RAWDATA_DIR, { recursive: true });
+  setContentDir(CONTENT_DIR);
+  contentStatic = express.static(CONTENT_DIR);
+  for (const build of networkServices) build();
+}
+
+function onNetwork(build) {
+  networkServices.push(build);
+  build();
+}
+
+openNetwork();
+
 if (!fs.existsSync(ASSETS_DIR)) fs.mkdirSync(ASSETS_DIR, { recursive: true });
 if (!fs.existsSync(PAGES_DIR)) fs.mkdirSync(PAGES_DIR, { recursive: true });
 
-app.use(express.json());
+// Inscribe uploads the file as base64 inside the JSON body
+app.use(express.json({ limit: '10mb' }));
 
 // Static folders
 app.use('/assets', express.static(ASSETS_DIR));
 app.use('/assets-page', express.static(PAGES_DIR));
 
+// ---------- Auth ----------
+// Sessions, CSRF tokens and viewer/operator levels for the wallet, dev and
+// tx routes (auth.js). Credentials: VIEWER_AUTH_* in .env.
+
+const auth = createAuth({ log: (msg) => console.log(msg) });
+
+// Append-only log of sensitive requests (audit.js), shared by all networks.
+// Mounted before auth so refused attempts are recorded as well.
+const audit = createAuditLog({
+  dir: path.join(ROOT_DIR, 'content', 'audit'),
+  context: () => ({ network: profiles.active().network }),
+  log: (msg) => console.log(msg),
+});
+app.use(audit.middleware);
+
+auth.routes(app);
+app.use(auth.middleware);
+if (auth.mode === 'open') {
+  console.log('[auth] no VIEWER_AUTH_PASSWORD/TOKEN set: wallet routes are loopback-only');
+}
+
+// Inscription bytes are third-party content served from our own origin: an
+// inscribed HTML page must not be able to use the operator's cookie or read
+// /api/auth/session. `sandbox` gives it an opaque origin (scripts still run);
+// CORS lets such pages keep fetching other inscriptions from /content.
+const INSCRIPTION_CSP = 'sandbox allow-scripts';
+app.use('/content', (req, res, next) => {
+  res.set('Content-Security-Policy', INSCRIPTION_CSP);
+  res.set('Access-Control-Allow-Origin', '*');
+  next();
+});
+
+// /content/<number>: the inscription with that number in the catalog
+// (indexer.js), decoded first if it is not in /content yet
+app.get('/content/:number', async (req, res, next) => {
+  if (!/^\d{1,15}$/.test(req.params.number)) return next();
+  const entry = indexer.byNumber(parseInt(req.params.number, 10));
+  if (!entry) {
+    return res.status(404).json({
+      error: 'number_not_found',
+      detail: `No inscription #${req.params.number} in the catalog`,
+    });
+  }
+  try {
+    const filePath = findZordFile(entry.inscriptionId) || (await decodeToFile(entry.inscriptionId));
+    if (!filePath) return next();
+    res.sendFile(filePath);
+  } catch (err) {
+    console.error('[/content/:number] decode failed', err.message);
+    res.status(500).json({ error: 'decode_failed', detail: err.message || String(err) });
+  }
+});
+
 // Allow extension-less /content/<inscriptionId> URLs (e.g. /content/<txid>i0)
 // to resolve to the actual file on disk: <txid>i0.<ext>
 app.get('/content/:id', (req, res, next) => {
@@ -45,7 +152,11 @@ app.get('/content/:id', (req, res, next) => {
 
   try {
     const entries = fs.readdirSync(CONTENT_DIR);
-    const match = entries.find((name) => name.startsWith(id + '.'));
+    // <txid>i0 may still be stored under the legacy bare-txid filename
+    const legacy = id.endsWith('i0') ? id.slice(0, -2) + '.' : null;
+    const match =
+      entries.find((name) => name.startsWith(id + '.')) ||
+      (legacy && entries.find((name) => name.startsWith(legacy)));
 
     // No matching file, fall through to static (which will 404)
     if (!match) {
@@ -59,7 +170,7 @@ app.get('/content/:id', (req, res, next) => {
     return next(err);
   }
 });
-app.use('/content', express.static(CONTENT_DIR));
+app.use('/content', (req, res, next) => contentStatic(req, res, next));
 
 function ensureContentDir() {
   if (!fs.existsSync(CONTENT_DIR)) {
@@ -73,11 +184,11 @@ function findContentFile(idOrTxid) {
   if (!idOrTxid) return null;
 
   const base = idOrTxid.toLowerCase();
-  const cleaned = base.replace(/i\d+$/, "");
 
-  const candidates = [...new Set(
-    [base, cleaned, cleaned ? `${cleaned}i0` : null].filter(Boolean)
-  )];
+  // i1, i2, … must match exactly; a bare txid and <txid>i0 both mean the
+  // first envelope, stored as <txid>i0.<ext> (or <txid>.<ext> in older data).
+  const cleaned = base.replace(/i0$/, "");
+  const candidates = /i\d+$/.test(cleaned) ? [cleaned] : [`${cleaned}i0`, cleaned];
 
   try {
     ensureContentDir();
@@ -101,18 +212,18 @@ function findContentFile(idOrTxid) {
 
 /**
  * Find a file in /Zords matching:
- *   <txid>.ext
- * and if txid has a suffix "i<number>" (e.g. inscription id),
- * also try <txidWithoutSuffix>.ext
+ *   <txid>i<n>.ext  for an inscription id with suffix i<n>
+ * A bare txid (or i0) also tries <txid>i0.ext and the legacy <txid>.ext;
+ * i1/i2/… are never folded back to i0.
  */
 function findZordFile(txid) {
   if (!txid) return null;
   const base = txid.toLowerCase();
-  const cleaned = base.replace(/i\d+$/, ''); // strip i0 / i123 etc
+  const cleaned = base.replace(/i0$/, '');
 
-  const candidates = [...new Set(
-    [base, cleaned, cleaned ? `${cleaned}i0` : null].filter(Boolean)
-  )];
+  const candidates = /i\d+$/.test(cleaned)
+    ? [cleaned]
+    : [`${cleaned}i0`, cleaned];
 
 
   const files = fs.readdirSync(CONTENT_DIR);
@@ -147,115 +258,312 @@ function runScript(scriptName, args = []) {
   });
 }
 
-// ---------- RPC helper ----------
+// ---------- /api/inscription/:txid ----------
+// If file exists in /content, return metadata + URL.
+// Otherwise decode it in-process (decode queue) then look again.
+
+const decodeQueue = createDecodeQueue(reconstruct, {
+  concurrency: parseInt(process.env.DECODE_CONCURRENCY, 10) || 2,
+  keyFor: (id) => {
+    const { txid, index } = parseInscriptionId(String(id));
+    return `${txid}i${index}`;
+  },
+  // a descendant txid and its genesis id share one job
+  resolveKey: async (id) => {
+    const { txid, index } = parseInscriptionId(String(id));
+    const genesis = await findGenesis(txid, index);
+    return `${genesis.genesisTxid}i${genesis.index}`;
+  },
+});
 
-let NODE_RPC_URL = process.env.NODE_RPC_URL || 'http://127.0.0.1:8232';
-let NODE_RPC_USER = process.env.NODE_RPC_USER || '';
-let NODE_RPC_PASS = process.env.NODE_RPC_PASS || '';
+// master.json entry for the file's inscription, if any (partial flag etc.)
+function masterEntryFor(filePath) {
+  const base = path.basename(filePath).split('.')[0];
+  const inscriptionId = /i\d+$/.test(base) ? base : `${base}i0`;
+  return loadMaster()[inscriptionId] || null;
+}
 
-async function rpc(method, params = []) {
-  if (!NODE_RPC_URL || !NODE_RPC_USER || !NODE_RPC_PASS) {
-    throw new Error(
-      'RPC not configured (NODE_RPC_URL / NODE_RPC_USER / NODE_RPC_PASS)'
-    );
-  }
+// A file saved from an incomplete chain: decode again (resumes) before serving
+function findCompleteZordFile(rawTxid) {
+  const filePath = findZordFile(rawTxid);
+  if (!filePath) return null;
+  const entry = masterEntryFor(filePath);
+  return entry && entry.partial ? null : filePath;
+}
 
-  const payload = {
-    jsonrpc: '1.0',
-    id: 'zord-viewer',
-    method,
-    params,
+// Inscription number and genesis block: the catalog (indexer.js) numbers
+// inscriptions; master.json has the genesis block of decoded ones even when
+// the catalog does not reach them.
+function numberFields(inscriptionId, masterEntry) {
+  const indexed = indexer.get(inscriptionId);
+  const entry = masterEntry || {};
+  return {
+    number: indexed ? indexed.number : null,
+    genesisHeight: indexed ? indexed.height : entry.genesisHeight ?? null,
+    genesisTime: indexed ? indexed.blocktime : entry.genesisTime ?? null,
   };
-
-  const resp = await axios.post(NODE_RPC_URL, payload, {
-    auth: {
-      username: NODE_RPC_USER,
-      password: NODE_RPC_PASS,
-    },
-  });
-
-  if (resp.data.error) {
-    const msg = resp.data.error.message || JSON.stringify(resp.data.error);
-    throw new Error(msg);
-  }
-
-  return resp.data.result;
 }
 
+function buildInscriptionMeta(rawTxid, filePath, fromCache) {
+  const stat = fs.statSync(filePath);                  // <-- get bytes
+  const filename = path.basename(filePath);
+  const ext = path.extname(filename).slice(1).toLowerCase();
+  const contentType = mime.lookup(ext) || 'application/octet-stream';
+  const url = `/content/${encodeURIComponent(filename)}`;
+
+  const base = filename.split('.')[0];                 // e.g. <genesisTxid>i1
+  const inscriptionId = /i\d+$/.test(base) ? base : `${base}i0`;
+  const genesisTxid = inscriptionId.replace(/i\d+$/, '');
+  const index = parseInt(inscriptionId.match(/i(\d+)$/)[1], 10);
+  const entry = masterEntryFor(filePath) || {};
+
+  return {
+    requestTxid: rawTxid,                              // what the user typed
+    txid: genesisTxid,                                 // bare txid
+    inscriptionId,                                     // full <txid>i<n>
+    index,                                             // envelope index n
+    filename,
+    url,
+    ext,
+    contentType,
+    fromCache,
+    sizeBytes: stat.size,                              // <-- bytes for viewer
+    size: stat.size,                                   // (alias, for other UIs)
+    partial: !!entry.partial,                          // chain ended early
+    missingPieces: entry.missingPieces || [],
+    totalPieces: entry.totalPieces ?? null,
+    ...numberFields(inscriptionId, entry),
+  };
+}
 
-// ---------- /api/inscription/:txid ----------
-// If file exists in /content, return metadata + URL.
-// Otherwise run decode.js <txid> then look again.
+// Same shape for an inscription with links still in the mempool
+// (mempoolzords.js): served from memory, flagged unconfirmed.
+function buildPendingMeta(rawTxid, entry) {
+  const ext = mime.extension(entry.mimeType) || 'bin';
+  return {
+    requestTxid: rawTxid,
+    txid: entry.genesisTxid,
+    inscriptionId: entry.inscriptionId,
+    index: parseInscriptionId(entry.inscriptionId).index,
+    filename: `${entry.inscriptionId}.${ext}`,
+    url: `/api/mempool/inscriptions/${entry.inscriptionId}/content`,
+    ext,
+    contentType: entry.mimeType || 'application/octet-stream',
+    fromCache: false,
+    sizeBytes: entry.size,
+    size: entry.size,
+    partial: !entry.complete,
+    missingPieces: entry.missingPieces,
+    totalPieces: entry.totalPieces,
+    unconfirmed: true,
+    genesisConfirmed: entry.genesisConfirmed,
+    pendingTxids: entry.pendingTxids,
+  };
+}
 
-app.get('/api/inscription/:txid', async (req, res) => {
-  const rawTxid = (req.params.txid || '').trim();
-  if (!rawTxid) {
-    return res.status(400).json({ error: 'missing_txid' });
+// An unconfirmed txid is previewed from the mempool instead of decoded into
+// /content; so is a chain that decoded partial because it goes on there
+// (`partialId`: the inscription id of that partial file).
+async function pendingInscriptionMeta(rawTxid, partialId) {
+  if (!partialId) {
+    const tx = await getTxDecoded(parseInscriptionId(rawTxid).txid).catch(() => null);
+    if (!tx || tx.blockhash) return null;
   }
+  const entry = await mempoolZords.get(partialId || rawTxid);
+  return entry ? buildPendingMeta(rawTxid, entry) : null;
+}
+
+// Decode through the queue and resolve to the file on disk. The decoder
+// returns the real genesis id, so descendant txids resolve correctly too.
+async function decodeToFile(rawTxid) {
+  const job = decodeQueue.enqueue(rawTxid);
+  const result = await job.promise;
+  return findZordFile(result.inscriptionId) || findZordFile(rawTxid);
+}
 
+// Meta for an inscription (decoded into /content first if needed), or a
+// mempool preview while its chain is unconfirmed
+async function sendInscription(res, rawTxid) {
   try {
-    let filePath = findZordFile(rawTxid);
+    let filePath = findCompleteZordFile(rawTxid);
     let fromCache = true;
 
     if (!filePath) {
-      console.log(
-        `[decode] no local file for ${rawTxid}, running decode.js...`
-      );
+      const pending = await pendingInscriptionMeta(rawTxid);
+      if (pending) return res.json(pending);
+
+      console.log(`[decode] no complete local file for ${rawTxid}, queueing decode...`);
       try {
-        await runScript('decode.js', [rawTxid]);
+        filePath = await decodeToFile(rawTxid);
       } catch (err) {
-        console.error('decode.js failed', err.stderr || err.message);
+        if (err.code === 'not_found') {
+          return res.status(404).json({ error: 'not_found', detail: err.message });
+        }
+        console.error('decode failed', err.message);
         return res.status(500).json({
           error: 'decode_failed',
-          detail: err.stderr || err.message,
+          detail: err.message || String(err),
         });
       }
-
-      filePath = findZordFile(rawTxid);
       fromCache = false;
     }
 
     if (!filePath) {
       console.error(
-        `[api/inscription] still no file in /content after decode.js for ${rawTxid}`
+        `[api/inscription] still no file in /content after decode for ${rawTxid}`
       );
       return res.status(404).json({
         error: 'content_not_found',
-        detail: 'File not found in /content after decode.js',
+        detail: 'File not found in /content after decode',
       });
     }
 
-    const stat = fs.statSync(filePath);                // <-- get bytes
-    const filename = path.basename(filePath);
-    const ext = path.extname(filename).slice(1).toLowerCase();
-    const contentType = mime.lookup(ext) || 'application/octet-stream';
-    const url = `/content/${encodeURIComponent(filename)}`;
+    const meta = buildInscriptionMeta(rawTxid, filePath, fromCache);
+    const pending = meta.partial && (await pendingInscriptionMeta(rawTxid, meta.inscriptionId));
+    res.json(pending || meta);
+  } catch (err) {
+    console.error('[/api/inscription] error', err);
+    res.status(500).json({
+      error: 'internal_error',
+      detail: err.message || String(err),
+    });
+  }
+}
 
-    const base = filename.split('.')[0];               // e.g. <genesisTxid>i0
-    const inscriptionId = base;
-    const genesisTxid = base.replace(/i\d+$/, '');
+app.get('/api/inscription/:txid', async (req, res) => {
+  const rawTxid = (req.params.txid || '').trim();
+  if (!rawTxid) {
+    return res.status(400).json({ error: 'missing_txid' });
+  }
+  await sendInscription(res, rawTxid);
+});
 
-    res.json({
-      requestTxid: rawTxid,                            // what the user typed
-      txid: genesisTxid,                               // bare txid
-      inscriptionId,                                   // full <txid>i0
-      filename,
-      url,
-      ext,
-      contentType,
-      fromCache,
-      sizeBytes: stat.size,                            // <-- bytes for viewer
-      size: stat.size,                                 // (alias, for other UIs)
+// Same payload, by inscription number (catalog order, indexer.js)
+app.get('/api/inscription/number/:n', async (req, res) => {
+  const n = req.params.n;
+  if (!/^\d{1,15}$/.test(n)) {
+    return res.status(400).json({ error: 'bad_number', detail: 'Inscription numbers are 0, 1, 2, …' });
+  }
+  const entry = indexer.byNumber(parseInt(n, 10));
+  if (!entry) {
+    return res.status(404).json({
+      error: 'number_not_found',
+      detail: `No inscription #${n} in the catalog (is the indexer running from low enough?)`,
     });
+  }
+  await sendInscription(res, entry.inscriptionId);
+});
+
+// ---------- /api/inscription/:txid/events ----------
+// Server-sent events for a decode: queued, started, progress (genesis,
+// pieces X/N, blocks scanned, dependency, partial), then `done` with the same payload
+// as /api/inscription/:txid (unconfirmed previews included), or `failed`.
+
+function sseOpen(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.write(': ok\n\n');
+}
+
+function sseSend(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+app.get('/api/inscription/:txid/events', async (req, res) => {
+  const rawTxid = (req.params.txid || '').trim();
+  if (!rawTxid) {
+    return res.status(400).json({ error: 'missing_txid' });
+  }
+
+  sseOpen(res);
+
+  const cached = findCompleteZordFile(rawTxid);
+  if (cached) {
+    sseSend(res, 'done', buildInscriptionMeta(rawTxid, cached, true));
+    return res.end();
+  }
+
+  const pending = await pendingInscriptionMeta(rawTxid).catch(() => null);
+  if (pending) {
+    sseSend(res, 'done', pending);
+    return res.end();
+  }
+  if (req.socket.destroyed) return; // gave up while the mempool was asked
+
+  const job = decodeQueue.enqueue(rawTxid);
+  let closed = false;
+  let unsubscribe = () => {};
+
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    res.end();
+  };
+
+  unsubscribe = decodeQueue.subscribe(job, (ev) => {
+    if (closed) return;
+    if (ev.type === 'done') {
+      const filePath =
+        findZordFile(ev.result.inscriptionId) || findZordFile(rawTxid);
+      if (!filePath) {
+        sseSend(res, 'failed', {
+          error: 'content_not_found',
+          detail: 'File not found in /content after decode',
+        });
+        // unsubscribe may not be assigned yet while history replays
+        return setImmediate(finish);
+      }
+      const meta = buildInscriptionMeta(rawTxid, filePath, false);
+      const pending = meta.partial
+        ? pendingInscriptionMeta(rawTxid, meta.inscriptionId).catch(() => null)
+        : Promise.resolve(null);
+      pending.then((p) => {
+        if (closed) return;
+        sseSend(res, 'done', p || meta);
+        finish();
+      });
+    } else if (ev.type === 'error') {
+      sseSend(res, 'failed', { error: 'decode_failed', detail: ev.error });
+      setImmediate(finish);
+    } else {
+      sseSend(res, ev.type, ev);
+    }
+  });
+
+  req.on('close', finish);
+});
+
+// ---------- /api/inscription/:id/location ----------
+// Current outpoint / holder of an inscription and its transfer timeline
+// (decode.js locateInscription)
+
+app.get('/api/inscription/:id/location', async (req, res) => {
+  const id = (req.params.id || '').trim();
+  if (!/^[0-9a-f]{64}(i\d+)?$/i.test(id)) {
+    return res.status(400).json({ error: 'bad_inscription_id' });
+  }
+  try {
+    res.json(await locateInscription(id));
   } catch (err) {
-    console.error('[/api/inscription] error', err);
+    console.error('[/api/inscription/location] error', err.message || err);
     res.status(500).json({
-      error: 'internal_error',
+      error: 'location_failed',
       detail: err.message || String(err),
     });
   }
 });
 
+// ---------- /api/decode/jobs ----------
+// Decode queue state (running / queued / recently finished jobs)
+
+app.get('/api/decode/jobs', (req, res) => {
+  res.json(decodeQueue.list());
+});
+
 
 // ---------- /api/inspect/:txid ----------
 // Cache inspect.js output into /Zords/rawdata/<txid>.json
@@ -379,7 +687,188 @@ app.get('/api/node/status', async (req, res) => {
   }
 });
 
+// ---------- /api/events ----------
+// Live node events over SSE (nodeevents.js): block, mempool-add,
+// mempool-remove, wallet-tx, confirmation, and mempool-inscription from
+// mempoolzords.js. Polled every EVENTS_POLL_MS (default 5000), or driven by
+// zcashd's ZMQ notifications when the active node profile has a zmq
+// endpoint. Wallet events only go to logged-in
+// clients; a reconnect with Last-Event-ID replays what it missed.
+
+const WALLET_EVENTS = new Set(['wallet-tx', 'confirmation']);
+
+let nodeEvents;
+let mempoolZords;
+function openNodeEvents() {
+  if (nodeEvents) nodeEvents.close();
+  nodeEvents = createNodeWatcher(rpc, {
+    zmqUrl: process.env.NODE_ZMQ_URL || null,
+    pollMs: parseInt(process.env.EVENTS_POLL_MS, 10) || undefined,
+    log: (msg) => console.log(msg),
+  });
+  // follows the watcher's mempool events (closing it stopped the old one)
+  mempoolZords = createMempoolZordWatcher(rpc, {
+    events: nodeEvents,
+    log: (msg) => console.log(msg),
+  });
+}
+onNetwork(openNodeEvents);
+
+app.get('/api/events/status', (req, res) => {
+  res.json(nodeEvents.status());
+});
+
+app.get('/api/events', (req, res) => {
+  const walletEvents = !!auth.roleOf(req);
+  sseOpen(res);
+  res.write('retry: 3000\n\n');
+
+  let closed = false;
+  let unsubscribe = () => {};
+  const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(keepAlive);
+    unsubscribe();
+    res.end();
+  };
+
+  const forward = (ev) => {
+    if (closed) return;
+    // watcher replaced (profile switch): the browser reconnects to the new one
+    if (ev.type === 'closed') return setImmediate(finish);
+    if (WALLET_EVENTS.has(ev.type) && !walletEvents) return;
+    res.write(`id: ${ev.seq}\n`);
+    sseSend(res, ev.type, ev);
+  };
+
+  sseSend(res, 'hello', { ...nodeEvents.status(), walletEvents });
+  const lastId = parseInt(req.get('Last-Event-ID'), 10);
+  if (Number.isInteger(lastId)) nodeEvents.recent(lastId).forEach(forward);
+  unsubscribe = nodeEvents.subscribe(forward);
+
+  req.on('close', finish);
+});
+
+// ---------- /api/mempool ----------
+// Full mempool, paged (mempool.js): ?sort=feerate|fee|size|age
+// &order=desc|asc&page=1&limit=50&only=wallet|inscriptions. Comes with
+// totals, a fee-rate histogram and each entry's ancestors / descendants.
+// Wallet flags only for logged-in callers.
+
+const mempoolExplorer = createMempoolExplorer(rpc, {
+  reveals: () => mempoolZords.reveals(),
+  log: (msg) => console.log(msg),
+});
+
+const MEMPOOL_ERROR_STATUS = {
+  bad_query: 400,
+};
+
+function sendMempoolError(res, err) {
+  const status = MEMPOOL_ERROR_STATUS[err.code] || 500;
+  if (status === 500) console.error('[/api/mempool] error', err.message || err);
+  res.status(status).json({
+    error: err.code || 'mempool_failed',
+    detail: err.message || String(err),
+  });
+}
+
+app.get('/api/mempool', async (req, res) => {
+  try {
+    res.json(await mempoolExplorer.page(req.query, { wallet: !!auth.roleOf(req) }));
+  } catch (err) {
+    sendMempoolError(res, err);
+  }
+});
+
+// ---------- /api/mempool/inscriptions ----------
+// Zords with links not mined yet (mempoolzords.js): a pending feed and
+// previews of what is assembled so far, always flagged unconfirmed. Nothing
+// is written to /content until the chain confirms. Changes also go out on
+// /api/events as `mempool-inscription`.
 
+app.get('/api/mempool/inscriptions', async (req, res) => {
+  try {
+    const items = await mempoolZords.list();
+    res.json({ ...mempoolZords.status(), items });
+  } catch (err) {
+    console.error('[/api/mempool/inscriptions] error', err.message || err);
+    res.status(500).json({ error: 'mempool_scan_failed', detail: err.message || String(err) });
+  }
+});
+
+app.get('/api/mempool/inscriptions/:id/content', async (req, res) => {
+  const id = (req.params.id || '').trim();
+  if (!/^[0-9a-f]{64}(i\d+)?$/i.test(id)) {
+    return res.status(400).json({ error: 'bad_inscription_id' });
+  }
+  try {
+    const entry = await mempoolZords.get(id);
+    if (!entry) return res.status(404).json({ error: 'not_pending' });
+    res.set('Content-Type', entry.mimeType || 'application/octet-stream');
+    res.set('Cache-Control', 'no-store');
+    res.set('X-Zord-Unconfirmed', '1');
+    res.set('Content-Security-Policy', INSCRIPTION_CSP);
+    res.send(entry.buffer);
+  } catch (err) {
+    console.error('[/api/mempool/inscriptions/content] error', err.message || err);
+    res.status(500).json({ error: 'mempool_scan_failed', detail: err.message || String(err) });
+  }
+});
+
+// ---------- /api/block, /api/tx, /api/address ----------
+// Local chain explorer (explorer.js), used by assets-page/chain.html:
+// blocks by height or hash (?offset=&limit= over its txs), transactions
+// with prevouts, spenders and ord envelopes, and address history when the
+// node has its address index.
+
+const explorer = createExplorer(rpc, { log: (msg) => console.log(msg) });
+
+const EXPLORER_ERROR_STATUS = {
+  bad_query: 400,
+  not_found: 404,
+  addressindex_disabled: 501,
+};
+
+function sendExplorerError(res, route, err) {
+  const status = EXPLORER_ERROR_STATUS[err.code] || 500;
+  if (status === 500) console.error(`[${route}] error`, err.message || err);
+  res.status(status).json({
+    error: err.code || 'explorer_failed',
+    detail: err.message || String(err),
+  });
+}
+
+app.get('/api/explorer/status', (req, res) => {
+  res.json(explorer.status());
+});
+
+app.get('/api/block/:hashOrHeight', async (req, res) => {
+  try {
+    res.json(await explorer.block(req.params.hashOrHeight, req.query));
+  } catch (err) {
+    sendExplorerError(res, '/api/block', err);
+  }
+});
+
+app.get('/api/tx/:txid', async (req, res) => {
+  try {
+    res.json(await explorer.tx(req.params.txid));
+  } catch (err) {
+    sendExplorerError(res, '/api/tx', err);
+  }
+});
+
+app.get('/api/address/:address', async (req, res) => {
+  try {
+    res.json(await explorer.address(req.params.address, req.query));
+  } catch (err) {
+    sendExplorerError(res, '/api/address', err);
+  }
+});
 
 // ---------- /api/wallet/import-privkey ----------
 // Body: { privkey, label, rescan }
@@ -396,7 +885,10 @@ app.post('/api/wallet/import-privkey', async (req, res) => {
 
   try {
     // importprivkey "zcashprivkey" "label" rescan
-    const result = await rpc('importprivkey', [privkey, labelStr, doRescan]);
+    // a rescan can take many minutes
+    const result = await rpc('importprivkey', [privkey, labelStr, doRescan], {
+      timeout: doRescan ? 0 : undefined,
+    });
     // importprivkey returns null on success
     res.json({ ok: true, result });
   } catch (err) {
@@ -408,11 +900,172 @@ app.post('/api/wallet/import-privkey', async (req, res) => {
   }
 });
 
+// ---------- coin control ----------
+// Wallet UTXOs carrying an inscription (coincontrol.js) are tagged in
+// /api/wallet/utxos and locked out of sends unless the request sets
+// allowInscriptions: true.
+
+let coinControl;
+let locks;
+onNetwork(() => {
+  coinControl = createCoinControl(rpc, {
+    dir: path.join(CONTENT_DIR, 'coincontrol'),
+    log: (msg) => console.log(msg),
+  });
+  // every lockunspent goes through here (utxolocks.js); clear what a crash
+  // mid-send left locked
+  locks = createLockManager(rpc, {
+    dir: path.join(CONTENT_DIR, 'locks'),
+    log: (msg) => console.log(msg),
+  });
+  locks.recover().catch((err) =>
+    console.error('[locks] recovery failed:', err.message || err));
+});
+
+// ---------- /api/inscription/:id/transfer ----------
+// GET  -> { inscriptionId, owned, utxo } (is it held by this wallet?)
+// POST { to, feeUtxos? }                 -> signed preview (not broadcast)
+// POST { to, broadcast: true, hex }      -> broadcast the previewed hex
+
+let transferer;
+onNetwork(() => {
+  transferer = createTransferer(rpc, {
+    coinControl,
+    log: (msg) => console.log(msg),
+  });
+});
+
+const TRANSFER_ERROR_STATUS = {
+  bad_inscription_id: 400,
+  bad_address: 400,
+  hex_required: 400,
+  insufficient_funds: 400,
+  not_in_wallet: 404,
+  stale_preview: 409,
+};
+
+function sendTransferError(res, err) {
+  const status = TRANSFER_ERROR_STATUS[err.code] || 500;
+  if (status === 500) console.error('[/api/inscription/transfer] error', err.message || err);
+  res.status(status).json({
+    error: err.code || 'transfer_failed',
+    detail: err.message || String(err),
+  });
+}
+
+app.get('/api/inscription/:id/transfer', async (req, res) => {
+  try {
+    const { id, holder } = await transferer.locate(req.params.id);
+    res.json({
+      inscriptionId: id,
+      owned: !!holder,
+      utxo: holder
+        ? { txid: holder.txid, vout: holder.vout, address: holder.address, amount: holder.amount }
+        : null,
+    });
+  } catch (err) {
+    sendTransferError(res, err);
+  }
+});
+
+app.post('/api/inscription/:id/transfer', async (req, res) => {
+  const { to, feeUtxos, broadcast, hex } = req.body || {};
+  try {
+    if (broadcast === true) {
+      return res.json(await transferer.broadcast(req.params.id, hex));
+    }
+    res.json(await transferer.preview(req.params.id, String(to || '').trim(), {
+      feeUtxos: Array.isArray(feeUtxos) ? feeUtxos : undefined,
+    }));
+  } catch (err) {
+    sendTransferError(res, err);
+  }
+});
+
+// ---------- /api/inscribe ----------
+// Commit/reveal inscription builder (inscribe.js). Body for estimate and
+// inscribe: { data: <base64>, mimeType, destination?, postage?, dryRun? }.
+// Jobs are kept in content/inscribe/<inscriptionId>.json.
+
+let inscriber;
+onNetwork(() => {
+  inscriber = createInscriber(rpc, {
+    dir: path.join(CONTENT_DIR, 'inscribe'),
+    coinControl,
+    log: (msg) => console.log(msg),
+  });
+});
+
+function readInscribeBody(body) {
+  const data = Buffer.from(String((body && body.data) || ''), 'base64');
+  const mimeType = String((body && body.mimeType) || '').trim();
+  const postage = parseInt(body && body.postage, 10);
+  return { data, mimeType, postage: postage > 0 ? postage : undefined };
+}
+
+app.post('/api/inscribe/estimate', (req, res) => {
+  try {
+    const { data, mimeType, postage } = readInscribeBody(req.body);
+    res.json(inscriber.plan(data, mimeType, { postage }));
+  } catch (err) {
+    res.status(400).json({ error: 'estimate_failed', detail: err.message || String(err) });
+  }
+});
+
+app.post('/api/inscribe', async (req, res) => {
+  try {
+    const { data, mimeType, postage } = readInscribeBody(req.body);
+    const body = req.body || {};
+    const job = await inscriber.inscribe(data, mimeType, {
+      postage,
+      destination: body.destination ? String(body.destination).trim() : undefined,
+      utxos: Array.isArray(body.utxos) ? body.utxos : undefined,
+      allowInscriptions: body.allowInscriptions === true,
+      dryRun: !!body.dryRun,
+    });
+    res.json(job);
+  } catch (err) {
+    console.error('[/api/inscribe] error', err.message || err);
+    res.status(500).json({ error: 'inscribe_failed', detail: err.message || String(err) });
+  }
+});
+
+app.get('/api/inscribe/jobs', (req, res) => {
+  res.json(inscriber.jobs());
+});
+
+app.get('/api/inscribe/jobs/:jobId', (req, res) => {
+  const job = inscriber.job(req.params.jobId);
+  if (!job) return res.status(404).json({ error: 'unknown_job' });
+  res.json(job);
+});
+
+// Resume a broadcast that stopped (e.g. node restarted mid-chain)
+app.post('/api/inscribe/jobs/:jobId/broadcast', async (req, res) => {
+  try {
+    res.json(await inscriber.broadcast(req.params.jobId));
+  } catch (err) {
+    res.status(400).json({ error: 'broadcast_failed', detail: err.message || String(err) });
+  }
+});
+
+// Sign the unsent reveals again with the job's saved lock key (e.g. after the
+// node rejected one); POST .../broadcast then sends them
+app.post('/api/inscribe/jobs/:jobId/rebuild', async (req, res) => {
+  try {
+    res.json(await inscriber.rebuild(req.params.jobId));
+  } catch (err) {
+    res.status(400).json({ error: 'rebuild_failed', detail: err.message || String(err) });
+  }
+});
+
 // ---------- /api/wallet/send ----------
-// Body: { walletName, address, amount }
+// Body: { walletName, address, amount, utxos?, allowInscriptions? }
+// Inscription-carrying UTXOs are locked for the send unless allowInscriptions.
+// Sends are queued (utxolocks.js) so two never lock/unlock over each other.
 
 app.post('/api/wallet/send', async (req, res) => {
-  const { walletName, address, amount, utxos } = req.body;
+  const { walletName, address, amount, utxos, allowInscriptions } = req.body;
 
   if (!address || typeof amount !== 'number') {
     return res.status(400).json({
@@ -421,51 +1074,172 @@ app.post('/api/wallet/send', async (req, res) => {
     });
   }
 
-  const useUtxos = Array.isArray(utxos) && utxos.length > 0;
-  let lockList = [];
-
   try {
-    if (useUtxos) {
-      // get all current UTXOs
-      const all = await rpc('listunspent', [0, 9999999, []]);
-      const wanted = new Set(
-        utxos.map((u) => `${u.txid}:${u.vout}`)
-      );
-
-      lockList = (all || [])
-        .filter((u) => !wanted.has(`${u.txid}:${u.vout}`))
-        .map((u) => ({ txid: u.txid, vout: u.vout }));
+    const result = await locks.run('wallet/send', async (lock) => {
+      // get all current UTXOs, tagged with the inscriptions they carry
+      const all = await coinControl.walletUtxos();
+      const plan = planSend(all, { utxos, allowInscriptions });
+      if (plan.blocked.length) return { blocked: plan.blocked };
+      // the node would only answer "insufficient funds"
+      const needed = uncheckedNeeded(plan, amount);
+      if (needed.length) return { needsUnchecked: needed };
+
+      // lock everything EXCEPT the selected UTXOs, and every Zord or
+      // unchecked UTXO; released when this callback returns
+      await lock(plan.lock);
+
+      // normal wallet send – wallet will choose from remaining unlocked UTXOs
+      const params = [address, amount];
+      return { txid: await rpc('sendtoaddress', params), unchecked: plan.unchecked };
+    });
 
-      // lock everything EXCEPT the selected UTXOs
-      if (lockList.length) {
-        await rpc('lockunspent', [false, lockList]);
-      }
+    if (result.blocked) {
+      return res.status(409).json({
+        error: 'inscription_utxo',
+        detail: 'Selected UTXOs carry inscriptions or could not be checked; set allowInscriptions to spend them.',
+        utxos: result.blocked.map(protectedInfo),
+      });
+    }
+    if (result.needsUnchecked) {
+      return res.status(409).json({
+        error: 'unchecked_utxos',
+        detail: 'Only with UTXOs that could not be checked for inscriptions (node without txindex=1, or a longer history than the hop limit) does the wallet cover this amount; pick them in utxos with allowInscriptions: true to spend them.',
+        utxos: result.needsUnchecked.map(protectedInfo),
+      });
     }
 
-    // normal wallet send – wallet will choose from remaining unlocked UTXOs
-    const params = [address, amount];
-    const txid = await rpc('sendtoaddress', params);
-
-    res.json({ txid });
+    res.json({ txid: result.txid, uncheckedUtxos: result.unchecked.map(protectedInfo) });
   } catch (err) {
     console.error('[/api/wallet/send] error:', err.message || err);
     res.status(500).json({
       error: 'send_failed',
       detail: err.message || String(err),
     });
-  } finally {
-    // always unlock what we locked
-    if (lockList.length) {
-      try {
-        await rpc('lockunspent', [true, lockList]);
-      } catch (e2) {
-        console.error('[/api/wallet/send] unlock error:', e2.message || e2);
-      }
-    }
   }
 });
 
-// List UTXOs used by the wallet
+// ---------- /api/wallet/send/preview + /broadcast ----------
+// Two-step send (walletsend.js): preview builds the unsigned transaction so
+// inputs, change, size and ZIP-317 fee can be reviewed; broadcast signs and
+// sends that hex once the user confirms.
+// POST /preview   { address, amount, utxos?, allowInscriptions? }
+// POST /broadcast { hex, utxos?, allowInscriptions? } -> { txid, fee, size }
+
+let walletSender;
+onNetwork(() => {
+  walletSender = createWalletSender(rpc, {
+    coinControl,
+    locks,
+    log: (msg) => console.log(msg),
+  });
+});
+
+const SEND_ERROR_STATUS = {
+  bad_address: 400,
+  bad_amount: 400,
+  bad_fee: 400,
+  hex_required: 400,
+  insufficient_funds: 400,
+  inscription_utxo: 409,
+  stale_preview: 409,
+};
+
+function sendWalletSendError(res, err) {
+  const status = SEND_ERROR_STATUS[err.code] || 500;
+  if (status === 500) console.error('[/api/wallet/send] error', err.message || err);
+  res.status(status).json({
+    error: err.code || 'send_failed',
+    detail: err.message || String(err),
+    ...(err.utxos ? { utxos: err.utxos } : {}),
+  });
+}
+
+function readCoinControl(body = {}) {
+  return {
+    utxos: Array.isArray(body.utxos) ? body.utxos : undefined,
+    allowInscriptions: body.allowInscriptions === true,
+  };
+}
+
+app.post('/api/wallet/send/preview', async (req, res) => {
+  const body = req.body || {};
+  try {
+    res.json(await walletSender.preview(body.address, body.amount, readCoinControl(body)));
+  } catch (err) {
+    sendWalletSendError(res, err);
+  }
+});
+
+app.post('/api/wallet/send/broadcast', async (req, res) => {
+  const body = req.body || {};
+  try {
+    res.json(await walletSender.broadcast(body.hex, readCoinControl(body)));
+  } catch (err) {
+    sendWalletSendError(res, err);
+  }
+});
+
+// ---------- /api/wallet/sendmany ----------
+// Batch payments in one sendmany (batchsend.js). Body for both routes:
+// { rows: [{ address, amount }] | csv, utxos?, allowInscriptions?, minconf?, comment? }
+// POST /preview     -> validated rows, total, fee, batchId
+// POST / (+ batchId) -> { txid } for exactly the previewed batch
+
+let batchSender;
+onNetwork(() => {
+  batchSender = createBatchSender(rpc, {
+    coinControl,
+    locks,
+    log: (msg) => console.log(msg),
+  });
+});
+
+const BATCH_ERROR_STATUS = {
+  bad_request: 400,
+  bad_batch: 400,
+  inscription_utxo: 409,
+  stale_preview: 409,
+};
+
+function readBatchBody(body = {}) {
+  const minconf = parseInt(body.minconf, 10);
+  return [
+    { rows: body.rows, csv: body.csv },
+    {
+      utxos: Array.isArray(body.utxos) ? body.utxos : undefined,
+      allowInscriptions: body.allowInscriptions === true,
+      minconf: minconf >= 0 ? minconf : undefined,
+      batchId: body.batchId,
+      comment: body.comment,
+    },
+  ];
+}
+
+function sendBatchError(res, err) {
+  const status = BATCH_ERROR_STATUS[err.code] || 500;
+  if (status === 500) console.error('[/api/wallet/sendmany] error', err.message || err);
+  res.status(status).json({
+    error: err.code || 'sendmany_failed',
+    detail: err.message || String(err),
+  });
+}
+
+app.post('/api/wallet/sendmany/preview', async (req, res) => {
+  try {
+    res.json(await batchSender.preview(...readBatchBody(req.body)));
+  } catch (err) {
+    sendBatchError(res, err);
+  }
+});
+
+app.post('/api/wallet/sendmany', async (req, res) => {
+  try {
+    res.json(await batchSender.send(...readBatchBody(req.body)));
+  } catch (err) {
+    sendBatchError(res, err);
+  }
+});
+
 // List UTXOs used by the wallet
 app.get('/api/wallet/utxos', async (req, res) => {
   try {
@@ -485,7 +1259,8 @@ app.get('/api/wallet/utxos', async (req, res) => {
       throw new Error('Unexpected listunspent result: ' + JSON.stringify(unspent));
     }
 
-    const utxos = unspent.map((u) => ({
+    const tagged = await coinControl.tag(unspent, { prune: true });
+    const utxos = tagged.map((u) => ({
       txid: u.txid,
       vout: u.vout,
       address: u.address,
@@ -493,6 +1268,10 @@ app.get('/api/wallet/utxos', async (req, res) => {
       confirmations: u.confirmations,
       // label may be missing depending on your node/wallet version
       label: u.label || 'default',
+      // inscribed and unchecked UTXOs are locked out of /api/wallet/send by default
+      inscriptionStatus: u.inscriptionStatus,
+      inscription: u.inscription,
+      protected: isProtected(u),
     }));
 
     res.json({ utxos });
@@ -505,6 +1284,214 @@ app.get('/api/wallet/utxos', async (req, res) => {
   }
 });
 
+// ---------- /api/wallet/locks ----------
+// Locked outpoints (listlockunspent) and who holds them (utxolocks.js).
+// GET                                   -> { locks: [{ txid, vout, amount, address, holders, external }] }
+// POST         { outpoints, note? }     -> manual lock
+// POST /unlock { outpoints }            -> manual unlock (not while a send holds them)
+
+const LOCK_ERROR_STATUS = {
+  bad_outpoint: 400,
+  lock_busy: 409,
+};
+
+function sendLockError(res, err) {
+  const status = LOCK_ERROR_STATUS[err.code] || 500;
+  if (status === 500) console.error('[/api/wallet/locks] error', err.message || err);
+  res.status(status).json({
+    error: err.code || 'lock_failed',
+    detail: err.message || String(err),
+  });
+}
+
+function readOutpoints(body = {}) {
+  if (!Array.isArray(body.outpoints) || !body.outpoints.length) {
+    const err = new Error('outpoints: [{ txid, vout }] is required');
+    err.code = 'bad_outpoint';
+    throw err;
+  }
+  return body.outpoints;
+}
+
+app.get('/api/wallet/locks', async (req, res) => {
+  try {
+    res.json({ locks: await locks.list() });
+  } catch (err) {
+    sendLockError(res, err);
+  }
+});
+
+app.post('/api/wallet/locks', async (req, res) => {
+  try {
+    const holder = await locks.hold('manual', readOutpoints(req.body), (req.body || {}).note);
+    res.json(holder);
+  } catch (err) {
+    sendLockError(res, err);
+  }
+});
+
+app.post('/api/wallet/locks/unlock', async (req, res) => {
+  try {
+    res.json({ unlocked: await locks.unlockManual(readOutpoints(req.body)) });
+  } catch (err) {
+    sendLockError(res, err);
+  }
+});
+
+// ---------- /api/wallet/zords ----------
+// Inscriptions held by the node wallet: listunspent outputs that carry one
+// (coincontrol.js), grouped by address. ?decode=1 queues the ones not in
+// /content yet so the portfolio gets previews.
+
+app.get('/api/wallet/zords', async (req, res) => {
+  try {
+    const utxos = await coinControl.walletUtxos();
+    const master = loadMaster();
+    const groups = new Map(); // address -> group
+    let unknown = 0;
+    let queued = 0;
+
+    for (const u of utxos) {
+      if (u.inscriptionStatus === 'unknown') unknown++;
+      if (!u.inscription) continue;
+
+      const id = u.inscription.inscriptionId;
+      const filePath = findCompleteZordFile(id);
+      const entry = master[id] || null;
+      if (!filePath && req.query.decode === '1') {
+        decodeQueue.enqueue(id);
+        queued++;
+      }
+
+      const address = u.address || '(unknown)';
+      if (!groups.has(address)) {
+        groups.set(address, { address, label: u.label || u.account || 'default', count: 0, zords: [] });
+      }
+      const group = groups.get(address);
+      group.count++;
+      group.zords.push({
+        inscriptionId: id,
+        txid: u.txid,
+        vout: u.vout,
+        amount: u.amount,
+        confirmations: u.confirmations,
+        hops: u.inscription.hops,
+        cached: !!filePath,
+        mimeType: entry ? entry.mimeType : filePath ? mime.lookup(filePath) || null : null,
+        url: filePath ? `/content/${encodeURIComponent(path.basename(filePath))}` : null,
+      });
+    }
+
+    const list = [...groups.values()].sort((a, b) => b.count - a.count);
+    res.json({
+      count: list.reduce((n, g) => n + g.count, 0),
+      addresses: list.length,
+      unknown, // UTXOs whose history the node could not return
+      queued,
+      groups: list,
+    });
+  } catch (err) {
+    console.error('[/api/wallet/zords] error:', err.message || err);
+    res.status(500).json({
+      error: 'zords_failed',
+      detail: err.message || String(err),
+    });
+  }
+});
+
+// ---------- /api/wallet/shielded ----------
+// Sapling / Orchard / unified addresses, notes and z_sendmany (shielded.js).
+// GET  /addresses                 -> { totals, accounts, addresses }
+// GET  /notes?address=&minconf=   -> z_listunspent notes with memoText
+// POST /send { from, recipients: [{ address, amount, memo? }], minconf?,
+//              fee?, privacyPolicy?, allowInscriptions? } -> operation
+// GET  /operations[/:opid]        -> tracked async operations
+
+let shielded;
+onNetwork(() => {
+  shielded = createShieldedWallet(rpc, {
+    dir: path.join(CONTENT_DIR, 'shielded'),
+    coinControl,
+    locks,
+    log: (msg) => console.log(msg),
+  });
+});
+
+const SHIELDED_ERROR_STATUS = {
+  bad_request: 400,
+  bad_address: 400,
+  bad_amount: 400,
+  bad_memo: 400,
+  bad_policy: 400,
+  memo_not_allowed: 400,
+};
+
+function sendShieldedError(res, err, fallback) {
+  const status = SHIELDED_ERROR_STATUS[err.code] || 500;
+  if (status === 500) console.error(`[/api/wallet/shielded] ${fallback}:`, err.message || err);
+  res.status(status).json({
+    error: SHIELDED_ERROR_STATUS[err.code] ? err.code : fallback,
+    detail: err.message || String(err),
+  });
+}
+
+app.get('/api/wallet/shielded/addresses', async (req, res) => {
+  try {
+    res.json(await shielded.summary());
+  } catch (err) {
+    sendShieldedError(res, err, 'shielded_failed');
+  }
+});
+
+app.get('/api/wallet/shielded/notes', async (req, res) => {
+  try {
+    const address = String(req.query.address || '').trim();
+    const minconf = parseInt(req.query.minconf, 10);
+    const notes = await shielded.notes({
+      minconf: minconf >= 0 ? minconf : 0,
+      addresses: address ? [address] : undefined,
+    });
+    res.json({ count: notes.length, notes });
+  } catch (err) {
+    sendShieldedError(res, err, 'notes_failed');
+  }
+});
+
+app.post('/api/wallet/shielded/send', async (req, res) => {
+  const body = req.body || {};
+  try {
+    const op = await shielded.send({
+      from: body.from,
+      recipients: body.recipients,
+      minconf: body.minconf != null ? parseInt(body.minconf, 10) : undefined,
+      fee: body.fee,
+      privacyPolicy: body.privacyPolicy,
+      allowInscriptions: body.allowInscriptions === true,
+    });
+    res.json(op);
+  } catch (err) {
+    sendShieldedError(res, err, 'send_failed');
+  }
+});
+
+app.get('/api/wallet/shielded/operations', async (req, res) => {
+  try {
+    res.json(await shielded.operations());
+  } catch (err) {
+    sendShieldedError(res, err, 'operations_failed');
+  }
+});
+
+app.get('/api/wallet/shielded/operations/:opid', async (req, res) => {
+  try {
+    const op = await shielded.operation(req.params.opid);
+    if (!op) return res.status(404).json({ error: 'unknown_operation' });
+    res.json(op);
+  } catch (err) {
+    sendShieldedError(res, err, 'operations_failed');
+  }
+});
+
 // ---------- /api/tx/check ----------
 // Body: { txid } -> gettransaction
 
@@ -527,11 +1514,13 @@ app.post('/api/tx/check', async (req, res) => {
 });
 
 // ---------- /api/zords/list ----------
-// Returns a list of all inscription files in /Zords (excluding /rawdata)
+// Returns a list of all inscription files in /Zords (excluding /rawdata),
+// with inscription number and genesis block where known
 
 app.get('/api/zords/list', (req, res) => {
   try {
     const entries = fs.readdirSync(CONTENT_DIR);
+    const master = loadMaster();
     const result = [];
 
     for (const name of entries) {
@@ -548,6 +1537,7 @@ app.get('/api/zords/list', (req, res) => {
 
       const inscriptionId = base;                 // full <txid>i0
       const genesisTxid = base.replace(/i\d+$/, '');
+      const key = /i\d+$/.test(base) ? base : `${base}i0`; // legacy bare-txid files
 
       result.push({
         txid: genesisTxid,                        // bare txid
@@ -557,6 +1547,8 @@ app.get('/api/zords/list', (req, res) => {
         ext,
         contentType,
         size: stat.size,
+        createdAt: (master[key] || {}).createdAt || null,
+        ...numberFields(key, master[key]),
       });
 
     }
@@ -571,9 +1563,182 @@ app.get('/api/zords/list', (req, res) => {
   }
 });
 
+// ---------- /api/zords/verify ----------
+// Re-hash /content files against the sha256 in master.json, per inscription.
+//   GET  ?id=<id>,<id>&redecode=1      → compare only
+//   POST { ids, redecode, repair }      → repair also rewrites from the node
+
+function parseIdList(value) {
+  if (Array.isArray(value)) return value.map(String).filter(Boolean);
+  return String(value || '').split(',').map((s) => s.trim()).filter(Boolean);
+}
+
+async function runVerify(res, ids, opts) {
+  try {
+    res.json(await verifyInscriptions(ids, opts));
+  } catch (err) {
+    console.error('[/api/zords/verify] error', err);
+    res.status(500).json({
+      error: 'verify_failed',
+      detail: err.message || String(err),
+    });
+  }
+}
+
+app.get('/api/zords/verify', (req, res) => {
+  runVerify(res, parseIdList(req.query.id), {
+    redecode: req.query.redecode === '1',
+  });
+});
+
+app.post('/api/zords/verify', (req, res) => {
+  const body = req.body || {};
+  runVerify(res, parseIdList(body.ids), {
+    redecode: !!body.redecode || !!body.repair,
+    repair: !!body.repair,
+  });
+});
+
+// ---------- /api/index/* ----------
+// Block-range inscription indexer (indexer.js). Catalog lives in
+// content/index/catalog.json; INDEX_START_HEIGHT in .env starts it on boot.
+
+let indexer;
+onNetwork(() => {
+  // the catalog is per network: a switch leaves the new one stopped
+  if (indexer) indexer.stop();
+  indexer = createInscriptionIndexer(rpc, {
+    dir: path.join(CONTENT_DIR, 'index'),
+    log: (msg) => console.log(msg),
+    // ZRC-20 ledger follows the catalog after every pass
+    onScan: () => zrc20.sync(),
+  });
+});
+
+// Inscription ids (file basenames) that are already decoded into /content
+function listDecodedIds() {
+  const ids = new Set();
+  try {
+    for (const name of fs.readdirSync(CONTENT_DIR)) {
+      const dot = name.indexOf('.');
+      if (dot > 0) ids.add(name.slice(0, dot).toLowerCase());
+    }
+  } catch (e) {
+    console.warn('listDecodedIds error:', e.message);
+  }
+  return ids;
+}
+
+app.get('/api/index/status', (req, res) => {
+  try {
+    res.json(indexer.status());
+  } catch (err) {
+    console.error('[/api/index/status] error', err);
+    res.status(500).json({
+      error: 'index_status_failed',
+      detail: err.message || String(err),
+    });
+  }
+});
+
+// Query: ?offset=0&limit=100&mime=image/png&undecoded=1
+app.get('/api/index/inscriptions', (req, res) => {
+  try {
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+    const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const mimeFilter = typeof req.query.mime === 'string' ? req.query.mime : '';
+    const onlyUndecoded = req.query.undecoded === '1' || req.query.undecoded === 'true';
+
+    const decoded = listDecodedIds();
+    let items = indexer.list().map((entry) => ({
+      ...entry,
+      decoded: decoded.has(entry.inscriptionId.toLowerCase()),
+    }));
+
+    if (mimeFilter) items = items.filter((e) => e.mimeType === mimeFilter);
+    if (onlyUndecoded) items = items.filter((e) => !e.decoded);
+
+    res.json({
+      total: items.length,
+      offset,
+      limit,
+      inscriptions: items.slice(offset, offset + limit),
+    });
+  } catch (err) {
+    console.error('[/api/index/inscriptions] error', err);
+    res.status(500).json({
+      error: 'index_list_failed',
+      detail: err.message || String(err),
+    });
+  }
+});
+
+// Body: { startHeight }
+app.post('/api/index/start', (req, res) => {
+  const { startHeight } = req.body || {};
+  const height = startHeight != null ? parseInt(startHeight, 10) : null;
+  res.json(indexer.start(Number.isInteger(height) ? height : null));
+});
+
+app.post('/api/index/stop', (req, res) => {
+  res.json(indexer.stop());
+});
+
+// ---------- /api/zrc20/* ----------
+// ZRC-20 ledger (zrc20.js) built from the inscription catalog in chain order;
+// content/zrc20/ledger.json. Updated after every indexer pass.
+
+let zrc20;
+onNetwork(() => {
+  zrc20 = createZrc20Ledger(rpc, {
+    dir: path.join(CONTENT_DIR, 'zrc20'),
+    indexer,
+    log: (msg) => console.log(msg),
+  });
+});
+
+app.get('/api/zrc20/status', (req, res) => {
+  res.json(zrc20.status());
+});
+
+app.post('/api/zrc20/sync', async (req, res) => {
+  res.json(await zrc20.sync());
+});
+
+app.get('/api/zrc20/tokens', (req, res) => {
+  try {
+    res.json({ status: zrc20.status(), tokens: zrc20.tokens() });
+  } catch (err) {
+    console.error('[/api/zrc20/tokens] error', err);
+    res.status(500).json({ error: 'zrc20_failed', detail: err.message || String(err) });
+  }
+});
+
+// Ledger verdict for one inscription (used by the JSON overlay)
+app.get('/api/zrc20/inscription/:id', (req, res) => {
+  const { txid, index } = parseInscriptionId(String(req.params.id || ''));
+  const op = zrc20.op(`${txid}i${index}`);
+  if (!op) return res.status(404).json({ error: 'not_a_zrc20_op' });
+  res.json(op);
+});
+
+app.get('/api/zrc20/:tick', (req, res) => {
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+  const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit, 10) || 100));
+  const token = zrc20.token(req.params.tick, { offset, limit });
+  if (!token) return res.status(404).json({ error: 'unknown_tick' });
+  res.json(token);
+});
+
+app.get('/api/zrc20/:tick/balances', (req, res) => {
+  const balances = zrc20.balances(req.params.tick);
+  if (!balances) return res.status(404).json({ error: 'unknown_tick' });
+  res.json({ tick: req.params.tick.toLowerCase(), holders: balances.length, balances });
+});
+
 // ---------- /api/node/history ----------
 // Recent wallet transactions from this node
-// Uses listtransactions + getrawtransaction for size.
+// Uses listtransactions + batched getrawtransaction for size.
 
 app.get('/api/node/history', async (req, res) => {
   try {
@@ -593,18 +1758,17 @@ app.get('/api/node/history', async (req, res) => {
       if (unique.length >= maxTx) break;
     }
 
+    // one batched request for all the raw txs; per-tx errors are ignored
     const sizes = {};
-    for (const tx of unique) {
-      try {
-        const rawHex = await rpc('getrawtransaction', [tx.txid, false]);
-        const hex = typeof rawHex === 'string' ? rawHex : rawHex.hex;
-        if (typeof hex === 'string') {
-          sizes[tx.txid] = Math.floor(hex.length / 2); // bytes
-        }
-      } catch (e) {
-        // ignore per-tx errors
+    const raws = await rpc.batch(
+      unique.map((tx) => ['getrawtransaction', [tx.txid, 0]])
+    );
+    raws.forEach(({ result }, i) => {
+      const hex = result && (typeof result === 'string' ? result : result.hex);
+      if (typeof hex === 'string') {
+        sizes[unique[i].txid] = Math.floor(hex.length / 2); // bytes
       }
-    }
+    });
 
     const result = unique.map((tx) => ({
       txid: tx.txid,
@@ -628,7 +1792,8 @@ app.get('/api/node/history', async (req, res) => {
 });
 
 // ---------- /api/dev/rpc-config/save ----------
-// Body: { url, user, pass } -> write into .env and update in-memory config.
+// Body: { url, user, pass } -> saved into the active node profile (and .env
+// when that is the "default" profile .env describes).
 
 function updateRpcEnvFile({ url, user, pass }) {
   let existing = '';
@@ -670,23 +1835,23 @@ app.post('/api/dev/rpc-config/save', (req, res) => {
     const finalUser = typeof user === 'string' ? user.trim() : '';
     const finalPass = typeof pass === 'string' ? pass.trim() : '';
 
-    updateRpcEnvFile({
-      url: finalUrl,
-      user: finalUser,
-      pass: finalPass,
-    });
+    const active = profiles.active();
+    if (active.name === 'default') {
+      updateRpcEnvFile({
+        url: finalUrl,
+        user: finalUser,
+        pass: finalPass,
+      });
+    }
 
-    // update in-memory + process.env so this running server switches over
-    NODE_RPC_URL = finalUrl;
-    NODE_RPC_USER = finalUser;
-    NODE_RPC_PASS = finalPass;
-    process.env.NODE_RPC_URL = finalUrl;
-    process.env.NODE_RPC_USER = finalUser;
-    process.env.NODE_RPC_PASS = finalPass;
+    // profiles.save() applies it to process.env; rpc.js reads that per call,
+    // so this running server switches over
+    profiles.save({ ...active, url: finalUrl, user: finalUser, pass: finalPass });
 
     res.json({
       ok: true,
       url: finalUrl,
+      profile: active.name,
     });
   } catch (err) {
     console.error('[/api/dev/rpc-config/save] error', err);
@@ -697,9 +1862,123 @@ app.post('/api/dev/rpc-config/save', (req, res) => {
   }
 });
 
+// ---------- /api/audit ----------
+// Query: ?route=&client=&ok=true|false&txid=&since=&until=&q=&offset=&limit=
+// Newest first. /api/audit/verify re-checks the hash chain.
+
+app.get('/api/audit', (req, res) => {
+  try {
+    const { route, client, txid, since, until, q } = req.query;
+    const ok = req.query.ok === 'true' ? true : req.query.ok === 'false' ? false : null;
+    res.json(audit.query({
+      route,
+      client,
+      txid,
+      since,
+      until,
+      q,
+      ok,
+      offset: parseInt(req.query.offset, 10) || 0,
+      limit: parseInt(req.query.limit, 10) || 100,
+    }));
+  } catch (err) {
+    console.error('[/api/audit] error', err);
+    res.status(500).json({ error: 'audit_failed', detail: err.message || String(err) });
+  }
+});
+
+app.get('/api/audit/verify', (req, res) => {
+  res.json(audit.verify());
+});
+
+// ---------- /api/node/profiles ----------
+// GET                        -> { active, network, profiles[] } (no passwords)
+// POST { name, network, url?, user?, pass?, cookie?, datadir? } -> add/update
+// POST /:name/activate       -> switch node + content dir at runtime
+// DELETE /:name
+// GET /api/node/network      -> { profile, network } for page headers
+
+const PROFILE_ERROR_STATUS = {
+  bad_profile: 400,
+  unknown_profile: 404,
+  active_profile: 409,
+  network_mismatch: 409,
+  decodes_running: 409,
+};
+
+function sendProfileError(res, route, err) {
+  const status = PROFILE_ERROR_STATUS[err.code];
+  if (!status) console.error(`[${route}] error:`, err.message || err);
+  res.status(status || 500).json({
+    error: err.code || 'profile_failed',
+    detail: err.message || String(err),
+  });
+}
+
+// A decode finishing after the switch would write into the other network's
+// content dir
+function assertNoDecodesRunning() {
+  const { active, queued } = decodeQueue.list();
+  if (active || queued) {
+    const err = new Error(`${active + queued} decode(s) still running; try again when they finish.`);
+    err.code = 'decodes_running';
+    throw err;
+  }
+}
+
+app.get('/api/node/network', (req, res) => {
+  const p = profiles.active();
+  res.json({ profile: p.name, network: p.network });
+});
+
+app.get('/api/node/profiles', (req, res) => {
+  res.json(profiles.list());
+});
+
+app.post('/api/node/profiles', (req, res) => {
+  try {
+    const body = req.body || {};
+    const active = profiles.active();
+    const switchesNetwork = body.name === active.name && body.network !== active.network;
+    if (switchesNetwork) assertNoDecodesRunning();
+
+    const profile = profiles.save(body);
+    if (switchesNetwork) openNetwork();
+    else if (body.name === active.name) openNodeEvents();
+    res.json({ ok: true, profile });
+  } catch (err) {
+    sendProfileError(res, '/api/node/profiles', err);
+  }
+});
+
+app.post('/api/node/profiles/:name/activate', async (req, res) => {
+  try {
+    const target = profiles.list().profiles.find((p) => p.name === req.params.name);
+    const switchesNetwork = !!target && target.network !== profiles.active().network;
+    if (switchesNetwork) assertNoDecodesRunning();
+
+    const result = await profiles.activate(req.params.name);
+    // another node: the event watcher follows it (openNetwork rebuilds it too)
+    if (switchesNetwork) openNetwork();
+    else openNodeEvents();
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    sendProfileError(res, '/api/node/profiles/activate', err);
+  }
+});
+
+app.delete('/api/node/profiles/:name', (req, res) => {
+  try {
+    profiles.remove(req.params.name);
+    res.json({ ok: true });
+  } catch (err) {
+    sendProfileError(res, '/api/node/profiles/delete', err);
+  }
+});
 
-// Simple dev-console RPC runner with a whitelist of allowed commands
-// (shielded commands removed per request)
+// Simple dev-console RPC runner with a whitelist of allowed commands.
+// Shielded sends go through /api/wallet/shielded/send so their operations
+// are tracked; only the read-only shielded commands are here.
 const DEV_ALLOWED_CMDS = new Set([
   'getblockchaininfo',
   'getnetworkinfo',
@@ -712,6 +1991,12 @@ const DEV_ALLOWED_CMDS = new Set([
 
   'listunspent',
 
+  'z_gettotalbalance',
+  'z_getbalanceforaccount',
+  'z_listunspent',
+  'listaddresses',
+  'z_getoperationstatus',
+
   'gettransaction',
   'getrawtransaction',
   'decoderawtransaction',
@@ -803,14 +2088,8 @@ app.post('/api/dev/cli/run', async (req, res) => {
       result,
     });
   } catch (err) {
-    console.error(
-      '[/api/dev/cli/run] error:',
-      err.response?.data || err.message || err
-    );
-    const detail =
-      (err.response && err.response.data && JSON.stringify(err.response.data)) ||
-      err.message ||
-      String(err);
+    console.error('[/api/dev/cli/run] error:', err.message || err);
+    const detail = err.message || String(err);
     res.status(500).json({
       error: 'rpc_failed',
       detail,
@@ -833,4 +2112,10 @@ const PORT = process.env.VIEWER_PORT
 app.listen(PORT, () => {
   console.log(`Zordinals viewer running on http://localhost:${PORT}`);
   console.log(`Open http://localhost:${PORT}/assets-page/index.html`);
+
+  if (process.env.INDEX_START_HEIGHT) {
+    const startHeight = parseInt(process.env.INDEX_START_HEIGHT, 10);
+    console.log(`[index] starting inscription indexer from height ${startHeight}`);
+    indexer.start(Number.isInteger(startHeight) ? startHeight : null);
+  }
 });
@@ -0,0 +1,201 @@
+// walletsend.js
+//
+// Two-step ZEC send: preview, then sign + broadcast.
+//
+// `preview` picks the inputs itself (largest first, under the same coin
+// control as /api/wallet/send: ticked UTXOs only, Zords and UTXOs that could
+// not be checked left alone), prices
+// the transaction with ZIP-317 and has the node lay it out with
+// `createrawtransaction`. Nothing is signed yet; the caller gets the inputs,
+// outputs, change, size and fee to review plus the unsigned hex.
+//
+// `broadcast` takes that hex back, re-checks it against the wallet (every
+// input still ours and allowed by coin control, fee still what ZIP-317
+// asks for), and only then has the node sign and send it. The re-check and
+// the broadcast run in the utxolocks.js send queue.
+
+const { planSend, outpointKey, isProtected, protectedInfo } = require("./coincontrol");
+const { zip317Fee, outputBytes, DUST_LIMIT, P2PKH_INPUT_BYTES } = require("./inscribe");
+
+const SATS = 1e8;
+// signed P2PKH scriptSig: push(sig 72) + push(pubkey 33)
+const P2PKH_SCRIPTSIG_BYTES = 107;
+
+function toZats(amount) {
+  return Math.round(Number(amount) * SATS);
+}
+
+function toZec(zats) {
+  return Number((zats / SATS).toFixed(8));
+}
+
+function sendError(code, message, extra) {
+  const err = new Error(message);
+  err.code = code;
+  if (extra) Object.assign(err, extra);
+  return err;
+}
+
+function blockedError(blocked) {
+  return sendError("inscription_utxo",
+    "Selected UTXOs carry inscriptions or could not be checked; set allowInscriptions to spend them.", {
+      utxos: blocked.map(protectedInfo),
+    });
+}
+
+function createWalletSender(rpc, options = {}) {
+  const coinControl = options.coinControl;
+  const locks = options.locks;
+  const log = options.log || (() => {});
+  if (!coinControl) throw new Error("createWalletSender needs a coinControl instance");
+  if (!locks) throw new Error("createWalletSender needs a lock manager");
+
+  async function scriptBytesFor(address) {
+    const info = await rpc("validateaddress", [address]);
+    if (!info || !info.isvalid || !info.scriptPubKey) {
+      throw sendError("bad_address", `Not a valid transparent address: ${address}`);
+    }
+    return info.scriptPubKey.length / 2;
+  }
+
+  function feeFor(inputCount, outScriptBytes) {
+    return zip317Fee(
+      inputCount * P2PKH_INPUT_BYTES,
+      outScriptBytes.reduce((n, len) => n + outputBytes(len), 0)
+    );
+  }
+
+  /**
+   * Build (unsigned) a send of `amount` ZEC to `to`.
+   *  - opts: { utxos?: [{ txid, vout }], allowInscriptions? }
+   * Returns { to, amount, fee, change, changeAddress, size, inputs, outputs, hex }.
+   */
+  async function preview(to, amount, opts = {}) {
+    to = String(to || "").trim();
+    if (!to) throw sendError("bad_address", "Destination address is required.");
+    const zats = toZats(amount);
+    if (!Number.isFinite(zats) || zats < DUST_LIMIT) {
+      throw sendError("bad_amount", `Amount must be at least ${toZec(DUST_LIMIT)} ZEC.`);
+    }
+    const destBytes = await scriptBytesFor(to);
+
+    const plan = planSend(await coinControl.walletUtxos(), opts);
+    if (plan.blocked.length) throw blockedError(plan.blocked);
+    const picked = Array.isArray(opts.utxos) && opts.utxos.length > 0;
+    const candidates = plan.spendable
+      .filter(u => u.spendable !== false && (picked || u.confirmations > 0))
+      .sort((a, b) => b.amount - a.amount);
+
+    const inputs = [];
+    let sum = 0;
+    for (const u of candidates) {
+      inputs.push(u);
+      sum += toZats(u.amount);
+      if (sum >= zats + feeFor(inputs.length, [destBytes, 25])) break;
+    }
+    if (sum < zats + feeFor(Math.max(1, inputs.length), [destBytes])) {
+      throw sendError("insufficient_funds",
+        `Need ${toZec(zats + feeFor(Math.max(1, inputs.length), [destBytes]))} ZEC including the fee, ` +
+        `${picked ? "selected UTXOs hold" : "wallet can spend"} ${toZec(sum)} ZEC.`);
+    }
+
+    let fee = feeFor(inputs.length, [destBytes, 25]);
+    let change = sum - zats - fee;
+    if (change < DUST_LIMIT) {
+      // no change output: whatever is left goes to the fee
+      fee = sum - zats;
+      change = 0;
+    }
+
+    const outputs = { [to]: toZec(zats) };
+    const changeAddress = change ? await rpc("getrawchangeaddress") : null;
+    if (changeAddress) outputs[changeAddress] = toZec(change);
+
+    const hex = await rpc("createrawtransaction", [
+      inputs.map(u => ({ txid: u.txid, vout: u.vout })),
+      outputs,
+    ]);
+    const decoded = await rpc("decoderawtransaction", [hex]);
+    const unsignedSize = hex.length / 2;
+
+    return {
+      to,
+      amount: toZec(zats),
+      fee: toZec(fee),
+      change: toZec(change),
+      changeAddress,
+      size: unsignedSize + inputs.length * P2PKH_SCRIPTSIG_BYTES, // once signed
+      inputs: inputs.map(u => ({
+        txid: u.txid,
+        vout: u.vout,
+        address: u.address,
+        amount: u.amount,
+        confirmations: u.confirmations,
+      })),
+      outputs: (decoded.vout || []).map(o => {
+        const address = ((o.scriptPubKey && o.scriptPubKey.addresses) || [])[0] || null;
+        return { n: o.n, address, amount: o.value, role: address === to ? "recipient" : "change" };
+      }),
+      uncheckedUtxos: plan.unchecked.map(protectedInfo),
+      hex,
+    };
+  }
+
+  /**
+   * Sign and broadcast a previewed (unsigned) hex. Refused with
+   * stale_preview if an input left the wallet or the UTXO choice changed,
+   * inscription_utxo if an input now carries a Zord or can't be checked
+   * (coincontrol.js "unknown"), bad_fee if the fee is
+   * no longer the ZIP-317 one. Returns { txid, fee, size }.
+   */
+  function broadcast(hex, opts = {}) {
+    return locks.run("send/broadcast", () => broadcastLocked(hex, opts));
+  }
+
+  async function broadcastLocked(hex, opts) {
+    if (!hex || typeof hex !== "string") {
+      throw sendError("hex_required", "Pass the hex returned by the preview.");
+    }
+    const tx = await rpc("decoderawtransaction", [hex]);
+    const all = await coinControl.walletUtxos();
+    const byKey = new Map(all.map(u => [outpointKey(u), u]));
+    const plan = planSend(all, opts);
+    const allowed = new Set(plan.spendable.map(outpointKey));
+
+    let inSum = 0;
+    const spent = [];
+    for (const v of tx.vin || []) {
+      const u = byKey.get(outpointKey(v));
+      if (!u) throw sendError("stale_preview", `Input ${outpointKey(v)} is no longer a wallet UTXO.`);
+      spent.push(u);
+      inSum += toZats(u.amount);
+    }
+    const zords = spent.filter(u => isProtected(u) && opts.allowInscriptions !== true);
+    if (zords.length) throw blockedError(zords);
+    const other = spent.find(u => !allowed.has(outpointKey(u)));
+    if (other) throw sendError("stale_preview", `Input ${outpointKey(other)} is not among the selected UTXOs.`);
+
+    const outSum = (tx.vout || []).reduce((n, o) => n + toZats(o.value), 0);
+    const fee = inSum - outSum;
+    const outBytes = (tx.vout || []).map(o => o.scriptPubKey.hex.length / 2);
+    const expected = feeFor(spent.length, outBytes);
+    // dust change folded into the fee is fine, anything beyond isn't
+    const ceiling = feeFor(spent.length, [...outBytes, 25]) + DUST_LIMIT;
+    if (fee < expected || fee >= ceiling) {
+      throw sendError("bad_fee", `Fee ${toZec(fee)} ZEC does not match the ZIP-317 fee ${toZec(expected)} ZEC.`);
+    }
+
+    const signed = await rpc("signrawtransaction", [hex]);
+    if (!signed || !signed.complete) {
+      const why = signed && signed.errors ? signed.errors.map(e => e.error).join("; ") : "unknown";
+      throw sendError("sign_failed", `Node could not sign the send: ${why}`);
+    }
+    const txid = await rpc("sendrawtransaction", [signed.hex]);
+    log(`[walletsend] ${txid}: ${spent.length} inputs, fee ${toZec(fee)} ZEC`);
+    return { txid, fee: toZec(fee), size: signed.hex.length / 2 };
+  }
+
+  return { preview, broadcast };
+}
+
+module.exports = { createWalletSender };
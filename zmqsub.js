@@ -0,0 +1,144 @@
+// zmqsub.js
+//
+// Minimal ZeroMQ SUB socket for zcashd's -zmqpub* notifications, so live
+// events need no native zeromq build.
+//
+// Speaks just enough ZMTP 3.0 for that: one TCP peer, NULL security, the
+// READY handshake, subscriptions sent as messages, and multipart messages
+// read back as [topic, body, sequence] (zcashd's layout). The socket
+// reconnects on its own after `retryMs`.
+//
+//   const sub = createZmqSubscriber("tcp://127.0.0.1:28332", ["hashblock"]);
+//   sub.on("message", (topic, body, seq) => …);
+
+const net = require("net");
+const { EventEmitter } = require("events");
+
+const GREETING_BYTES = 64;
+const FLAG_MORE = 0x01;
+const FLAG_LONG = 0x02;
+const FLAG_COMMAND = 0x04;
+
+function parseEndpoint(url) {
+  const m = /^tcp:\/\/(\[[^\]]+\]|[^:/]+):(\d+)\/?$/.exec(String(url || "").trim());
+  if (!m) throw new Error(`Not a ZMQ tcp:// endpoint: ${url}`);
+  return { host: m[1].replace(/^\[|\]$/g, ""), port: Number(m[2]) };
+}
+
+function greeting() {
+  const g = Buffer.alloc(GREETING_BYTES);
+  g[0] = 0xff; // signature: 0xff, 8 bytes padding, 0x7f
+  g[9] = 0x7f;
+  g[10] = 3; // version 3.0
+  g[11] = 0;
+  g.write("NULL", 12, "ascii"); // mechanism; as-server and filler stay 0
+  return g;
+}
+
+function frame(body, flags = 0) {
+  if (body.length < 256) return Buffer.concat([Buffer.from([flags, body.length]), body]);
+  const head = Buffer.alloc(9);
+  head[0] = flags | FLAG_LONG;
+  head.writeBigUInt64BE(BigInt(body.length), 1);
+  return Buffer.concat([head, body]);
+}
+
+function readyCommand() {
+  const name = Buffer.from("READY");
+  const key = Buffer.from("Socket-Type");
+  const value = Buffer.from("SUB");
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(value.length);
+  return frame(Buffer.concat([
+    Buffer.from([name.length]), name,
+    Buffer.from([key.length]), key, len, value,
+  ]), FLAG_COMMAND);
+}
+
+function createZmqSubscriber(url, topics, options = {}) {
+  const { host, port } = parseEndpoint(url);
+  const retryMs = options.retryMs || 5000;
+  const emitter = new EventEmitter();
+
+  let socket = null;
+  let retryTimer = null;
+  let closed = false;
+  let connected = false;
+
+  function connect() {
+    let buf = Buffer.alloc(0);
+    let greeted = false;
+    let parts = [];
+
+    socket = net.connect({ host, port });
+    socket.setNoDelay(true);
+    socket.on("connect", () => socket.write(greeting()));
+
+    socket.on("data", (chunk) => {
+      buf = Buffer.concat([buf, chunk]);
+      if (!greeted) {
+        if (buf.length < GREETING_BYTES) return;
+        if (buf[0] !== 0xff || buf[9] !== 0x7f || buf[10] < 3) {
+          socket.destroy(new Error("peer does not speak ZMTP 3"));
+          return;
+        }
+        buf = buf.subarray(GREETING_BYTES);
+        greeted = true;
+        socket.write(readyCommand());
+      }
+
+      while (buf.length >= 2) {
+        const flags = buf[0];
+        const head = flags & FLAG_LONG ? 9 : 2;
+        if (buf.length < head) return;
+        const size = flags & FLAG_LONG ? Number(buf.readBigUInt64BE(1)) : buf[1];
+        if (buf.length < head + size) return;
+        const body = buf.subarray(head, head + size);
+        buf = buf.subarray(head + size);
+
+        if (flags & FLAG_COMMAND) {
+          const name = body.subarray(1, 1 + body[0]).toString("ascii");
+          if (name === "READY" && !connected) {
+            connected = true;
+            for (const t of topics) socket.write(frame(Buffer.concat([Buffer.from([1]), Buffer.from(t)])));
+            emitter.emit("connect");
+          } else if (name === "ERROR") {
+            socket.destroy(new Error(`ZMQ peer error: ${body.subarray(6).toString()}`));
+            return;
+          }
+          continue;
+        }
+
+        parts.push(Buffer.from(body));
+        if (flags & FLAG_MORE) continue;
+        const [topic, payload, seq] = parts;
+        parts = [];
+        emitter.emit("message", topic.toString(), payload || Buffer.alloc(0),
+          seq && seq.length === 4 ? seq.readUInt32LE(0) : null);
+      }
+    });
+
+    socket.on("error", (err) => emitter.emit("error", err));
+    socket.on("close", () => {
+      const was = connected;
+      connected = false;
+      socket = null;
+      if (was) emitter.emit("disconnect");
+      if (!closed) retryTimer = setTimeout(connect, retryMs);
+    });
+  }
+
+  emitter.close = () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    if (socket) socket.destroy();
+  };
+  emitter.connected = () => connected;
+  // "error" events are informational (the socket retries); never throw them
+  emitter.on("error", () => {});
+
+  connect();
+  return emitter;
+}
+
+module.exports = { createZmqSubscriber, parseEndpoint };
@@ -0,0 +1,510 @@
+// zrc20.js
+//
+// ZRC-20 ledger built on top of the inscription catalog (indexer.js).
+//
+// Catalogued inscriptions are read once each, in chain order (height, then
+// position in block, then envelope index). JSON bodies with p:"zrc-20" are
+// applied to the ledger:
+//
+//   deploy   – first deploy of a tick wins. `max` is required, `lim`
+//              defaults to `max`, `dec` defaults to 18 (0..18).
+//   mint     – `amt` must not exceed `lim`. A mint that crosses `max` is cut
+//              down to what is left; once everything is minted further mints
+//              are invalid. Credited to the address holding the inscription.
+//   transfer – the inscriber needs `amt` available. It is set aside as
+//              "transferable" until the transfer inscription is sent on, then
+//              credited to the receiver (output <n> of the spending tx for
+//              input <n>, the same rule reveal chains follow). Spending it
+//              into a tx without that output returns it to the sender.
+//
+// An op whose reveal chain is not complete yet (pieces still to be mined)
+// stays pending and is read again at the start of every later pass. Ops
+// after it were decided without it, so once it completes the ledger is
+// replayed from scratch and every op lands in chain order again.
+//
+// The "holder" of an inscription is the address of the output the last
+// reveal link passes it to. Ticks are case-insensitive, 4 characters as in
+// BRC-20/DRC-20. Amounts are kept as integer strings in the token's smallest
+// unit and formatted with `dec` places by the public getters.
+//
+// State lives in content/zrc20/ledger.json and is rebuilt from scratch when
+// the catalog was rewound below what the ledger already processed, or when
+// an incomplete op behind the cursor completes.
+
+const fs = require("fs");
+const path = require("path");
+const { collectInscription, findSpender } = require("./decode");
+
+const LEDGER_VERSION = 1;
+const TICK_LENGTH = 4;
+const DEFAULT_DEC = 18;
+const MAX_DEC = 18;
+const SAVE_EVERY_OPS = 50;
+// text bodies worth opening; anything else can't be a ZRC-20 op
+const JSON_MIME_TYPES = ["application/json", "text/plain", "text/json"];
+
+// ---------------- AMOUNTS ----------------
+
+// "12.5" with dec=2 → 1250n. null when malformed or too many decimals.
+function parseAmount(value, dec) {
+  if (typeof value !== "string" && typeof value !== "number") return null;
+  const str = String(value).trim();
+  const m = /^(\d+)(?:\.(\d+))?$/.exec(str);
+  if (!m) return null;
+  const frac = m[2] || "";
+  if (frac.length > dec) return null;
+  return BigInt(m[1] + frac.padEnd(dec, "0"));
+}
+
+function formatAmount(units, dec) {
+  const big = BigInt(units);
+  if (!dec) return big.toString();
+  const s = big.toString().padStart(dec + 1, "0");
+  const whole = s.slice(0, -dec);
+  const frac = s.slice(-dec).replace(/0+$/, "");
+  return frac ? `${whole}.${frac}` : whole;
+}
+
+function normaliseTick(tick) {
+  return typeof tick === "string" ? tick.trim().toLowerCase() : "";
+}
+
+function createZrc20Ledger(rpc, options = {}) {
+  const dir = options.dir || path.join(__dirname, "content", "zrc20");
+  const ledgerPath = path.join(dir, "ledger.json");
+  const indexer = options.indexer;
+  const log = options.log || (() => {});
+
+  let state = null;
+  let dirty = false;
+  let syncing = null; // promise of the pass in progress
+  let lastError = null;
+
+  // ---------------- PERSISTENCE ----------------
+
+  function emptyState() {
+    return {
+      version: LEDGER_VERSION,
+      cursor: null,      // { height, txIndex, index, inscriptionId } last processed
+      updatedAt: null,
+      tokens: {},        // tick → deploy info + totals
+      balances: {},      // tick → address → { available, transferable }
+      ops: {},           // inscriptionId → op record (valid or not)
+      pending: {},       // inscriptionId → unsent transfer inscription
+      incomplete: {},    // inscriptionId → catalog entry, reveal not complete yet
+    };
+  }
+
+  function load() {
+    if (state) return state;
+    state = emptyState();
+    if (!fs.existsSync(ledgerPath)) return state;
+    try {
+      const raw = fs.readFileSync(ledgerPath, "utf8");
+      if (raw.trim()) {
+        const parsed = JSON.parse(raw);
+        if (parsed.version === LEDGER_VERSION) {
+          state = { ...emptyState(), ...parsed };
+        } else {
+          console.warn("ledger.json has an unknown format, rebuilding.");
+        }
+      }
+    } catch (e) {
+      console.warn("Invalid ledger.json, rebuilding:", e.message);
+    }
+    return state;
+  }
+
+  function save() {
+    if (!state || !dirty) return;
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    state.updatedAt = new Date().toISOString();
+    const tmp = ledgerPath + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2), "utf8");
+    fs.renameSync(tmp, ledgerPath);
+    dirty = false;
+  }
+
+  // ---------------- CHAIN HELPERS ----------------
+
+  async function addressOf(txid, vout) {
+    const tx = await rpc("getrawtransaction", [txid, 1]);
+    const out = (tx.vout || [])[vout];
+    if (!out || !out.scriptPubKey) return null;
+    const spk = out.scriptPubKey;
+    return (spk.addresses && spk.addresses[0]) || spk.address || null;
+  }
+
+  // Payload + holder of a catalogued inscription, or null when it can't
+  // be a ZRC-20 op (not JSON, or the reveal chain isn't complete yet)
+  async function readInscription(entry) {
+    if (!JSON_MIME_TYPES.includes(String(entry.mimeType || "").toLowerCase())) {
+      return null;
+    }
+    const chain = await collectInscription(entry.txid, envelopeIndex(entry));
+    if (chain.missingPieces.length) return { incomplete: true };
+
+    let body;
+    try {
+      body = JSON.parse(chain.resultBuf.toString("utf8"));
+    } catch (_) {
+      return null;
+    }
+    if (!body || typeof body !== "object") return null;
+    if (String(body.p || "").toLowerCase() !== "zrc-20") return null;
+
+    const holder = await addressOf(chain.resume.txid, chain.resume.vout);
+    return { body, location: chain.resume, holder };
+  }
+
+  // ---------------- BALANCES ----------------
+
+  function balanceOf(tick, address) {
+    const byAddr = state.balances[tick] || (state.balances[tick] = {});
+    return byAddr[address] || (byAddr[address] = { available: "0", transferable: "0" });
+  }
+
+  function addTo(tick, address, field, delta) {
+    const bal = balanceOf(tick, address);
+    bal[field] = (BigInt(bal[field]) + delta).toString();
+  }
+
+  // ---------------- OPS ----------------
+
+  function record(entry, fields) {
+    state.ops[entry.inscriptionId] = {
+      inscriptionId: entry.inscriptionId,
+      height: entry.height,
+      txIndex: entry.txIndex,
+      ...fields,
+    };
+    dirty = true;
+    return state.ops[entry.inscriptionId];
+  }
+
+  function applyDeploy(entry, body, holder) {
+    const tick = normaliseTick(body.tick);
+    const base = { op: "deploy", tick, address: holder };
+
+    if (tick.length !== TICK_LENGTH) return record(entry, { ...base, valid: false, reason: "bad_tick" });
+    if (state.tokens[tick]) return record(entry, { ...base, valid: false, reason: "already_deployed" });
+
+    const dec = body.dec === undefined ? DEFAULT_DEC : Number(body.dec);
+    if (!Number.isInteger(dec) || dec < 0 || dec > MAX_DEC) {
+      return record(entry, { ...base, valid: false, reason: "bad_dec" });
+    }
+    const max = parseAmount(body.max, dec);
+    if (max === null || max <= 0n) return record(entry, { ...base, valid: false, reason: "bad_max" });
+    const lim = body.lim === undefined ? max : parseAmount(body.lim, dec);
+    if (lim === null || lim <= 0n) return record(entry, { ...base, valid: false, reason: "bad_lim" });
+
+    state.tokens[tick] = {
+      tick,
+      max: max.toString(),
+      lim: lim.toString(),
+      dec,
+      minted: "0",
+      mints: 0,
+      transfers: 0,
+      deployId: entry.inscriptionId,
+      deployHeight: entry.height,
+      deployer: holder,
+    };
+    state.balances[tick] = state.balances[tick] || {};
+    return record(entry, { ...base, valid: true });
+  }
+
+  function applyMint(entry, body, holder) {
+    const tick = normaliseTick(body.tick);
+    const token = state.tokens[tick];
+    const base = { op: "mint", tick, address: holder, amt: body.amt };
+
+    if (!token) return record(entry, { ...base, valid: false, reason: "not_deployed" });
+    if (!holder) return record(entry, { ...base, valid: false, reason: "no_holder" });
+    const amt = parseAmount(body.amt, token.dec);
+    if (amt === null || amt <= 0n) return record(entry, { ...base, valid: false, reason: "bad_amt" });
+    if (amt > BigInt(token.lim)) return record(entry, { ...base, valid: false, reason: "over_limit" });
+
+    const left = BigInt(token.max) - BigInt(token.minted);
+    if (left <= 0n) return record(entry, { ...base, valid: false, reason: "fully_minted" });
+
+    const credited = amt > left ? left : amt;
+    token.minted = (BigInt(token.minted) + credited).toString();
+    token.mints++;
+    addTo(tick, holder, "available", credited);
+    return record(entry, {
+      ...base,
+      valid: true,
+      credited: credited.toString(),
+      reason: credited < amt ? "capped_at_max" : null,
+    });
+  }
+
+  function applyTransfer(entry, body, holder, location) {
+    const tick = normaliseTick(body.tick);
+    const token = state.tokens[tick];
+    const base = { op: "transfer", tick, from: holder, amt: body.amt };
+
+    if (!token) return record(entry, { ...base, valid: false, reason: "not_deployed" });
+    if (!holder) return record(entry, { ...base, valid: false, reason: "no_holder" });
+    const amt = parseAmount(body.amt, token.dec);
+    if (amt === null || amt <= 0n) return record(entry, { ...base, valid: false, reason: "bad_amt" });
+    if (BigInt(balanceOf(tick, holder).available) < amt) {
+      return record(entry, { ...base, valid: false, reason: "insufficient_balance" });
+    }
+
+    addTo(tick, holder, "available", -amt);
+    addTo(tick, holder, "transferable", amt);
+    state.pending[entry.inscriptionId] = {
+      tick,
+      amt: amt.toString(),
+      from: holder,
+      txid: location.txid,
+      vout: location.vout,
+      height: location.height,
+    };
+    return record(entry, { ...base, valid: true, status: "inscribed" });
+  }
+
+  // Credit transfer inscriptions that were sent on at or before `upToHeight`
+  async function settleTransfers(upToHeight) {
+    for (const [id, p] of Object.entries(state.pending)) {
+      const spender = await findSpender(p.txid, p.vout, p.height);
+      if (!spender || spender.height === undefined || spender.height > upToHeight) continue;
+
+      const to = (await addressOf(spender.txid, spender.vinIndex)) || p.from;
+      const amt = BigInt(p.amt);
+      addTo(p.tick, p.from, "transferable", -amt);
+      addTo(p.tick, to, "available", amt);
+      state.tokens[p.tick].transfers++;
+
+      Object.assign(state.ops[id], {
+        status: "sent",
+        to,
+        sentTxid: spender.txid,
+        sentHeight: spender.height,
+      });
+      delete state.pending[id];
+      dirty = true;
+      log(`[zrc20] ${id} sent ${formatAmount(amt, state.tokens[p.tick].dec)} ${p.tick} ${p.from} → ${to}`);
+    }
+  }
+
+  async function applyEntry(entry) {
+    const read = await readInscription(entry);
+    if (!read) return;
+    if (read.incomplete) {
+      record(entry, { op: null, valid: false, status: "pending", reason: "incomplete_reveal" });
+      state.incomplete[entry.inscriptionId] = entry;
+      return;
+    }
+    delete state.incomplete[entry.inscriptionId];
+
+    const { body, holder, location } = read;
+    const op = String(body.op || "").toLowerCase();
+    if (op === "deploy") applyDeploy(entry, body, holder);
+    else if (op === "mint") applyMint(entry, body, holder);
+    else if (op === "transfer") applyTransfer(entry, body, holder, location);
+    else record(entry, { op, tick: normaliseTick(body.tick), valid: false, reason: "unknown_op" });
+
+    const rec = state.ops[entry.inscriptionId];
+    log(`[zrc20] ${entry.inscriptionId} ${rec.op} ${rec.tick || ""} ${rec.valid ? "valid" : "invalid: " + rec.reason}`);
+  }
+
+  function forgetIncomplete(entry) {
+    delete state.incomplete[entry.inscriptionId];
+    delete state.ops[entry.inscriptionId];
+    dirty = true;
+  }
+
+  // First inscription whose reveal was incomplete last time and is complete
+  // (and still a ZRC-20 op) now, or null
+  async function completedIncomplete() {
+    for (const entry of Object.values(state.incomplete)) {
+      if (!indexer.get(entry.inscriptionId)) {
+        forgetIncomplete(entry); // reorged away
+        continue;
+      }
+      const read = await readInscription(entry);
+      if (!read) forgetIncomplete(entry); // complete, but not an op after all
+      else if (!read.incomplete) return entry;
+    }
+    return null;
+  }
+
+  // ---------------- SYNC ----------------
+
+  function envelopeIndex(entry) {
+    return entry.index ?? parseInt(entry.inscriptionId.match(/i(\d+)$/)[1], 10);
+  }
+
+  // >0 when `entry` comes after the last processed inscription (chain order)
+  function compareToCursor(entry) {
+    const c = state.cursor;
+    if (!c) return 1;
+    return entry.height - c.height ||
+      entry.txIndex - c.txIndex ||
+      envelopeIndex(entry) - envelopeIndex(c);
+  }
+
+  async function runSync() {
+    load();
+    const catalog = indexer.list();
+
+    // Catalog was rewound (reorg / new start height): start over
+    if (state.cursor && !indexer.get(state.cursor.inscriptionId)) {
+      log("[zrc20] catalog changed below the ledger cursor, rebuilding.");
+      state = emptyState();
+      dirty = true;
+    }
+
+    let sinceSave = 0;
+    let lastHeight = null;
+    try {
+      // ops after it were applied without it: replay in chain order
+      const completed = await completedIncomplete();
+      if (completed) {
+        log(`[zrc20] ${completed.inscriptionId} completed behind the cursor, replaying the ledger.`);
+        state = emptyState();
+        dirty = true;
+      }
+      for (const entry of catalog) {
+        if (compareToCursor(entry) <= 0) continue;
+        if (entry.height !== lastHeight) {
+          // transfers sent in earlier blocks land before this block's ops
+          await settleTransfers(entry.height - 1);
+          lastHeight = entry.height;
+        }
+        await applyEntry(entry);
+        state.cursor = {
+          height: entry.height,
+          txIndex: entry.txIndex,
+          index: envelopeIndex(entry),
+          inscriptionId: entry.inscriptionId,
+        };
+        dirty = true;
+        if (++sinceSave >= SAVE_EVERY_OPS) {
+          save();
+          sinceSave = 0;
+        }
+      }
+      await settleTransfers(Infinity);
+      lastError = null;
+    } catch (err) {
+      lastError = err.message || String(err);
+      console.error("[zrc20] sync error:", lastError);
+    } finally {
+      save();
+    }
+    return status();
+  }
+
+  // ---------------- PUBLIC ----------------
+
+  /** Apply every catalogued inscription not seen yet. Concurrent calls share one pass. */
+  function sync() {
+    if (!syncing) {
+      syncing = runSync().finally(() => { syncing = null; });
+    }
+    return syncing;
+  }
+
+  function status() {
+    load();
+    return {
+      syncing: !!syncing,
+      cursor: state.cursor,
+      tokens: Object.keys(state.tokens).length,
+      ops: Object.keys(state.ops).length,
+      pendingTransfers: Object.keys(state.pending).length,
+      incompleteReveals: Object.keys(state.incomplete).length,
+      updatedAt: state.updatedAt,
+      lastError,
+    };
+  }
+
+  function holdersOf(tick) {
+    return Object.values(state.balances[tick] || {})
+      .filter(b => BigInt(b.available) + BigInt(b.transferable) > 0n).length;
+  }
+
+  function formatToken(token) {
+    return {
+      tick: token.tick,
+      max: formatAmount(token.max, token.dec),
+      lim: formatAmount(token.lim, token.dec),
+      dec: token.dec,
+      minted: formatAmount(token.minted, token.dec),
+      mintedPct: Number((BigInt(token.minted) * 10000n) / BigInt(token.max)) / 100,
+      mints: token.mints,
+      transfers: token.transfers,
+      holders: holdersOf(token.tick),
+      deployId: token.deployId,
+      deployHeight: token.deployHeight,
+      deployer: token.deployer,
+    };
+  }
+
+  // Tokens in deploy order
+  function tokens() {
+    load();
+    return Object.values(state.tokens)
+      .sort((a, b) => a.deployHeight - b.deployHeight || a.deployId.localeCompare(b.deployId))
+      .map(formatToken);
+  }
+
+  // Token details + its ops (newest first), or null when not deployed
+  function token(tick, { offset = 0, limit = 100 } = {}) {
+    load();
+    const t = state.tokens[normaliseTick(tick)];
+    if (!t) return null;
+    const ops = Object.values(state.ops)
+      .filter(o => o.tick === t.tick)
+      .sort((a, b) => b.height - a.height || b.txIndex - a.txIndex);
+    return {
+      ...formatToken(t),
+      totalOps: ops.length,
+      ops: ops.slice(offset, offset + limit).map(o => formatOp(o, t)),
+    };
+  }
+
+  // Holders sorted by total balance, or null when not deployed
+  function balances(tick) {
+    load();
+    const t = state.tokens[normaliseTick(tick)];
+    if (!t) return null;
+    return Object.entries(state.balances[t.tick] || {})
+      .map(([address, b]) => ({
+        address,
+        total: BigInt(b.available) + BigInt(b.transferable),
+        available: b.available,
+        transferable: b.transferable,
+      }))
+      .filter(b => b.total > 0n)
+      .sort((a, b) => (b.total > a.total ? 1 : b.total < a.total ? -1 : a.address.localeCompare(b.address)))
+      .map(b => ({
+        address: b.address,
+        total: formatAmount(b.total, t.dec),
+        available: formatAmount(b.available, t.dec),
+        transferable: formatAmount(b.transferable, t.dec),
+      }));
+  }
+
+  function formatOp(o, t) {
+    const out = { ...o };
+    if (t && o.credited !== undefined) out.credited = formatAmount(o.credited, t.dec);
+    return out;
+  }
+
+  // Ledger verdict for one inscription, or null when it isn't a ZRC-20 op
+  function op(inscriptionId) {
+    load();
+    const o = state.ops[inscriptionId];
+    if (!o) return null;
+    return formatOp(o, state.tokens[o.tick]);
+  }
+
+  return { sync, status, tokens, token, balances, op };
+}
+
+module.exports = { createZrc20Ledger, parseAmount, formatAmount };